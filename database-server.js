@@ -7,10 +7,28 @@ import {
 } from "@modelcontextprotocol/sdk/types.js";
 import pg from "pg";
 import mysql from "mysql2/promise";
+import Database from "better-sqlite3";
+import pgCopyStreams from "pg-copy-streams";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import readline from "readline";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
 
 const { Pool } = pg;
+const { from: copyFrom } = pgCopyStreams;
 
-// Database configurations
+// Named connections are read from this file; see db-connections.example.json
+const CONNECTIONS_FILE =
+  process.env.DB_CONNECTIONS_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "db-connections.json");
+
+const ENGINES = ["postgres", "mysql", "sqlite"];
+
+// Environment-based connections, registered as "postgres", "mysql" and "sqlite"
 const DB_CONFIGS = {
   postgres: {
     host: process.env.PG_HOST || "localhost",
@@ -26,10 +44,49 @@ const DB_CONFIGS = {
     user: process.env.MYSQL_USER || "root",
     password: process.env.MYSQL_PASSWORD || "",
   },
+  sqlite: {
+    filename: process.env.SQLITE_DATABASE,
+  },
+};
+
+// Access policy per engine: "read-only", "read-write" or "admin"
+const DB_ACCESS_MODES = {
+  postgres: process.env.PG_ACCESS_MODE || "read-write",
+  mysql: process.env.MYSQL_ACCESS_MODE || "read-write",
+  sqlite: process.env.SQLITE_ACCESS_MODE || "read-write",
+};
+
+// Statement types each access mode may execute
+const ACCESS_POLICIES = {
+  "read-only": ["read"],
+  "read-write": ["read", "dml"],
+  admin: ["read", "dml", "ddl", "transaction", "other"],
 };
 
-let pgPool = null;
-let mysqlPool = null;
+const READ_KEYWORDS = ["SELECT", "WITH", "SHOW", "EXPLAIN", "DESCRIBE", "DESC", "VALUES", "TABLE", "PRAGMA"];
+const DML_KEYWORDS = ["INSERT", "UPDATE", "DELETE", "MERGE", "REPLACE", "UPSERT", "COPY", "CALL", "LOAD"];
+const DDL_KEYWORDS = [
+  "CREATE", "ALTER", "DROP", "TRUNCATE", "RENAME", "GRANT", "REVOKE", "COMMENT",
+  "REINDEX", "VACUUM", "ANALYZE", "CLUSTER", "REFRESH", "OPTIMIZE", "ATTACH", "DETACH",
+];
+// SQLite pragmas that take an argument but only report information
+const READ_PRAGMAS = [
+  "TABLE_INFO", "TABLE_XINFO", "TABLE_LIST", "INDEX_LIST", "INDEX_INFO", "INDEX_XINFO",
+  "FOREIGN_KEY_LIST", "FOREIGN_KEY_CHECK", "INTEGRITY_CHECK", "QUICK_CHECK",
+];
+const TRANSACTION_KEYWORDS = ["BEGIN", "START", "COMMIT", "ROLLBACK", "SAVEPOINT", "RELEASE", "END"];
+
+// Pools keyed by connection name
+const pools = new Map();
+let connectionRegistry = null;
+
+class QueryPolicyError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "QueryPolicyError";
+    this.details = details;
+  }
+}
 
 const server = new Server(
   {
@@ -43,98 +100,6380 @@ const server = new Server(
   }
 );
 
+// Shared by every tool that talks to a database
+const CONNECTION_PROPERTIES = {
+  connection: {
+    type: "string",
+    description: "Name of a configured connection (see list_connections)",
+  },
+  dbType: {
+    type: "string",
+    enum: ENGINES,
+    description: "Database type; selects the default connection for that engine when 'connection' is omitted",
+  },
+};
+
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
         name: "execute_query",
-        description: "Execute a SQL query on PostgreSQL or MySQL database",
+        description:
+          "Execute a SQL query on a PostgreSQL, MySQL or SQLite database. Statements are checked against the connection's access mode (read-only, read-write or admin) before they run.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            query: {
+              type: "string",
+              description:
+                "SQL query to execute. Use $1..$n or ? for positional parameters and :name for named parameters. On PostgreSQL, prefer $n when the query uses the jsonb ? operators",
+            },
+            params: {
+              type: ["array", "object"],
+              description:
+                "Bind values: an array for positional placeholders or an object for :name placeholders. Wrap a value as { type: 'date' | 'json' | 'buffer', value } to coerce it (buffers take base64 unless encoding is given)",
+            },
+            session: {
+              type: "string",
+              description: "Run inside this transaction session (from begin_transaction) instead of a pooled connection",
+            },
+            ...PAGE_PROPERTIES,
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "fetch_more",
+        description:
+          "Read the next page of a query result using the cursor token returned by execute_query or a previous fetch_more",
+        inputSchema: {
+          type: "object",
+          properties: {
+            cursor: {
+              type: "string",
+              description: "Cursor token from the previous page",
+            },
+            ...PAGE_PROPERTIES,
+            close: {
+              type: "boolean",
+              description: "Close the cursor without reading more rows",
+            },
+          },
+          required: ["cursor"],
+        },
+      },
+      {
+        name: "begin_transaction",
+        description:
+          "Start a transaction on a dedicated connection and return a session id. Pass it as 'session' to execute_query to run statements in the transaction, then finish with commit or rollback. Idle sessions are rolled back automatically.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            readOnly: {
+              type: "boolean",
+              description: "Start a read-only transaction (always on for read-only connections)",
+            },
+            isolationLevel: {
+              type: "string",
+              enum: ISOLATION_LEVELS,
+              description: "Transaction isolation level (PostgreSQL and MySQL)",
+            },
+            idleTimeoutSeconds: {
+              type: "number",
+              minimum: 1,
+              maximum: MAX_SESSION_IDLE_SECONDS,
+              description: `Roll back the session after this many seconds without a call (default ${DEFAULT_SESSION_IDLE_SECONDS}, at most ${MAX_SESSION_IDLE_SECONDS})`,
+            },
+          },
+        },
+      },
+      {
+        name: "commit",
+        description: "Commit a transaction session and release its connection",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session: {
+              type: "string",
+              description: "Session id from begin_transaction",
+            },
+          },
+          required: ["session"],
+        },
+      },
+      {
+        name: "rollback",
+        description:
+          "Roll back a transaction session and release its connection, or roll back to a savepoint and keep the session open",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session: {
+              type: "string",
+              description: "Session id from begin_transaction",
+            },
+            savepoint: {
+              type: "string",
+              description: "Undo only the work done after this savepoint",
+            },
+          },
+          required: ["session"],
+        },
+      },
+      {
+        name: "savepoint",
+        description: "Create a named savepoint in a transaction session, or release one that is no longer needed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session: {
+              type: "string",
+              description: "Session id from begin_transaction",
+            },
+            name: {
+              type: "string",
+              description: "Savepoint name (letters, digits and underscores)",
+            },
+            release: {
+              type: "boolean",
+              description: "Release the savepoint instead of creating it",
+            },
+          },
+          required: ["session", "name"],
+        },
+      },
+      {
+        name: "save_query",
+        description:
+          "Save a named query to the shared saved-query file so it can be rerun with run_saved_query. Use :name placeholders for values that change between runs",
         inputSchema: {
           type: "object",
           properties: {
-            dbType: {
+            name: {
               type: "string",
-              enum: ["postgres", "mysql"],
-              description: "Database type",
+              description: "Query name (letters, digits, '.', '-' and '_')",
             },
             query: {
               type: "string",
-              description: "SQL query to execute",
+              description: "SQL to save, with :name placeholders for parameters",
+            },
+            description: {
+              type: "string",
+              description: "What the query answers",
+            },
+            connection: {
+              type: "string",
+              description: "Connection the query runs on by default",
+            },
+            params: {
+              type: "object",
+              description:
+                "Documentation for each placeholder, keyed by name: { description, default }. Placeholders left out are saved without a default",
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace an existing saved query with the same name",
             },
           },
-          required: ["dbType", "query"],
+          required: ["name", "query"],
         },
       },
       {
-        name: "get_schema",
-        description: "Get database schema information (tables, columns, types)",
+        name: "list_saved_queries",
+        description: "List the saved queries with their descriptions, default connections and parameters",
+        inputSchema: {
+          type: "object",
+          properties: {
+            search: {
+              type: "string",
+              description: "Only show queries whose name or description contains this text",
+            },
+          },
+        },
+      },
+      {
+        name: "run_saved_query",
+        description:
+          "Run a saved query by name. Parameters without a value fall back to their saved default; the connection's access mode still applies",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Saved query name (see list_saved_queries)",
+            },
+            params: {
+              type: "object",
+              description: "Values for the query's :name placeholders",
+            },
+            ...CONNECTION_PROPERTIES,
+            ...PAGE_PROPERTIES,
+          },
+          required: ["name"],
+        },
+      },
+      {
+        name: "list_query_history",
+        description:
+          "List recently executed queries, newest first, with connection, duration, row count and any error",
+        inputSchema: {
+          type: "object",
+          properties: {
+            connection: {
+              type: "string",
+              description: "Only show queries run on this connection",
+            },
+            search: {
+              type: "string",
+              description: "Only show queries whose SQL or saved-query name contains this text",
+            },
+            errorsOnly: {
+              type: "boolean",
+              description: "Only show queries that failed",
+            },
+            limit: {
+              type: "number",
+              description: `Number of entries to return (default ${DEFAULT_HISTORY_ENTRIES}, max ${MAX_HISTORY_ENTRIES})`,
+            },
+          },
+        },
+      },
+      {
+        name: "explain_query",
+        description:
+          "Show and analyze the execution plan of a query: flags sequential scans on large tables, row estimate mismatches, costly sorts and missing indexes. With analyze the query runs inside a transaction that is rolled back.",
         inputSchema: {
           type: "object",
           properties: {
-            dbType: {
+            ...CONNECTION_PROPERTIES,
+            query: {
               type: "string",
-              enum: ["postgres", "mysql"],
-              description: "Database type",
+              description: "The statement to explain, without EXPLAIN",
+            },
+            params: {
+              type: ["array", "object"],
+              description: "Bind values, as for execute_query",
+            },
+            analyze: {
+              type: "boolean",
+              description:
+                "Execute the statement to get actual row counts and timings (default: true; SQLite only supports EXPLAIN QUERY PLAN)",
             },
+            largeTableRows: {
+              type: "integer",
+              description: `Full scans of tables with at least this many rows are reported (default: ${DEFAULT_LARGE_TABLE_ROWS})`,
+            },
+            includeRawPlan: {
+              type: "boolean",
+              description: "Append the plan as returned by the database",
+            },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "get_schema",
+        description:
+          "Get database schema information: tables, columns, keys, constraints, indexes, foreign keys, views, enums and sequences",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
             tableName: {
               type: "string",
-              description: "Specific table name (optional)",
+              description: "Specific table or view name (optional)",
+            },
+            schema: {
+              type: "string",
+              description:
+                "Postgres schema, MySQL database or SQLite attached database (default: public, the connection's database, main)",
+            },
+            detail: {
+              type: "string",
+              enum: ["summary", "columns", "full"],
+              description:
+                "summary: names and column counts; columns: columns and primary keys; full: also constraints, indexes, foreign keys, view definitions, enums and sequences (default: summary, or columns with tableName)",
             },
           },
-          required: ["dbType"],
+          required: [],
         },
       },
       {
-        name: "get_table_stats",
-        description: "Get statistics about tables (row count, size, etc.)",
+        name: "generate_er_diagram",
+        description:
+          "Draw an entity-relationship diagram of the tables and foreign keys of a connection as Mermaid, PlantUML or Graphviz DOT",
         inputSchema: {
           type: "object",
           properties: {
-            dbType: {
+            ...CONNECTION_PROPERTIES,
+            schema: {
+              type: "string",
+              description:
+                "Postgres schema, MySQL database or SQLite attached database (default: public, the connection's database, main)",
+            },
+            format: {
+              type: "string",
+              enum: ER_FORMATS,
+              description: "Diagram language (default: mermaid)",
+            },
+            tables: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include these tables",
+            },
+            startTable: {
+              type: "string",
+              description: "Include this table and the tables within 'hops' foreign keys of it",
+            },
+            hops: {
+              type: "integer",
+              minimum: 0,
+              description: "Foreign keys to follow from startTable, in either direction (default: 1)",
+            },
+            columns: {
               type: "string",
-              enum: ["postgres", "mysql"],
-              description: "Database type",
+              enum: ["all", "keys", "none"],
+              description: "Columns to draw: all, only key columns, or none (default: all)",
             },
           },
-          required: ["dbType"],
+          required: [],
         },
       },
       {
-        name: "generate_migration",
-        description: "Generate a migration script based on schema differences",
+        name: "seed_table",
+        description:
+          "Fill a table with realistic fake rows (names, emails, timestamps, references to existing rows) generated from its column types, unique constraints and foreign keys. The same seed reproduces the same rows; dryRun returns the INSERT statements instead of running them.",
         inputSchema: {
           type: "object",
           properties: {
-            dbType: {
+            ...CONNECTION_PROPERTIES,
+            table: {
               type: "string",
-              enum: ["postgres", "mysql"],
-              description: "Database type",
+              description: "Table to fill",
             },
-            description: {
+            schema: {
               type: "string",
-              description: "Description of the migration",
+              description: "Schema (Postgres), database (MySQL) or attached database (SQLite) of the table",
+            },
+            rows: {
+              type: "number",
+              description: `Number of rows to generate (default ${DEFAULT_SEED_ROWS}, at most ${MAX_SEED_ROWS})`,
+            },
+            seed: {
+              type: ["string", "number"],
+              description: "Seed for the random generator; reuse it to get the same rows again (default: random, reported in the result)",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Return the INSERT statements without executing them",
             },
           },
-          required: ["dbType", "description"],
+          required: ["table"],
         },
       },
-    ],
-  };
-});
+      {
+        name: "export_table",
+        description:
+          "Write the rows of a table or view to a CSV, JSON Lines or SQL INSERT file on disk. Rows stream from a cursor, so large tables do not pass through the response.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            table: {
+              type: "string",
+              description: "Table or view to export",
+            },
+            schema: {
+              type: "string",
+              description: "Schema (Postgres), database (MySQL) or attached database (SQLite) of the table",
+            },
+            path: {
+              type: "string",
+              description: "File to write; relative paths resolve against the server's working directory",
+            },
+            format: {
+              type: "string",
+              enum: EXPORT_FORMATS,
+              description: "File format (default: from the file extension .csv, .jsonl or .sql)",
+            },
+            columns: {
+              type: "array",
+              items: { type: "string" },
+              description: "Columns to export (default: all)",
+            },
+            where: {
+              type: "string",
+              description: "SQL condition to filter rows, without the WHERE keyword",
+            },
+            orderBy: {
+              type: "string",
+              description: "SQL ORDER BY list",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of rows",
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace the file if it exists",
+            },
+          },
+          required: ["table", "path"],
+        },
+      },
+      {
+        name: "export_query",
+        description: "Write the result of a read query to a CSV, JSON Lines or SQL INSERT file on disk",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            query: {
+              type: "string",
+              description: "SELECT (or other read) statement to export",
+            },
+            params: {
+              type: ["array", "object"],
+              description: "Bind values, as for execute_query",
+            },
+            path: {
+              type: "string",
+              description: "File to write; relative paths resolve against the server's working directory",
+            },
+            format: {
+              type: "string",
+              enum: EXPORT_FORMATS,
+              description: "File format (default: from the file extension .csv, .jsonl or .sql)",
+            },
+            table: {
+              type: "string",
+              description: "Table to name in the INSERT statements of a sql export",
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace the file if it exists",
+            },
+          },
+          required: ["query", "path"],
+        },
+      },
+      {
+        name: "import_file",
+        description:
+          "Bulk-load a CSV or NDJSON file into a table (COPY on PostgreSQL, batched INSERT on MySQL and SQLite) and report rejected rows with their line numbers",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            table: {
+              type: "string",
+              description: "Table to load",
+            },
+            schema: {
+              type: "string",
+              description: "Schema (Postgres), database (MySQL) or attached database (SQLite) of the table",
+            },
+            path: {
+              type: "string",
+              description: "File to read; relative paths resolve against the server's working directory",
+            },
+            format: {
+              type: "string",
+              enum: IMPORT_FORMATS,
+              description: "File format (default: from the file extension .csv, .tsv, .ndjson or .jsonl)",
+            },
+            columns: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description:
+                "Map of file field to table column, e.g. { \"E-mail\": \"email\" }. Only mapped fields are loaded (default: fields whose names match columns)",
+            },
+            delimiter: {
+              type: "string",
+              description: "CSV field delimiter (default: comma, or tab for .tsv)",
+            },
+            header: {
+              type: "boolean",
+              description: "Whether the CSV starts with a header row (default: true). Without one, map fields by position: { \"1\": \"id\" }",
+            },
+            onError: {
+              type: "string",
+              enum: ["abort", "skip"],
+              description: "abort: any rejected row rolls back the whole import (default); skip: load the other rows",
+            },
+          },
+          required: ["table", "path"],
+        },
+      },
+      {
+        name: "diff_table_data",
+        description:
+          "Compare the rows of a table on two connections, or two tables on one, by primary key: rows only on one side and changed columns. Key ranges with matching checksums are skipped, so large tables that mostly agree are cheap to compare. Optionally returns the SQL that syncs one side to the other.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            table: {
+              type: "string",
+              description: "Table to compare; the source side",
+            },
+            schema: {
+              type: "string",
+              description: "Schema (Postgres), database (MySQL) or attached database (SQLite) of the table",
+            },
+            targetConnection: {
+              type: "string",
+              description: "Connection of the target side (default: the source connection)",
+            },
+            targetTable: {
+              type: "string",
+              description: "Table on the target side (default: same name)",
+            },
+            targetSchema: {
+              type: "string",
+              description: "Schema on the target side (default: same as schema)",
+            },
+            key: {
+              type: "array",
+              items: { type: "string" },
+              description: "Columns identifying a row (default: the source table's primary key)",
+            },
+            columns: {
+              type: "array",
+              items: { type: "string" },
+              description: "Columns to compare (default: every column both tables have)",
+            },
+            where: {
+              type: "string",
+              description: "SQL condition limiting the rows compared, without the WHERE keyword",
+            },
+            targetWhere: {
+              type: "string",
+              description: "Condition for the target side when it differs from where",
+            },
+            chunkSize: {
+              type: "integer",
+              description: `Source rows per checksummed key range (default: ${DEFAULT_DIFF_CHUNK_SIZE})`,
+            },
+            maxRows: {
+              type: "integer",
+              minimum: 1,
+              description: `Differences to list (default: ${DEFAULT_DIFF_ROWS}); the counts always cover every row`,
+            },
+            sync: {
+              type: "string",
+              enum: SYNC_SIDES,
+              description: "Also return SQL that makes this side match the other",
+            },
+            syncPath: {
+              type: "string",
+              description: "Write the sync SQL to this file instead of the response",
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace syncPath if it exists",
+            },
+          },
+          required: ["table"],
+        },
+      },
+      {
+        name: "get_table_stats",
+        description: "Get statistics about tables (row count, size, etc.)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_activity",
+        description:
+          "List the other sessions on a PostgreSQL or MySQL server (pg_stat_activity / SHOW PROCESSLIST): state, open transaction age, running query and the pids blocking it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            includeIdle: {
+              type: "boolean",
+              description: "Also list idle sessions outside a transaction (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_long_running_queries",
+        description:
+          "List queries running longer than a threshold, and sessions sitting idle in a transaction that long (they keep holding their locks)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            minSeconds: {
+              type: "number",
+              description: `Threshold in seconds (default: ${DEFAULT_LONG_RUNNING_SECONDS})`,
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_lock_chains",
+        description:
+          "Show which sessions wait on locks held by which, as trees rooted at the sessions that block the others",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_query_stats",
+        description:
+          "Show the most expensive statements of the current database from pg_stat_statements (PostgreSQL) or performance_schema (MySQL)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            orderBy: {
+              type: "string",
+              enum: Object.keys(QUERY_STATS_ORDER),
+              description: "Rank by total time (default), mean time, max time or number of calls",
+            },
+            limit: {
+              type: "integer",
+              minimum: 1,
+              maximum: MAX_QUERY_STATS_LIMIT,
+              description: `Number of statements (default: ${DEFAULT_QUERY_STATS_LIMIT}, at most ${MAX_QUERY_STATS_LIMIT})`,
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "advise_indexes",
+        description:
+          "Propose indexes for the columns a query workload filters, joins and sorts on, with an estimated benefit, and flag unused and duplicate indexes",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            queries: {
+              type: "array",
+              items: { type: "string" },
+              description: "Statements to analyze; placeholders such as $1 or ? are fine, nothing is executed",
+            },
+            fromStats: {
+              type: "boolean",
+              description: "Also analyze the top statements by total time from pg_stat_statements or performance_schema",
+            },
+            limit: {
+              type: "integer",
+              minimum: 1,
+              maximum: MAX_QUERY_STATS_LIMIT,
+              description: `Number of statements to take from the statistics (default: ${DEFAULT_QUERY_STATS_LIMIT}, at most ${MAX_QUERY_STATS_LIMIT})`,
+            },
+            schema: {
+              type: "string",
+              description: "Schema (Postgres), database (MySQL) or attached database (SQLite) to check",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "cancel_query",
+        description:
+          "Cancel the running query of another session, or end the session with terminate. Only available on connections with allowCancel set",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            pid: {
+              type: "number",
+              description: "Backend pid (PostgreSQL) or connection id (MySQL), as reported by get_activity",
+            },
+            terminate: {
+              type: "boolean",
+              description: "End the whole session and roll back its transaction instead (requires admin mode)",
+            },
+          },
+          required: ["pid"],
+        },
+      },
+      {
+        name: "generate_migration",
+        description:
+          "Generate a migration script based on schema differences. Compares the live schema of 'connection' with a target (another connection, a JSON schema or SQL DDL) and writes up and down SQL; without a target an empty template is returned",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            description: {
+              type: "string",
+              description: "Description of the migration",
+            },
+            targetConnection: {
+              type: "string",
+              description: "Connection whose schema the migration should produce",
+            },
+            targetSchema: {
+              type: "object",
+              description:
+                "Target schema as JSON: { tables: { [name]: { columns: [{ name, type, nullable, default, autoIncrement }], primaryKey: [columns], indexes: [{ name, columns, unique }], foreignKeys: [{ name, columns, refTable, refColumns, onDelete, onUpdate }] } } }",
+            },
+            targetDdl: {
+              type: "string",
+              description: "Target schema as SQL DDL (CREATE TABLE, CREATE INDEX and ALTER TABLE ... ADD statements)",
+            },
+            schema: {
+              type: "string",
+              description: "Postgres schema to compare (default: public)",
+            },
+            dropMissingTables: {
+              type: "boolean",
+              description:
+                "Drop tables that are missing from the target (default: true for targetConnection, false for targetSchema/targetDdl, which usually describe only some tables)",
+            },
+            directory: {
+              type: "string",
+              description: "Write the migration file into this directory (optional)",
+            },
+          },
+          required: ["description"],
+        },
+      },
+      {
+        name: "migrate_status",
+        description: "Show which migrations in a migrations directory are applied, pending, modified or missing",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            directory: {
+              type: "string",
+              description:
+                "Directory of <timestamp>_<name>.sql files (default: the connection's migrationsDir or DB_MIGRATIONS_DIR)",
+            },
+          },
+        },
+      },
+      {
+        name: "migrate_up",
+        description:
+          "Apply pending migrations in version order, each in its own transaction (MySQL commits DDL implicitly). Refuses to run if an applied migration file was edited. Requires admin mode",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            directory: {
+              type: "string",
+              description:
+                "Directory of <timestamp>_<name>.sql files (default: the connection's migrationsDir or DB_MIGRATIONS_DIR)",
+            },
+            to: {
+              type: "string",
+              description: "Apply pending migrations up to and including this version",
+            },
+            steps: {
+              type: "number",
+              description: "Apply at most this many migrations",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Show the statements that would run without executing them",
+            },
+          },
+        },
+      },
+      {
+        name: "migrate_down",
+        description:
+          "Roll back applied migrations, newest first, using their Down Migration section. Requires admin mode",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...CONNECTION_PROPERTIES,
+            directory: {
+              type: "string",
+              description:
+                "Directory of <timestamp>_<name>.sql files (default: the connection's migrationsDir or DB_MIGRATIONS_DIR)",
+            },
+            steps: {
+              type: "number",
+              description: "Number of migrations to roll back (default: 1)",
+            },
+            to: {
+              type: "string",
+              description: "Roll back every migration newer than this version",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Show the statements that would run without executing them",
+            },
+          },
+        },
+      },
+      {
+        name: "list_connections",
+        description: "List the configured database connections (credentials are never shown)",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "test_connection",
+        description: "Check that a connection is reachable and report its server version and latency",
+        inputSchema: {
+          type: "object",
+          properties: {
+            connection: {
+              type: "string",
+              description: "Connection to test (default: all configured connections)",
+            },
+          },
+        },
+      },
+    ],
+  };
+});
+
+// Replaces ${VAR} references so secrets can stay in the environment
+function expandEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => process.env[name] ?? "");
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+  return value;
+}
+
+function engineFromUrl(url) {
+  const protocol = new URL(url).protocol.replace(/:$/, "");
+  if (protocol === "postgres" || protocol === "postgresql") return "postgres";
+  if (protocol === "mysql" || protocol === "mariadb") return "mysql";
+  if (protocol === "sqlite" || protocol === "file") return "sqlite";
+  throw new Error(`Unsupported connection URL scheme '${protocol}'`);
+}
+
+// Certificate options may be inline PEM or paths to PEM files
+async function readPem(value) {
+  if (!value || value.startsWith("-----BEGIN")) return value;
+  return fs.readFile(value, "utf8");
+}
+
+// ssl: true verifies the server certificate, "require" encrypts without
+// verification (like libpq sslmode=require), an object is passed to the driver.
+async function resolveSsl(ssl) {
+  if (!ssl) return undefined;
+  if (ssl === true) return { rejectUnauthorized: true };
+  if (ssl === "require") return { rejectUnauthorized: false };
+  const resolved = { ...ssl };
+  for (const key of ["ca", "cert", "key"]) {
+    if (resolved[key]) resolved[key] = await readPem(resolved[key]);
+  }
+  return resolved;
+}
+
+async function normalizeConnection(name, entry, source) {
+  const settings = expandEnv(entry);
+  const type = settings.type || (settings.url && engineFromUrl(settings.url));
+  if (!ENGINES.includes(type)) {
+    throw new Error(`Connection '${name}' has unsupported type '${type}'. Expected one of: ${ENGINES.join(", ")}`);
+  }
+
+  const accessMode = settings.accessMode || "read-write";
+  if (!ACCESS_POLICIES[accessMode]) {
+    throw new Error(
+      `Invalid access mode '${accessMode}' for connection '${name}'. Expected one of: ${Object.keys(ACCESS_POLICIES).join(", ")}`
+    );
+  }
+
+  // Opt-in for cancel_query; "true" also counts, for values from ${VAR}
+  const allowCancel = settings.allowCancel === true || settings.allowCancel === "true";
+
+  // Relative migration directories in the connections file are relative to the file itself
+  const migrationsDir =
+    settings.migrationsDir && source === CONNECTIONS_FILE
+      ? path.resolve(path.dirname(CONNECTIONS_FILE), settings.migrationsDir)
+      : settings.migrationsDir;
+
+  let config;
+  let summary;
+  if (type === "sqlite") {
+    // sqlite:///absolute/path.db, sqlite:relative/path.db or sqlite::memory:
+    const filename =
+      settings.filename || settings.database || (settings.url && decodeURIComponent(new URL(settings.url).pathname));
+    if (!filename) {
+      throw new Error(`SQLite connection '${name}' needs a filename`);
+    }
+    config = {
+      filename,
+      options: {
+        readonly: accessMode === "read-only",
+        fileMustExist: !settings.create,
+        ...(settings.options || {}),
+      },
+    };
+    return {
+      name,
+      type,
+      accessMode,
+      allowCancel,
+      source,
+      config,
+      migrationsDir,
+      summary: { database: filename, ssl: false },
+    };
+  } else if (settings.url) {
+    const url = new URL(settings.url);
+    config = type === "postgres" ? { connectionString: settings.url } : { uri: settings.url };
+    summary = {
+      host: url.hostname,
+      port: url.port ? Number(url.port) : undefined,
+      database: decodeURIComponent(url.pathname.replace(/^\//, "")),
+      user: decodeURIComponent(url.username),
+    };
+  } else {
+    config = {
+      host: settings.host,
+      port: settings.port,
+      database: settings.database,
+      user: settings.user,
+      password: settings.password,
+    };
+    summary = {
+      host: settings.host,
+      port: settings.port ? Number(settings.port) : undefined,
+      database: settings.database,
+      user: settings.user,
+    };
+  }
+
+  const ssl = await resolveSsl(settings.ssl);
+  if (ssl) config.ssl = ssl;
+  // Extra driver-specific pool options, e.g. { "max": 5 } for pg or { "connectionLimit": 5 } for mysql2
+  Object.assign(config, settings.options || {});
+
+  return {
+    name,
+    type,
+    accessMode,
+    allowCancel,
+    source,
+    config,
+    migrationsDir,
+    summary: { ...summary, ssl: Boolean(ssl) },
+  };
+}
+
+function hasEnvConfig(type) {
+  if (type === "sqlite") return Boolean(process.env.SQLITE_DATABASE);
+  const prefix = type === "postgres" ? "PG_" : "MYSQL_";
+  return ["HOST", "PORT", "DATABASE", "USER", "PASSWORD"].some((key) => process.env[prefix + key] !== undefined);
+}
+
+async function readConnectionRegistry() {
+  let file = null;
+  try {
+    file = JSON.parse(await fs.readFile(CONNECTIONS_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Failed to load connections from ${CONNECTIONS_FILE}: ${error.message}`);
+    }
+  }
+
+  const connections = new Map();
+  // Without a config file the environment connections are always available, as before
+  for (const type of ENGINES) {
+    if ((!file && type !== "sqlite") || hasEnvConfig(type)) {
+      const entry = {
+        type,
+        ...DB_CONFIGS[type],
+        accessMode: DB_ACCESS_MODES[type],
+        allowCancel: process.env.DB_ALLOW_CANCEL,
+      };
+      connections.set(type, await normalizeConnection(type, entry, "environment"));
+    }
+  }
+  for (const [name, entry] of Object.entries(file?.connections || {})) {
+    connections.set(name, await normalizeConnection(name, entry, CONNECTIONS_FILE));
+  }
+
+  const defaultName = file?.default || connections.keys().next().value;
+  if (defaultName && !connections.has(defaultName)) {
+    throw new Error(`Default connection '${defaultName}' is not defined in ${CONNECTIONS_FILE}`);
+  }
+  return { connections, defaultName };
+}
+
+async function loadConnections() {
+  if (!connectionRegistry) {
+    connectionRegistry = readConnectionRegistry().catch((error) => {
+      connectionRegistry = null; // Retry on the next call once the file is fixed
+      throw error;
+    });
+  }
+  return connectionRegistry;
+}
+
+// Picks the connection named by `args.connection`, falling back to the
+// default connection of `args.dbType`, then to the registry default.
+async function resolveConnection(args) {
+  const { connections, defaultName } = await loadConnections();
+
+  if (args.connection) {
+    const connection = connections.get(args.connection);
+    if (!connection) {
+      throw new Error(
+        `Unknown connection '${args.connection}'. Available: ${[...connections.keys()].join(", ") || "none"}`
+      );
+    }
+    return connection;
+  }
+
+  if (args.dbType) {
+    const connection =
+      connections.get(args.dbType)?.type === args.dbType
+        ? connections.get(args.dbType)
+        : [...connections.values()].find((candidate) => candidate.type === args.dbType);
+    if (!connection) {
+      throw new Error(`No ${args.dbType} connection is configured`);
+    }
+    return connection;
+  }
+
+  if (!defaultName) {
+    throw new Error(
+      `No database connections are configured. Create ${CONNECTIONS_FILE} or set PG_*/MYSQL_*/SQLITE_* variables`
+    );
+  }
+  return connections.get(defaultName);
+}
+
+// Initialize database connections
+function getPgPool(connection) {
+  if (!pools.has(connection.name)) {
+    pools.set(connection.name, new Pool(connection.config));
+  }
+  return pools.get(connection.name);
+}
+
+async function getMysqlPool(connection) {
+  if (!pools.has(connection.name)) {
+    pools.set(connection.name, await mysql.createPool(connection.config));
+  }
+  return pools.get(connection.name);
+}
+
+// better-sqlite3 is synchronous, so one handle per connection is enough
+function getSqliteDb(connection) {
+  if (!pools.has(connection.name)) {
+    pools.set(connection.name, new Database(connection.config.filename, connection.config.options));
+  }
+  return pools.get(connection.name);
+}
+
+async function testConnection(connection) {
+  const startTime = Date.now();
+  try {
+    let version;
+    if (connection.type === "postgres") {
+      const res = await getPgPool(connection).query("SELECT version() AS version");
+      version = res.rows[0].version;
+    } else if (connection.type === "sqlite") {
+      version = `SQLite ${getSqliteDb(connection).prepare("SELECT sqlite_version() AS version").get().version}`;
+    } else {
+      const pool = await getMysqlPool(connection);
+      const [rows] = await pool.query("SELECT VERSION() AS version");
+      version = rows[0].version;
+    }
+    return {
+      connection: connection.name,
+      type: connection.type,
+      reachable: true,
+      version,
+      latencyMs: Date.now() - startTime,
+    };
+  } catch (error) {
+    return {
+      connection: connection.name,
+      type: connection.type,
+      reachable: false,
+      error: error.message,
+      latencyMs: Date.now() - startTime,
+    };
+  }
+}
+
+// Returns the index just past the closing quote of the literal starting at `start`
+function findQuoteEnd(sql, start, quote, backslashEscapes) {
+  let i = start + 1;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (backslashEscapes && ch === "\\") {
+      i += 2;
+    } else if (ch === quote && sql[i + 1] === quote) {
+      i += 2; // Doubled quote inside the literal
+    } else if (ch === quote) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+  return sql.length;
+}
+
+// Splits SQL into code, string, identifier and comment segments so that
+// keywords and semicolons inside literals are never mistaken for syntax.
+function tokenizeSql(sql, dialect) {
+  const segments = [];
+  let codeStart = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const pair = sql.slice(i, i + 2);
+    let type = null;
+    let end = i;
+
+    if (pair === "--" || (ch === "#" && dialect === "mysql")) {
+      type = "comment";
+      end = sql.indexOf("\n", i);
+      if (end === -1) end = sql.length;
+    } else if (pair === "/*") {
+      type = "comment";
+      end = sql.indexOf("*/", i + 2);
+      end = end === -1 ? sql.length : end + 2;
+    } else if (ch === "'") {
+      type = "string";
+      end = findQuoteEnd(sql, i, ch, dialect === "mysql");
+    } else if (ch === '"' || (ch === "`" && dialect !== "postgres")) {
+      type = "identifier";
+      end = findQuoteEnd(sql, i, ch, false);
+    } else if (ch === "[" && dialect === "sqlite") {
+      type = "identifier";
+      end = sql.indexOf("]", i);
+      end = end === -1 ? sql.length : end + 1;
+    } else if (ch === "$" && dialect === "postgres" && !/[\w$]/.test(sql[i - 1] || "")) {
+      // Dollar-quoted string: $$...$$ or $tag$...$tag$
+      const match = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+      if (match) {
+        type = "string";
+        const close = sql.indexOf(match[0], i + match[0].length);
+        end = close === -1 ? sql.length : close + match[0].length;
+      }
+    }
+
+    if (type) {
+      if (i > codeStart) segments.push({ type: "code", text: sql.slice(codeStart, i) });
+      segments.push({ type, text: sql.slice(i, end) });
+      i = end;
+      codeStart = end;
+    } else {
+      i++;
+    }
+  }
+
+  if (sql.length > codeStart) segments.push({ type: "code", text: sql.slice(codeStart) });
+  return segments;
+}
+
+// Splits a query on top-level semicolons. Each statement keeps its original
+// text plus a `code` version with literals masked and comments removed.
+function splitStatements(sql, dialect) {
+  const statements = [];
+  let current = { text: "", code: "" };
+
+  for (const segment of tokenizeSql(sql, dialect)) {
+    if (segment.type === "comment") {
+      current.text += segment.text;
+      continue;
+    }
+    if (segment.type !== "code") {
+      current.text += segment.text;
+      current.code += segment.type === "string" ? "''" : '""';
+      continue;
+    }
+    const parts = segment.text.split(";");
+    parts.forEach((part, index) => {
+      if (index > 0) {
+        statements.push(current);
+        current = { text: "", code: "" };
+      }
+      current.text += part;
+      current.code += part;
+    });
+  }
+  statements.push(current);
+
+  return statements
+    .filter((statement) => statement.code.trim() !== "")
+    .map((statement) => ({ text: statement.text.trim(), code: statement.code.trim() }));
+}
+
+function classifyWords(words) {
+  const keyword = words[0] || "";
+
+  if (keyword === "EXPLAIN" && words.includes("ANALYZE")) {
+    // EXPLAIN ANALYZE executes the statement, so it is as dangerous as the statement itself
+    const inner = words.findIndex(
+      (word, index) => index > 0 && [...READ_KEYWORDS, ...DML_KEYWORDS, ...DDL_KEYWORDS].includes(word)
+    );
+    return inner === -1 ? "read" : classifyWords(words.slice(inner));
+  }
+  if (keyword === "WITH") {
+    // Data-modifying CTEs, e.g. WITH moved AS (DELETE ... RETURNING *) SELECT ...
+    return words.some((word) => ["INSERT", "UPDATE", "DELETE", "MERGE"].includes(word)) ? "dml" : "read";
+  }
+  if (keyword === "SELECT" && words.includes("INTO")) {
+    // SELECT ... INTO creates a table on Postgres and writes files on MySQL
+    return "ddl";
+  }
+  if (READ_KEYWORDS.includes(keyword)) return "read";
+  if (DML_KEYWORDS.includes(keyword)) return "dml";
+  if (DDL_KEYWORDS.includes(keyword)) return "ddl";
+  if (TRANSACTION_KEYWORDS.includes(keyword)) return "transaction";
+  return "other";
+}
+
+function classifyStatements(sql, dialect) {
+  return splitStatements(sql, dialect).map((statement, index) => {
+    const words = statement.code.toUpperCase().match(/[A-Z_]+/g) || [];
+    let type = classifyWords(words);
+    if (words[0] === "PRAGMA" && (statement.code.includes("=") || (words.length > 2 && !READ_PRAGMAS.includes(words[1])))) {
+      // PRAGMA name = value or name(value) changes settings; a bare PRAGMA name only reads
+      type = "other";
+    }
+    return {
+      index,
+      keyword: words[0] || "",
+      type,
+      text: statement.text.length > 200 ? `${statement.text.slice(0, 200)}...` : statement.text,
+    };
+  });
+}
+
+function enforceAccessPolicy(sql, connection) {
+  const { accessMode } = connection;
+  const statements = classifyStatements(sql, connection.type);
+  const allowed = ACCESS_POLICIES[accessMode];
+
+  if (statements.length === 0) {
+    throw new Error("Query is empty");
+  }
+
+  if (statements.length > 1 && accessMode !== "admin") {
+    throw new QueryPolicyError(`Multiple statements are only allowed in admin mode`, {
+      rule: "multi-statement",
+      connection: connection.name,
+      accessMode,
+      statements,
+    });
+  }
+
+  const blocked = statements.find((statement) => !allowed.includes(statement.type));
+  if (blocked) {
+    throw new QueryPolicyError(
+      `${blocked.keyword || "This"} statement is classified as ${blocked.type}, which ${accessMode} mode does not allow`,
+      {
+        rule: "statement-type",
+        connection: connection.name,
+        accessMode,
+        allowedTypes: allowed,
+        statement: blocked,
+      }
+    );
+  }
+
+  return { accessMode, statements };
+}
+
+const PARAM_COERCIONS = {
+  date: (param) => {
+    const date = new Date(param.value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date parameter: ${JSON.stringify(param.value)}`);
+    }
+    return date;
+  },
+  json: (param) => JSON.stringify(param.value),
+  buffer: (param) => Buffer.from(param.value, param.encoding || "base64"),
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function coerceParam(value) {
+  if (value === undefined || value === null) return null;
+  if (isPlainObject(value)) {
+    if (typeof value.type === "string" && "value" in value) {
+      const coerce = PARAM_COERCIONS[value.type];
+      if (!coerce) {
+        throw new Error(
+          `Unknown parameter type '${value.type}'. Expected one of: ${Object.keys(PARAM_COERCIONS).join(", ")}`
+        );
+      }
+      return value.value === null ? null : coerce(value);
+    }
+    // Plain objects have no SQL equivalent, so send them as JSON text
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// Rewrites the placeholders in `sql` into the driver's native style ($n for
+// pg, ? for mysql2) and returns the values in matching order.
+// :name but not the ::type cast operator
+const NAMED_PLACEHOLDER_PATTERN = /(^|[^:]):([A-Za-z_][A-Za-z0-9_]*)/g;
+
+// Keywords a value can follow, so a `?` right after one is a placeholder
+const KEYWORDS_BEFORE_VALUE = new Set([
+  "ALL", "AND", "ANY", "ARRAY", "AS", "BETWEEN", "BY", "CASE", "DISTINCT", "ELSE", "EXISTS", "FETCH", "FIRST",
+  "FROM", "HAVING", "ILIKE", "IN", "INTERVAL", "IS", "LIKE", "LIMIT", "NEXT", "NOT", "OFFSET", "ON", "OR",
+  "RETURNING", "SELECT", "SET", "SIMILAR", "SOME", "THEN", "TO", "USING", "VALUES", "WHEN", "WHERE",
+]);
+
+// On Postgres `?` is also an operator: jsonb key exists (`?`, `?|`, `?&`)
+// and geometric ones like `?-` and `?#`. It is taken as one when another
+// operator character follows it, or when it follows an operand: a name that
+// is not a keyword, a number, a closing bracket or a quoted literal.
+function isPgQuestionOperator(before, after) {
+  if (/^[|&#-]/.test(after)) return true;
+  const word = /([A-Za-z_][\w$]*)\s*$/.exec(before);
+  if (word) return !KEYWORDS_BEFORE_VALUE.has(word[1].toUpperCase());
+  return /[)\]'"0-9]\s*$/.test(before);
+}
+
+function bindParameters(sql, params, dialect) {
+  if (params === undefined || params === null) {
+    return { text: sql, values: undefined };
+  }
+
+  const segments = tokenizeSql(sql, dialect);
+  const named = isPlainObject(params);
+  const positional = named ? [] : params;
+  const usesDollar = segments.some((segment) => segment.type === "code" && /\$\d+/.test(segment.text));
+  const values = [];
+  const namedIndexes = new Map();
+  let questionMarks = 0;
+
+  const bindNamed = (name) => {
+    if (!(name in params)) {
+      throw new Error(`Missing value for named parameter :${name}`);
+    }
+    if (dialect === "postgres") {
+      if (!namedIndexes.has(name)) {
+        values.push(coerceParam(params[name]));
+        namedIndexes.set(name, values.length);
+      }
+      return `$${namedIndexes.get(name)}`;
+    }
+    values.push(coerceParam(params[name]));
+    return "?";
+  };
+
+  const bindDollar = (token) => {
+    const index = Number(token.slice(1));
+    if (index < 1 || index > positional.length) {
+      throw new Error(`Placeholder ${token} has no value (${positional.length} parameter(s) given)`);
+    }
+    if (dialect === "postgres") return token;
+    values.push(coerceParam(positional[index - 1]));
+    return "?";
+  };
+
+  const bindQuestion = () => {
+    questionMarks++;
+    if (questionMarks > positional.length) {
+      throw new Error(`Query has more ? placeholders than the ${positional.length} parameter(s) given`);
+    }
+    if (dialect === "postgres") return `$${questionMarks}`;
+    values.push(coerceParam(positional[questionMarks - 1]));
+    return "?";
+  };
+
+  let text = "";
+  for (const segment of segments) {
+    if (segment.type !== "code") {
+      text += segment.text;
+    } else if (named) {
+      text += segment.text.replace(NAMED_PLACEHOLDER_PATTERN, (match, prefix, name) => prefix + bindNamed(name));
+    } else if (usesDollar) {
+      text += segment.text.replace(/\$\d+/g, bindDollar);
+    } else {
+      // On Postgres `?` is only a placeholder when the query has no $n
+      // parameters and it does not read as an operator
+      const before = text;
+      text += segment.text.replace(/\?/g, (match, offset, code) =>
+        dialect === "postgres" &&
+        isPgQuestionOperator(before + code.slice(0, offset), code.slice(offset + 1))
+          ? match
+          : bindQuestion()
+      );
+    }
+  }
+
+  if (!named && dialect === "postgres") {
+    return { text, values: positional.map(coerceParam) };
+  }
+  return { text, values };
+}
+
+// Runs a read-only query inside a READ ONLY transaction so that functions
+// with side effects are rejected by the database itself.
+async function runReadOnlyPg(connection, sql, values) {
+  const client = await getPgPool(connection).connect();
+  try {
+    await client.query("BEGIN TRANSACTION READ ONLY");
+    const res = await client.query(sql, values);
+    await client.query("ROLLBACK");
+    return res;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// SQLite only accepts numbers, strings, bigints, buffers and null
+function toSqliteValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return value;
+}
+
+// Read-only SQLite connections are opened with { readonly: true }, so the
+// database file itself refuses writes.
+function runSqlite(connection, sql, values, statements) {
+  const db = getSqliteDb(connection);
+  if (statements.length > 1) {
+    // Only admin mode lets several statements through, and exec() takes no parameters
+    db.exec(sql);
+    return { rows: [], rowCount: 0, command: "MULTIPLE" };
+  }
+  const stmt = db.prepare(sql);
+  const params = (values || []).map(toSqliteValue);
+  if (stmt.reader) {
+    const rows = stmt.all(params);
+    return { rows, rowCount: rows.length, command: statements[0].keyword, fields: stmt.columns() };
+  }
+  const info = stmt.run(params);
+  return { rows: [], rowCount: info.changes, command: statements[0].keyword };
+}
+
+async function runReadOnlyMysql(connection, sql, values) {
+  const pool = await getMysqlPool(connection);
+  const conn = await pool.getConnection();
+  try {
+    await conn.query("SET SESSION TRANSACTION READ ONLY");
+    await conn.query("START TRANSACTION");
+    const result = await conn.query(sql, values);
+    await conn.query("ROLLBACK");
+    return result;
+  } catch (error) {
+    await conn.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    // Pooled connections keep session state, so restore the default before release
+    await conn.query("SET SESSION TRANSACTION READ WRITE").catch(() => {});
+    conn.release();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schema model
+//
+// Introspection and DDL parsing both produce the same normalized shape so
+// that any two schemas can be diffed:
+//   { tables: { [name]: { name, columns, primaryKey, indexes, foreignKeys, checks } } }
+// Introspection also fills in name, views, enums and sequences, which the
+// diff ignores.
+// ---------------------------------------------------------------------------
+
+const PG_FK_ACTIONS = { a: "NO ACTION", r: "RESTRICT", c: "CASCADE", n: "SET NULL", d: "SET DEFAULT" };
+
+const TYPE_ALIASES = {
+  "character varying": "varchar",
+  character: "char",
+  bpchar: "char",
+  int: "integer",
+  int4: "integer",
+  int8: "bigint",
+  int2: "smallint",
+  bool: "boolean",
+  float8: "double precision",
+  double: "double precision",
+  float4: "real",
+  decimal: "numeric",
+  "timestamp without time zone": "timestamp",
+  "timestamp with time zone": "timestamptz",
+  "time without time zone": "time",
+  "time with time zone": "timetz",
+};
+
+const SERIAL_TYPES = { serial: "integer", bigserial: "bigint", smallserial: "smallint" };
+
+function emptyTable(name) {
+  return { name, columns: [], primaryKey: null, indexes: [], foreignKeys: [], checks: [] };
+}
+
+// Type spelling used only for comparison; migrations keep the declared type
+function normalizeType(type, dialect) {
+  const compact = String(type || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\s*([(),])\s*/g, "$1")
+    .trim();
+  const match = /^([a-z_ ]+?)(\(.*\))?((?:\[\])*)( unsigned)?$/.exec(compact);
+  if (!match) return compact;
+  let [, base, args = "", array, unsigned = ""] = match;
+  base = TYPE_ALIASES[base] || base;
+  if (dialect === "mysql") {
+    if (base === "boolean") return "tinyint(1)";
+    // Integer display widths are cosmetic, except tinyint(1) which means boolean
+    if (/int(eger)?$/.test(base) && !(base === "tinyint" && args === "(1)")) args = "";
+    if (base === "integer") base = "int";
+  }
+  return `${base}${args}${array}${unsigned}`;
+}
+
+function normalizeDefault(value) {
+  if (value === null || value === undefined) return null;
+  let text = String(value).trim();
+  // Postgres reports defaults with casts, e.g. 'draft'::character varying
+  text = text.replace(/::[a-z_ ]+(\(\d+(,\d+)?\))?(\[\])?/gi, "");
+  while (/^\(.*\)$/.test(text)) text = text.slice(1, -1).trim();
+  if (text.startsWith("'")) return text;
+  text = text.toLowerCase();
+  if (text === "null") return null;
+  if (text === "now()" || text === "current_timestamp()") return "current_timestamp";
+  return text;
+}
+
+function unquoteIdentifier(identifier, dialect) {
+  const text = identifier.trim();
+  if (/^(".*"|`.*`|\[.*\])$/.test(text)) return text.slice(1, -1);
+  // Postgres folds unquoted identifiers to lower case
+  return dialect === "postgres" ? text.toLowerCase() : text;
+}
+
+function quoteIdentifier(identifier, dialect) {
+  if (dialect === "mysql") return `\`${identifier.replace(/`/g, "``")}\``;
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+// Index keys may be expressions such as lower(email) or "name DESC"; only
+// plain column names get quoted.
+function quoteIndexColumn(column, dialect) {
+  return /^[A-Za-z_][A-Za-z0-9_$]*$/.test(column) ? quoteIdentifier(column, dialect) : column;
+}
+
+function fkAction(action) {
+  return (action || "NO ACTION").toUpperCase().replace(/\s+/g, " ");
+}
+
+async function introspectPostgres(connection, schemaName = "public") {
+  const pool = getPgPool(connection);
+  const schema = { name: schemaName, tables: {}, views: {}, enums: [], sequences: [] };
+
+  const { rows: columns } = await pool.query(
+    `
+      SELECT
+        c.relname AS table_name,
+        a.attname AS column_name,
+        format_type(a.atttypid, a.atttypmod) AS data_type,
+        NOT a.attnotnull AS nullable,
+        pg_get_expr(d.adbin, d.adrelid) AS column_default,
+        a.attidentity <> '' AS is_identity,
+        c.relkind AS kind,
+        CASE WHEN c.relkind IN ('v', 'm') AND a.attnum = 1 THEN pg_get_viewdef(c.oid, true) END AS view_definition
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      LEFT JOIN pg_attrdef d ON d.adrelid = c.oid AND d.adnum = a.attnum
+      WHERE n.nspname = $1 AND c.relkind IN ('r', 'p', 'v', 'm')
+      ORDER BY c.relname, a.attnum;
+    `,
+    [schemaName]
+  );
+  for (const row of columns) {
+    if (row.kind === "v" || row.kind === "m") {
+      const view = (schema.views[row.table_name] ||= {
+        name: row.table_name,
+        materialized: row.kind === "m",
+        definition: null,
+        columns: [],
+      });
+      view.definition ??= row.view_definition?.trim() ?? null;
+      view.columns.push({ name: row.column_name, type: row.data_type, nullable: row.nullable });
+      continue;
+    }
+    schema.tables[row.table_name] ||= emptyTable(row.table_name);
+    const sequence = /^nextval\(/i.test(row.column_default || "");
+    schema.tables[row.table_name].columns.push({
+      name: row.column_name,
+      type: row.data_type,
+      nullable: row.nullable,
+      default: sequence ? null : row.column_default,
+      autoIncrement: sequence || row.is_identity,
+    });
+  }
+
+  const { rows: constraints } = await pool.query(
+    `
+      SELECT
+        con.conname AS constraint_name,
+        con.contype AS constraint_type,
+        rel.relname AS table_name,
+        ARRAY(
+          SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        )::text[] AS columns,
+        frel.relname AS ref_table,
+        ARRAY(
+          SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        )::text[] AS ref_columns,
+        con.confdeltype AS on_delete,
+        con.confupdtype AS on_update,
+        CASE WHEN con.contype = 'c' THEN pg_get_expr(con.conbin, con.conrelid) END AS check_expression
+      FROM pg_constraint con
+      JOIN pg_class rel ON rel.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = rel.relnamespace
+      LEFT JOIN pg_class frel ON frel.oid = con.confrelid
+      WHERE n.nspname = $1 AND con.contype IN ('p', 'u', 'f', 'c')
+      ORDER BY rel.relname, con.conname;
+    `,
+    [schemaName]
+  );
+  for (const row of constraints) {
+    const table = schema.tables[row.table_name];
+    if (!table) continue;
+    if (row.constraint_type === "p") {
+      table.primaryKey = { name: row.constraint_name, columns: row.columns };
+    } else if (row.constraint_type === "u") {
+      table.indexes.push({ name: row.constraint_name, columns: row.columns, unique: true, constraint: true });
+    } else if (row.constraint_type === "c") {
+      table.checks.push({ name: row.constraint_name, expression: row.check_expression });
+    } else {
+      table.foreignKeys.push({
+        name: row.constraint_name,
+        columns: row.columns,
+        refTable: row.ref_table,
+        refColumns: row.ref_columns,
+        onDelete: PG_FK_ACTIONS[row.on_delete],
+        onUpdate: PG_FK_ACTIONS[row.on_update],
+      });
+    }
+  }
+
+  const { rows: indexes } = await pool.query(
+    `
+      SELECT
+        t.relname AS table_name,
+        i.relname AS index_name,
+        ix.indisunique AS is_unique,
+        pg_get_indexdef(ix.indexrelid) AS definition,
+        ARRAY(
+          SELECT pg_get_indexdef(ix.indexrelid, k + 1, true)
+          FROM generate_subscripts(ix.indkey, 1) k
+          ORDER BY k
+        )::text[] AS columns
+      FROM pg_index ix
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_class t ON t.oid = ix.indrelid
+      JOIN pg_namespace n ON n.oid = t.relnamespace
+      WHERE n.nspname = $1
+        AND NOT ix.indisprimary
+        AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = ix.indexrelid)
+      ORDER BY t.relname, i.relname;
+    `,
+    [schemaName]
+  );
+  for (const row of indexes) {
+    schema.tables[row.table_name]?.indexes.push({
+      name: row.index_name,
+      columns: row.columns,
+      unique: row.is_unique,
+      definition: row.definition,
+    });
+  }
+
+  const { rows: enums } = await pool.query(
+    `
+      SELECT
+        t.typname AS name,
+        ARRAY(SELECT e.enumlabel FROM pg_enum e WHERE e.enumtypid = t.oid ORDER BY e.enumsortorder)::text[] AS values
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = $1 AND t.typtype = 'e'
+      ORDER BY t.typname;
+    `,
+    [schemaName]
+  );
+  schema.enums = enums.map((row) => ({ name: row.name, values: row.values }));
+
+  // Serial and identity columns own their sequence through pg_depend
+  const { rows: sequences } = await pool.query(
+    `
+      SELECT
+        c.relname AS name,
+        format_type(s.seqtypid, NULL) AS data_type,
+        s.seqstart::text AS start_value,
+        s.seqincrement::text AS increment,
+        s.seqcycle AS cycle,
+        owner.relname AS owned_by_table,
+        a.attname AS owned_by_column
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_sequence s ON s.seqrelid = c.oid
+      LEFT JOIN pg_depend d
+        ON d.classid = 'pg_class'::regclass AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass AND d.deptype IN ('a', 'i')
+      LEFT JOIN pg_class owner ON owner.oid = d.refobjid
+      LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+      WHERE n.nspname = $1 AND c.relkind = 'S'
+      ORDER BY c.relname;
+    `,
+    [schemaName]
+  );
+  schema.sequences = sequences.map((row) => ({
+    name: row.name,
+    type: row.data_type,
+    start: Number(row.start_value),
+    increment: Number(row.increment),
+    cycle: row.cycle,
+    ownedBy: row.owned_by_table ? `${row.owned_by_table}.${row.owned_by_column}` : null,
+  }));
+
+  return schema;
+}
+
+// MySQL reports string defaults unquoted, so quote anything that is not a
+// number or an expression default
+function mysqlDefault(row) {
+  if (row.column_default === null) return null;
+  const value = String(row.column_default);
+  if (/DEFAULT_GENERATED/i.test(row.extra || "") || /^current_timestamp/i.test(value)) return value;
+  if (/int|decimal|float|double|bit/i.test(row.data_type) && /^-?[\d.]+$/.test(value)) return value;
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+// Values of a MySQL enum('a','b') column type
+function parseEnumValues(columnType) {
+  const match = /^enum\((.*)\)$/is.exec(columnType);
+  if (!match) return null;
+  return [...match[1].matchAll(/'((?:[^']|'')*)'/g)].map((value) => value[1].replace(/''/g, "'"));
+}
+
+// `schemaName` is a database name; it defaults to the connection's database
+async function introspectMysql(connection, schemaName) {
+  const pool = await getMysqlPool(connection);
+  const [[{ name: database }]] = await pool.query("SELECT COALESCE(?, DATABASE()) AS name", [schemaName ?? null]);
+  if (!database) {
+    throw new Error(`Connection '${connection.name}' has no default database; pass 'schema'`);
+  }
+  const schema = { name: database, tables: {}, views: {}, enums: [], sequences: [] };
+
+  const [columns] = await pool.query(
+    `
+      SELECT
+        c.TABLE_NAME as table_name,
+        c.COLUMN_NAME as column_name,
+        c.COLUMN_TYPE as data_type,
+        c.IS_NULLABLE as is_nullable,
+        c.COLUMN_DEFAULT as column_default,
+        c.EXTRA as extra,
+        t.TABLE_TYPE as table_type
+      FROM information_schema.COLUMNS c
+      JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+      WHERE c.TABLE_SCHEMA = ? AND t.TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+      ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION;
+    `,
+    [database]
+  );
+  for (const row of columns) {
+    if (row.table_type === "VIEW") {
+      schema.views[row.table_name] ||= { name: row.table_name, materialized: false, definition: null, columns: [] };
+      schema.views[row.table_name].columns.push({
+        name: row.column_name,
+        type: row.data_type,
+        nullable: row.is_nullable === "YES",
+      });
+      continue;
+    }
+    const values = parseEnumValues(row.data_type);
+    // MySQL enums are column types rather than named types
+    if (values) schema.enums.push({ name: `${row.table_name}.${row.column_name}`, values });
+    schema.tables[row.table_name] ||= emptyTable(row.table_name);
+    schema.tables[row.table_name].columns.push({
+      name: row.column_name,
+      type: row.data_type,
+      nullable: row.is_nullable === "YES",
+      default: mysqlDefault(row),
+      autoIncrement: /auto_increment/i.test(row.extra || ""),
+    });
+  }
+
+  const [foreignKeys] = await pool.query(
+    `
+      SELECT
+        k.TABLE_NAME as table_name,
+        k.CONSTRAINT_NAME as constraint_name,
+        k.COLUMN_NAME as column_name,
+        k.REFERENCED_TABLE_NAME as ref_table,
+        k.REFERENCED_COLUMN_NAME as ref_column,
+        r.DELETE_RULE as on_delete,
+        r.UPDATE_RULE as on_update
+      FROM information_schema.KEY_COLUMN_USAGE k
+      JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+        ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME AND r.TABLE_NAME = k.TABLE_NAME
+      WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL
+      ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION;
+    `,
+    [database]
+  );
+  for (const row of foreignKeys) {
+    const table = schema.tables[row.table_name];
+    if (!table) continue;
+    let fk = table.foreignKeys.find((candidate) => candidate.name === row.constraint_name);
+    if (!fk) {
+      fk = {
+        name: row.constraint_name,
+        columns: [],
+        refTable: row.ref_table,
+        refColumns: [],
+        onDelete: fkAction(row.on_delete),
+        onUpdate: fkAction(row.on_update),
+      };
+      table.foreignKeys.push(fk);
+    }
+    fk.columns.push(row.column_name);
+    fk.refColumns.push(row.ref_column);
+  }
+
+  const [indexColumns] = await pool.query(
+    `
+      SELECT
+        TABLE_NAME as table_name,
+        INDEX_NAME as index_name,
+        NON_UNIQUE as non_unique,
+        INDEX_TYPE as index_type,
+        COALESCE(COLUMN_NAME, EXPRESSION) as column_name
+      FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = ?
+      ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX;
+    `,
+    [database]
+  );
+  for (const row of indexColumns) {
+    const table = schema.tables[row.table_name];
+    if (!table) continue;
+    if (row.index_name === "PRIMARY") {
+      table.primaryKey ||= { name: "PRIMARY", columns: [] };
+      table.primaryKey.columns.push(row.column_name);
+      continue;
+    }
+    let index = table.indexes.find((candidate) => candidate.name === row.index_name);
+    if (!index) {
+      index = { name: row.index_name, columns: [], unique: Number(row.non_unique) === 0, method: row.index_type };
+      table.indexes.push(index);
+    }
+    index.columns.push(row.column_name);
+  }
+  // InnoDB creates an index for every foreign key; it belongs to the constraint
+  for (const table of Object.values(schema.tables)) {
+    table.indexes = table.indexes.filter(
+      (index) =>
+        index.unique ||
+        !table.foreignKeys.some((fk) => fk.name === index.name && fk.columns.join() === index.columns.join())
+    );
+  }
+
+  // CHECK constraints are enforced from MySQL 8.0.16; older servers lack the table
+  try {
+    const [checks] = await pool.query(
+      `
+        SELECT tc.TABLE_NAME as table_name, cc.CONSTRAINT_NAME as constraint_name, cc.CHECK_CLAUSE as expression
+        FROM information_schema.TABLE_CONSTRAINTS tc
+        JOIN information_schema.CHECK_CONSTRAINTS cc
+          ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        WHERE tc.TABLE_SCHEMA = ? AND tc.CONSTRAINT_TYPE = 'CHECK'
+        ORDER BY tc.TABLE_NAME, cc.CONSTRAINT_NAME;
+      `,
+      [database]
+    );
+    for (const row of checks) {
+      schema.tables[row.table_name]?.checks.push({ name: row.constraint_name, expression: row.expression });
+    }
+  } catch (error) {
+    if (error.code !== "ER_UNKNOWN_TABLE") throw error;
+  }
+
+  const [views] = await pool.query(
+    "SELECT TABLE_NAME as name, VIEW_DEFINITION as definition FROM information_schema.VIEWS WHERE TABLE_SCHEMA = ?",
+    [database]
+  );
+  for (const row of views) {
+    schema.views[row.name] ||= { name: row.name, materialized: false, definition: null, columns: [] };
+    schema.views[row.name].definition = row.definition;
+  }
+
+  return schema;
+}
+
+// `schemaName` is an attached database: main (default), temp or an ATTACH alias
+function introspectSqlite(connection, schemaName = "main") {
+  const db = getSqliteDb(connection);
+  const schema = { name: schemaName, tables: {}, views: {}, enums: [], sequences: [] };
+  if (!db.prepare("SELECT 1 FROM pragma_database_list WHERE name = ?").get(schemaName)) {
+    throw new Error(`SQLite database '${schemaName}' is not attached`);
+  }
+  const objects = db
+    .prepare(
+      `SELECT type, name, sql FROM ${quoteIdentifier(schemaName, "sqlite")}.sqlite_master
+       WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name`
+    )
+    .all();
+
+  for (const { type, name, sql } of objects) {
+    const columns = db.prepare("SELECT * FROM pragma_table_info(?, ?) ORDER BY cid").all(name, schemaName);
+    if (type === "view") {
+      schema.views[name] = {
+        name,
+        materialized: false,
+        // SQLite only keeps the full CREATE VIEW statement
+        definition: sql.replace(/^[\s\S]*?\bAS\s+/i, ""),
+        columns: columns.map((column) => ({ name: column.name, type: column.type, nullable: !column.notnull })),
+      };
+      continue;
+    }
+
+    const table = emptyTable(name);
+    const pkColumns = columns.filter((column) => column.pk > 0).sort((a, b) => a.pk - b.pk);
+    for (const column of columns) {
+      table.columns.push({
+        name: column.name,
+        type: column.type,
+        nullable: !column.notnull && column.pk === 0,
+        default: column.dflt_value,
+        // A single INTEGER PRIMARY KEY column is an alias for the rowid
+        autoIncrement: pkColumns.length === 1 && column.pk === 1 && /^integer$/i.test(column.type),
+      });
+    }
+    if (pkColumns.length > 0) {
+      table.primaryKey = { name: null, columns: pkColumns.map((column) => column.name) };
+    }
+
+    for (const index of db.prepare("SELECT * FROM pragma_index_list(?, ?)").all(name, schemaName)) {
+      if (index.origin === "pk") continue;
+      const indexColumns = db
+        .prepare("SELECT name FROM pragma_index_info(?, ?) ORDER BY seqno")
+        .all(index.name, schemaName)
+        .map((column) => column.name);
+      table.indexes.push({
+        name: index.name,
+        columns: indexColumns,
+        unique: Boolean(index.unique),
+        constraint: index.origin === "u",
+      });
+    }
+
+    const fkRows = db.prepare("SELECT * FROM pragma_foreign_key_list(?, ?) ORDER BY id, seq").all(name, schemaName);
+    for (const row of fkRows) {
+      let fk = table.foreignKeys.find((candidate) => candidate.id === row.id);
+      if (!fk) {
+        fk = {
+          id: row.id,
+          name: null,
+          columns: [],
+          refTable: row.table,
+          refColumns: [],
+          onDelete: fkAction(row.on_delete),
+          onUpdate: fkAction(row.on_update),
+        };
+        table.foreignKeys.push(fk);
+      }
+      fk.columns.push(row.from);
+      fk.refColumns.push(row.to);
+    }
+    table.foreignKeys.forEach((fk) => delete fk.id);
+
+    // SQLite has no catalog of CHECK constraints, so read them from the CREATE TABLE statement
+    try {
+      table.checks = parseDdl(sql, "sqlite").tables[name]?.checks || [];
+    } catch {
+      table.checks = [];
+    }
+
+    schema.tables[name] = table;
+  }
+  return schema;
+}
+
+// `schemaName` defaults to public on Postgres, the connection's database on
+// MySQL and main on SQLite
+async function introspectSchema(connection, schemaName) {
+  if (connection.type === "postgres") return introspectPostgres(connection, schemaName);
+  if (connection.type === "sqlite") return introspectSqlite(connection, schemaName);
+  return introspectMysql(connection, schemaName);
+}
+
+async function listSchemas(connection) {
+  if (connection.type === "postgres") {
+    const { rows } = await getPgPool(connection).query(
+      "SELECT nspname AS name FROM pg_namespace WHERE nspname <> 'information_schema' AND nspname NOT LIKE 'pg\\_%' ORDER BY nspname"
+    );
+    return rows.map((row) => row.name);
+  }
+  if (connection.type === "sqlite") {
+    return getSqliteDb(connection)
+      .prepare("SELECT name FROM pragma_database_list ORDER BY seq")
+      .all()
+      .map((row) => row.name);
+  }
+  const pool = await getMysqlPool(connection);
+  const [rows] = await pool.query(
+    `SELECT SCHEMA_NAME as name FROM information_schema.SCHEMATA
+     WHERE SCHEMA_NAME NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys') ORDER BY SCHEMA_NAME`
+  );
+  return rows.map((row) => row.name);
+}
+
+// get_schema output: the introspected model trimmed to the requested detail
+// level, with tables and views as arrays.
+async function describeSchema(connection, args) {
+  const detail = args.detail || (args.tableName ? "columns" : "summary");
+  const schema = await introspectSchema(connection, args.schema);
+  let tables = Object.values(schema.tables);
+  let views = Object.values(schema.views);
+  if (args.tableName) {
+    tables = tables.filter((table) => table.name === args.tableName);
+    views = views.filter((view) => view.name === args.tableName);
+    if (tables.length === 0 && views.length === 0) {
+      throw new Error(`Table or view '${args.tableName}' not found in ${schema.name}`);
+    }
+  }
+
+  const result = { connection: connection.name, type: connection.type, schema: schema.name, detail };
+  if (detail === "summary") {
+    if (!args.tableName) result.schemas = await listSchemas(connection);
+    result.tables = tables.map((table) => ({ name: table.name, columnCount: table.columns.length }));
+    result.views = views.map((view) => ({ name: view.name, columnCount: view.columns.length }));
+    return result;
+  }
+
+  result.tables = tables.map((table) => {
+    const described = { name: table.name, columns: table.columns, primaryKey: table.primaryKey };
+    if (detail === "full") {
+      described.uniqueConstraints = table.indexes
+        .filter((index) => index.constraint)
+        .map(({ name, columns }) => ({ name, columns }));
+      described.checkConstraints = table.checks;
+      described.indexes = table.indexes.filter((index) => !index.constraint);
+      described.foreignKeys = table.foreignKeys;
+    }
+    return described;
+  });
+  result.views = views.map(({ definition, ...view }) => (detail === "full" ? { ...view, definition } : view));
+  if (detail === "full") {
+    result.enums = schema.enums;
+    result.sequences = schema.sequences;
+    if (args.tableName) {
+      // Only the enums and sequences that belong to the requested table
+      const columnTypes = new Set(tables.flatMap((table) => table.columns.map((column) => column.type)));
+      result.enums = schema.enums.filter(
+        (entry) => columnTypes.has(entry.name) || entry.name.startsWith(`${args.tableName}.`)
+      );
+      result.sequences = schema.sequences.filter((sequence) => sequence.ownedBy?.startsWith(`${args.tableName}.`));
+    }
+  }
+  return result;
+}
+
+// Accepts the normalized shape, with tables as an object or an array and a
+// few conveniences: column-level primaryKey/unique and notNull.
+function normalizeSchemaDefinition(definition) {
+  const schema = { tables: {} };
+  const tables = Array.isArray(definition.tables)
+    ? definition.tables
+    : Object.entries(definition.tables || {}).map(([name, table]) => ({ name, ...table }));
+
+  for (const input of tables) {
+    if (!input.name) throw new Error("Every table in targetSchema needs a name");
+    const table = emptyTable(input.name);
+    const inlinePk = [];
+    for (const column of input.columns || []) {
+      if (!column.name || !column.type) {
+        throw new Error(`Columns of table '${input.name}' need a name and a type`);
+      }
+      const serial = SERIAL_TYPES[String(column.type).toLowerCase()];
+      table.columns.push({
+        name: column.name,
+        type: serial || column.type,
+        nullable: column.nullable ?? !(column.notNull || column.primaryKey),
+        default: column.default ?? null,
+        autoIncrement: Boolean(column.autoIncrement || serial),
+      });
+      if (column.primaryKey) inlinePk.push(column.name);
+      if (column.unique) {
+        table.indexes.push({ name: null, columns: [column.name], unique: true, constraint: true });
+      }
+    }
+    const primaryKey = input.primaryKey;
+    if (primaryKey) {
+      table.primaryKey = Array.isArray(primaryKey)
+        ? { name: null, columns: primaryKey }
+        : { name: primaryKey.name || null, columns: primaryKey.columns };
+    } else if (inlinePk.length > 0) {
+      table.primaryKey = { name: null, columns: inlinePk };
+    }
+    for (const index of input.indexes || []) {
+      table.indexes.push({ name: index.name || null, columns: index.columns, unique: Boolean(index.unique) });
+    }
+    for (const fk of input.foreignKeys || []) {
+      table.foreignKeys.push({
+        name: fk.name || null,
+        columns: fk.columns,
+        refTable: fk.refTable,
+        refColumns: fk.refColumns,
+        onDelete: fkAction(fk.onDelete),
+        onUpdate: fkAction(fk.onUpdate),
+      });
+    }
+    schema.tables[table.name] = table;
+  }
+  return finalizeSchema(schema);
+}
+
+// ---------------------------------------------------------------------------
+// DDL parsing (CREATE TABLE, CREATE INDEX and ALTER TABLE ... ADD CONSTRAINT)
+// ---------------------------------------------------------------------------
+
+function stripSqlComments(sql, dialect) {
+  return tokenizeSql(sql, dialect)
+    .map((segment) => (segment.type === "comment" ? " " : segment.text))
+    .join("");
+}
+
+// Same-length copy of `text` with literal contents blanked out, so keyword
+// and parenthesis positions can be found without tripping over strings.
+function maskLiterals(text, dialect) {
+  return tokenizeSql(text, dialect)
+    .map(({ type, text: segment }) => {
+      if (type === "code" || segment.length < 2) return segment;
+      if (type === "comment") return " ".repeat(segment.length);
+      return segment[0] + "_".repeat(segment.length - 2) + segment[segment.length - 1];
+    })
+    .join("");
+}
+
+// Splits on commas that are not nested in parentheses or literals
+function splitTopLevel(text, dialect) {
+  const masked = maskLiterals(text, dialect);
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === "(") depth++;
+    else if (masked[i] === ")") depth--;
+    else if (masked[i] === "," && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+// Returns the contents of the parenthesized group starting at or after `from`
+function readParenGroup(text, masked, from) {
+  const open = masked.indexOf("(", from);
+  if (open === -1) return null;
+  let depth = 0;
+  for (let i = open; i < masked.length; i++) {
+    if (masked[i] === "(") depth++;
+    else if (masked[i] === ")" && --depth === 0) {
+      return { inner: text.slice(open + 1, i), start: open, end: i + 1 };
+    }
+  }
+  return null;
+}
+
+function parseColumnList(text, dialect) {
+  return splitTopLevel(text, dialect).map((column) =>
+    /^("[^"]*"|`[^`]*`|\[[^\]]*\]|[A-Za-z_][A-Za-z0-9_$]*)$/.test(column)
+      ? unquoteIdentifier(column, dialect)
+      : column.replace(/\s+/g, " ")
+  );
+}
+
+function lastNamePart(name, dialect) {
+  const parts = name.match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.]+/g) || [name];
+  return unquoteIdentifier(parts[parts.length - 1], dialect);
+}
+
+// A possibly schema-qualified identifier; patterns run against masked text
+// with the "d" flag so captured names can be sliced from the original.
+const IDENTIFIER_PART = String.raw`(?:"[^"]*"|\x60[^\x60]*\x60|\[[^\]]*\]|[\w$]+)`;
+const IDENTIFIER_PATTERN = String.raw`(${IDENTIFIER_PART}(?:\.${IDENTIFIER_PART})*)`;
+
+function captured(text, match, group) {
+  return text.slice(...match.indices[group]);
+}
+
+function parseReferences(text, masked, dialect) {
+  const match = new RegExp(String.raw`REFERENCES\s+${IDENTIFIER_PATTERN}`, "id").exec(masked);
+  if (!match) return null;
+  const refTable = lastNamePart(captured(text, match, 1), dialect);
+  const group = readParenGroup(text, masked, match.indices[0][1]);
+  const tail = masked.slice(group ? group.end : match.indices[0][1]);
+  const action = (event) =>
+    (new RegExp(String.raw`ON\s+${event}\s+(CASCADE|RESTRICT|NO\s+ACTION|SET\s+NULL|SET\s+DEFAULT)`, "i").exec(tail) || [])[1];
+  return {
+    refTable,
+    refColumns: group ? parseColumnList(group.inner, dialect) : [],
+    onDelete: fkAction(action("DELETE")),
+    onUpdate: fkAction(action("UPDATE")),
+  };
+}
+
+const COLUMN_CONSTRAINT_KEYWORDS =
+  /\b(NOT\s+NULL|NULL|DEFAULT|PRIMARY\s+KEY|UNIQUE|REFERENCES|CHECK|CONSTRAINT|AUTO_INCREMENT|AUTOINCREMENT|GENERATED|COLLATE|COMMENT|ON\s+UPDATE|CHARACTER\s+SET)\b/gi;
+
+function parseColumnDefinition(definition, table, dialect) {
+  const masked = maskLiterals(definition, dialect);
+  // SQLite columns may omit the type entirely
+  const nameMatch = new RegExp(`^${IDENTIFIER_PATTERN}(?:\\s+|$)`, "d").exec(masked);
+  if (!nameMatch) throw new Error(`Cannot parse column definition: ${definition}`);
+  const name = unquoteIdentifier(captured(definition, nameMatch, 1), dialect);
+  const rest = definition.slice(nameMatch[0].length);
+  const restMasked = masked.slice(nameMatch[0].length);
+
+  // Keyword positions at paren depth 0 split the definition into type and modifiers
+  const keywords = [];
+  let depth = 0;
+  let lastIndex = 0;
+  for (const match of restMasked.matchAll(COLUMN_CONSTRAINT_KEYWORDS)) {
+    for (const ch of restMasked.slice(lastIndex, match.index)) {
+      if (ch === "(") depth++;
+      else if (ch === ")") depth--;
+    }
+    lastIndex = match.index;
+    const keyword = match[1].toUpperCase().replace(/\s+/g, " ");
+    const previous = keywords[keywords.length - 1];
+    // In "DEFAULT NULL" the NULL is the default value, not a modifier
+    const isDefaultValue = keyword === "NULL" && previous?.keyword === "DEFAULT" && !restMasked.slice(previous.index + 7, match.index).trim();
+    if (depth === 0 && !isDefaultValue) keywords.push({ keyword, index: match.index });
+  }
+
+  const typeEnd = keywords.length > 0 ? keywords[0].index : rest.length;
+  let type = rest.slice(0, typeEnd).trim();
+  const modifiers = restMasked.slice(typeEnd).toUpperCase();
+  const serial = SERIAL_TYPES[type.toLowerCase()];
+  if (serial) type = serial;
+
+  const column = {
+    name,
+    type,
+    nullable: !/\bNOT\s+NULL\b/.test(modifiers) && !/\bPRIMARY\s+KEY\b/.test(modifiers),
+    default: null,
+    autoIncrement: Boolean(serial) || /\b(AUTO_INCREMENT|AUTOINCREMENT|GENERATED\b.*\bIDENTITY)\b/.test(modifiers),
+  };
+
+  const defaultIndex = keywords.findIndex((entry) => entry.keyword === "DEFAULT");
+  if (defaultIndex !== -1) {
+    const start = keywords[defaultIndex].index + "DEFAULT".length;
+    const end = keywords[defaultIndex + 1]?.index ?? rest.length;
+    const value = rest.slice(start, end).trim();
+    column.default = normalizeDefault(value) === null ? null : value;
+  }
+
+  table.columns.push(column);
+  if (/\bPRIMARY\s+KEY\b/.test(modifiers)) {
+    table.primaryKey = { name: null, columns: [name] };
+  }
+  if (/\bUNIQUE\b/.test(modifiers)) {
+    table.indexes.push({ name: null, columns: [name], unique: true, constraint: true });
+  }
+  const references = parseReferences(rest, restMasked, dialect);
+  if (references) {
+    table.foreignKeys.push({ name: null, columns: [name], ...references });
+  }
+  keywords.forEach((entry, i) => {
+    if (entry.keyword !== "CHECK") return;
+    const group = readParenGroup(rest, restMasked, entry.index);
+    const previous = keywords[i - 1];
+    const checkName =
+      previous?.keyword === "CONSTRAINT" ? unquoteIdentifier(rest.slice(previous.index + 10, entry.index), dialect) : null;
+    if (group) table.checks.push({ name: checkName, expression: group.inner.trim() });
+  });
+}
+
+// Handles PRIMARY KEY, UNIQUE, FOREIGN KEY, CHECK and MySQL KEY/INDEX entries.
+// Returns false for definitions that are not table constraints.
+function parseTableConstraint(definition, table, dialect) {
+  const masked = maskLiterals(definition, dialect);
+  let body = definition;
+  let bodyMasked = masked;
+  let name = null;
+
+  const constraint = new RegExp(`^CONSTRAINT\\s+${IDENTIFIER_PATTERN}\\s+`, "id").exec(masked);
+  if (constraint) {
+    name = unquoteIdentifier(captured(definition, constraint, 1), dialect);
+    body = definition.slice(constraint[0].length);
+    bodyMasked = masked.slice(constraint[0].length);
+  }
+
+  const kind = /^(PRIMARY\s+KEY|UNIQUE(?:\s+(?:KEY|INDEX))?|FOREIGN\s+KEY|KEY|INDEX|CHECK|FULLTEXT|SPATIAL|EXCLUDE)\b/i.exec(bodyMasked);
+  if (!kind) return false;
+  const keyword = kind[1].toUpperCase().replace(/\s+/g, " ");
+  if (["FULLTEXT", "SPATIAL", "EXCLUDE"].includes(keyword)) return true;
+
+  const group = readParenGroup(body, bodyMasked, kind[0].length);
+  if (!group) throw new Error(`Cannot parse table constraint: ${definition}`);
+  if (keyword === "CHECK") {
+    table.checks.push({ name, expression: group.inner.trim() });
+    return true;
+  }
+  // MySQL allows an index name between the keyword and the column list
+  const between = body.slice(kind[0].length, group.start).trim();
+  if (between && !name) name = unquoteIdentifier(between, dialect);
+  const columns = parseColumnList(group.inner, dialect);
+
+  if (keyword === "PRIMARY KEY") {
+    table.primaryKey = { name, columns };
+  } else if (keyword === "FOREIGN KEY") {
+    const references = parseReferences(body.slice(group.end), bodyMasked.slice(group.end), dialect);
+    table.foreignKeys.push({ name, columns, ...references });
+  } else {
+    const unique = keyword.startsWith("UNIQUE");
+    table.indexes.push({ name, columns, unique, constraint: unique && !/KEY|INDEX/.test(keyword.slice(6)) });
+  }
+  return true;
+}
+
+// Primary key columns are implicitly NOT NULL on every engine
+function finalizeSchema(schema) {
+  for (const table of Object.values(schema.tables)) {
+    for (const column of table.columns) {
+      if (table.primaryKey?.columns.includes(column.name)) column.nullable = false;
+    }
+  }
+  return schema;
+}
+
+function parseDdl(sql, dialect) {
+  const schema = { tables: {} };
+  const tableFor = (name) => (schema.tables[name] ||= emptyTable(name));
+
+  for (const { text } of splitStatements(stripSqlComments(sql, dialect), dialect)) {
+    const masked = maskLiterals(text, dialect);
+
+    const createTable = new RegExp(
+      String.raw`^CREATE\s+(?:(?:GLOBAL\s+|LOCAL\s+)?TEMP(?:ORARY)?\s+|UNLOGGED\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?${IDENTIFIER_PATTERN}\s*\(`,
+      "id"
+    ).exec(masked);
+    if (createTable) {
+      const table = tableFor(lastNamePart(captured(text, createTable, 1), dialect));
+      const group = readParenGroup(text, masked, createTable[0].length - 1);
+      for (const definition of splitTopLevel(group.inner, dialect)) {
+        if (!parseTableConstraint(definition, table, dialect)) {
+          parseColumnDefinition(definition, table, dialect);
+        }
+      }
+      continue;
+    }
+
+    const createIndex = new RegExp(
+      String.raw`^CREATE\s+(UNIQUE\s+)?INDEX\s+(?:CONCURRENTLY\s+)?(?:IF\s+NOT\s+EXISTS\s+)?${IDENTIFIER_PATTERN}\s+ON\s+(?:ONLY\s+)?${IDENTIFIER_PATTERN}`,
+      "id"
+    ).exec(masked);
+    if (createIndex) {
+      const group = readParenGroup(text, masked, createIndex[0].length);
+      tableFor(lastNamePart(captured(text, createIndex, 3), dialect)).indexes.push({
+        name: lastNamePart(captured(text, createIndex, 2), dialect),
+        columns: parseColumnList(group.inner, dialect),
+        unique: Boolean(createIndex[1]),
+      });
+      continue;
+    }
+
+    // pg_dump and mysqldump add keys after the table, e.g. ALTER TABLE ONLY t ADD CONSTRAINT ...
+    const alterAdd = new RegExp(String.raw`^ALTER\s+TABLE\s+(?:ONLY\s+)?${IDENTIFIER_PATTERN}\s+ADD\s+`, "id").exec(masked);
+    if (alterAdd) {
+      const table = tableFor(lastNamePart(captured(text, alterAdd, 1), dialect));
+      const definition = text.slice(alterAdd[0].length).replace(/^COLUMN\s+/i, "");
+      if (!parseTableConstraint(definition, table, dialect)) {
+        parseColumnDefinition(definition, table, dialect);
+      }
+    }
+  }
+
+  return finalizeSchema(schema);
+}
+
+// ---------------------------------------------------------------------------
+// Schema diffing and migration rendering
+// ---------------------------------------------------------------------------
+
+function indexSignature(index) {
+  return `${index.unique ? "unique" : "index"}(${index.columns.join(",")})`;
+}
+
+function foreignKeySignature(fk) {
+  return `(${fk.columns.join(",")})->${fk.refTable}(${fk.refColumns.join(",")}) ${fk.onDelete}/${fk.onUpdate}`;
+}
+
+function defaultIndexName(table, index) {
+  return `${table}_${index.columns.map((column) => column.replace(/\W+/g, "_")).join("_")}_${index.unique ? "key" : "idx"}`;
+}
+
+function defaultForeignKeyName(table, fk) {
+  return `${table}_${fk.columns.join("_")}_fkey`;
+}
+
+// Operations that turn schema `from` into schema `to`, grouped by the order
+// in which they must run.
+function diffSchemas(from, to, dialect) {
+  const ops = {
+    dropForeignKeys: [],
+    dropIndexes: [],
+    dropPrimaryKeys: [],
+    dropColumns: [],
+    dropTables: [],
+    createTables: [],
+    addColumns: [],
+    alterColumns: [],
+    addPrimaryKeys: [],
+    createIndexes: [],
+    addForeignKeys: [],
+  };
+
+  for (const table of Object.values(from.tables)) {
+    if (!to.tables[table.name]) {
+      ops.dropForeignKeys.push(...table.foreignKeys.map((fk) => ({ table: table.name, fk })));
+      ops.dropTables.push(table);
+    }
+  }
+
+  for (const target of Object.values(to.tables)) {
+    const current = from.tables[target.name];
+    if (!current) {
+      ops.createTables.push(target);
+      ops.createIndexes.push(...target.indexes.map((index) => ({ table: target.name, index })));
+      if (dialect !== "sqlite") {
+        ops.addForeignKeys.push(...target.foreignKeys.map((fk) => ({ table: target.name, fk })));
+      }
+      continue;
+    }
+
+    for (const column of target.columns) {
+      const existing = current.columns.find((candidate) => candidate.name === column.name);
+      if (!existing) {
+        ops.addColumns.push({ table: target.name, column });
+        continue;
+      }
+      const changes = [];
+      if (normalizeType(existing.type, dialect) !== normalizeType(column.type, dialect)) changes.push("type");
+      if (existing.nullable !== column.nullable) changes.push("nullable");
+      if (normalizeDefault(existing.default) !== normalizeDefault(column.default)) changes.push("default");
+      // SQLite has no auto-increment column property, only rowid aliases
+      if (dialect !== "sqlite" && Boolean(existing.autoIncrement) !== Boolean(column.autoIncrement)) {
+        changes.push("autoIncrement");
+      }
+      if (changes.length > 0) {
+        ops.alterColumns.push({ table: target.name, from: existing, to: column, changes });
+      }
+    }
+    for (const column of current.columns) {
+      if (!target.columns.some((candidate) => candidate.name === column.name)) {
+        ops.dropColumns.push({ table: target.name, column });
+      }
+    }
+
+    const currentPk = current.primaryKey?.columns.join(",") || "";
+    const targetPk = target.primaryKey?.columns.join(",") || "";
+    if (currentPk !== targetPk) {
+      if (current.primaryKey) ops.dropPrimaryKeys.push({ table: target.name, primaryKey: current.primaryKey });
+      if (target.primaryKey) ops.addPrimaryKeys.push({ table: target.name, primaryKey: target.primaryKey });
+    }
+
+    const currentIndexes = new Set(current.indexes.map(indexSignature));
+    const targetIndexes = new Set(target.indexes.map(indexSignature));
+    for (const index of current.indexes) {
+      if (!targetIndexes.has(indexSignature(index))) ops.dropIndexes.push({ table: target.name, index });
+    }
+    for (const index of target.indexes) {
+      if (!currentIndexes.has(indexSignature(index))) ops.createIndexes.push({ table: target.name, index });
+    }
+
+    const currentFks = new Set(current.foreignKeys.map(foreignKeySignature));
+    const targetFks = new Set(target.foreignKeys.map(foreignKeySignature));
+    for (const fk of current.foreignKeys) {
+      if (!targetFks.has(foreignKeySignature(fk))) ops.dropForeignKeys.push({ table: target.name, fk });
+    }
+    for (const fk of target.foreignKeys) {
+      if (!currentFks.has(foreignKeySignature(fk))) ops.addForeignKeys.push({ table: target.name, fk });
+    }
+  }
+
+  return ops;
+}
+
+function columnDefinition(column, dialect) {
+  let type = column.type;
+  let extra = "";
+  if (column.autoIncrement) {
+    if (dialect === "postgres") {
+      const serial = Object.entries(SERIAL_TYPES).find(([, base]) => base === normalizeType(type, dialect));
+      if (serial) type = serial[0];
+      else extra = " GENERATED BY DEFAULT AS IDENTITY";
+    } else if (dialect === "mysql") {
+      extra = " AUTO_INCREMENT";
+    }
+  }
+  const nullability = column.nullable ? "" : " NOT NULL";
+  const defaultValue = column.default !== null && column.default !== undefined ? ` DEFAULT ${column.default}` : "";
+  return `${quoteIdentifier(column.name, dialect)} ${type}${extra}${nullability}${defaultValue}`;
+}
+
+function foreignKeyClause(fk, dialect) {
+  const columns = fk.columns.map((column) => quoteIdentifier(column, dialect)).join(", ");
+  const refColumns = fk.refColumns.map((column) => quoteIdentifier(column, dialect)).join(", ");
+  let clause = `FOREIGN KEY (${columns}) REFERENCES ${quoteIdentifier(fk.refTable, dialect)} (${refColumns})`;
+  if (fk.onDelete !== "NO ACTION") clause += ` ON DELETE ${fk.onDelete}`;
+  if (fk.onUpdate !== "NO ACTION") clause += ` ON UPDATE ${fk.onUpdate}`;
+  return clause;
+}
+
+function renderMigrationOps(ops, dialect, schemaName) {
+  const q = (identifier) => quoteIdentifier(identifier, dialect);
+  const qualify = (table) => (dialect === "postgres" && schemaName !== "public" ? `${q(schemaName)}.${q(table)}` : q(table));
+  const sql = [];
+
+  for (const { table, fk } of ops.dropForeignKeys) {
+    if (dialect === "sqlite") continue; // Dropped with the table or requires a rebuild
+    const name = fk.name || defaultForeignKeyName(table, fk);
+    sql.push(
+      dialect === "mysql"
+        ? `ALTER TABLE ${qualify(table)} DROP FOREIGN KEY ${q(name)};`
+        : `ALTER TABLE ${qualify(table)} DROP CONSTRAINT ${q(name)};`
+    );
+  }
+  for (const { table, index } of ops.dropIndexes) {
+    const name = index.name || defaultIndexName(table, index);
+    if (dialect === "mysql") {
+      sql.push(`ALTER TABLE ${qualify(table)} DROP INDEX ${q(name)};`);
+    } else if (dialect === "postgres" && index.constraint) {
+      sql.push(`ALTER TABLE ${qualify(table)} DROP CONSTRAINT ${q(name)};`);
+    } else if (dialect === "sqlite" && index.constraint) {
+      sql.push(`-- SQLite cannot drop the UNIQUE constraint on ${q(table)} (${index.columns.join(", ")}); rebuild the table`);
+    } else {
+      sql.push(`DROP INDEX ${dialect === "postgres" && schemaName !== "public" ? `${q(schemaName)}.${q(name)}` : q(name)};`);
+    }
+  }
+  for (const { table, primaryKey } of ops.dropPrimaryKeys) {
+    if (dialect === "mysql") sql.push(`ALTER TABLE ${qualify(table)} DROP PRIMARY KEY;`);
+    else if (dialect === "postgres") sql.push(`ALTER TABLE ${qualify(table)} DROP CONSTRAINT ${q(primaryKey.name || `${table}_pkey`)};`);
+    else sql.push(`-- SQLite cannot change the primary key of ${q(table)}; rebuild the table`);
+  }
+  for (const { table, column } of ops.dropColumns) {
+    sql.push(`ALTER TABLE ${qualify(table)} DROP COLUMN ${q(column.name)};`);
+  }
+  for (const table of ops.dropTables) {
+    sql.push(`DROP TABLE ${qualify(table.name)};`);
+  }
+
+  for (const table of ops.createTables) {
+    const lines = table.columns.map((column) => `  ${columnDefinition(column, dialect)}`);
+    if (table.primaryKey) {
+      const name = table.primaryKey.name && dialect === "postgres" ? `CONSTRAINT ${q(table.primaryKey.name)} ` : "";
+      lines.push(`  ${name}PRIMARY KEY (${table.primaryKey.columns.map(q).join(", ")})`);
+    }
+    if (dialect === "sqlite") {
+      // SQLite cannot add foreign keys later, so they are declared inline
+      lines.push(...table.foreignKeys.map((fk) => `  ${foreignKeyClause(fk, dialect)}`));
+    }
+    sql.push(`CREATE TABLE ${qualify(table.name)} (\n${lines.join(",\n")}\n);`);
+  }
+  for (const { table, column } of ops.addColumns) {
+    sql.push(`ALTER TABLE ${qualify(table)} ADD COLUMN ${columnDefinition(column, dialect)};`);
+  }
+  for (const { table, from, to, changes } of ops.alterColumns) {
+    const column = q(to.name);
+    if (dialect === "mysql") {
+      sql.push(`ALTER TABLE ${qualify(table)} MODIFY COLUMN ${columnDefinition(to, dialect)};`);
+    } else if (dialect === "sqlite") {
+      sql.push(`-- SQLite cannot alter column ${column} on ${q(table)} (${changes.join(", ")}); rebuild the table`);
+    } else {
+      if (changes.includes("type")) {
+        sql.push(`ALTER TABLE ${qualify(table)} ALTER COLUMN ${column} TYPE ${to.type} USING ${column}::${to.type};`);
+      }
+      if (changes.includes("nullable")) {
+        sql.push(`ALTER TABLE ${qualify(table)} ALTER COLUMN ${column} ${to.nullable ? "DROP" : "SET"} NOT NULL;`);
+      }
+      if (changes.includes("default")) {
+        sql.push(
+          to.default === null || to.default === undefined
+            ? `ALTER TABLE ${qualify(table)} ALTER COLUMN ${column} DROP DEFAULT;`
+            : `ALTER TABLE ${qualify(table)} ALTER COLUMN ${column} SET DEFAULT ${to.default};`
+        );
+      }
+      if (changes.includes("autoIncrement")) {
+        sql.push(
+          to.autoIncrement
+            ? `ALTER TABLE ${qualify(table)} ALTER COLUMN ${column} ADD GENERATED BY DEFAULT AS IDENTITY;`
+            : `-- ${q(table)}.${column} no longer auto-increments (was ${from.type}); drop its sequence or identity manually`
+        );
+      }
+    }
+  }
+  for (const { table, primaryKey } of ops.addPrimaryKeys) {
+    if (dialect === "sqlite") continue; // Reported with the drop above
+    sql.push(`ALTER TABLE ${qualify(table)} ADD PRIMARY KEY (${primaryKey.columns.map(q).join(", ")});`);
+  }
+  for (const { table, index } of ops.createIndexes) {
+    const name = index.name || defaultIndexName(table, index);
+    const columns = index.columns.map((column) => quoteIndexColumn(column, dialect)).join(", ");
+    sql.push(`CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${q(name)} ON ${qualify(table)} (${columns});`);
+  }
+  for (const { table, fk } of ops.addForeignKeys) {
+    if (dialect === "sqlite") {
+      sql.push(`-- SQLite cannot add a foreign key to ${q(table)} (${fk.columns.join(", ")}); rebuild the table`);
+      continue;
+    }
+    const name = fk.name || defaultForeignKeyName(table, fk);
+    sql.push(`ALTER TABLE ${qualify(table)} ADD CONSTRAINT ${q(name)} ${foreignKeyClause(fk, dialect)};`);
+  }
+
+  return sql;
+}
+
+function summarizeMigrationOps(ops) {
+  const lines = [];
+  ops.createTables.forEach((table) => lines.push(`+ table ${table.name}`));
+  ops.dropTables.forEach((table) => lines.push(`- table ${table.name}`));
+  ops.addColumns.forEach(({ table, column }) => lines.push(`+ column ${table}.${column.name} ${column.type}`));
+  ops.dropColumns.forEach(({ table, column }) => lines.push(`- column ${table}.${column.name}`));
+  ops.alterColumns.forEach(({ table, from, to, changes }) => {
+    const details = changes.map((change) => `${change}: ${JSON.stringify(from[change])} -> ${JSON.stringify(to[change])}`);
+    lines.push(`~ column ${table}.${to.name} (${details.join(", ")})`);
+  });
+  ops.addPrimaryKeys.forEach(({ table, primaryKey }) => lines.push(`~ primary key ${table} (${primaryKey.columns.join(", ")})`));
+  ops.dropPrimaryKeys
+    .filter(({ table }) => !ops.addPrimaryKeys.some((op) => op.table === table))
+    .forEach(({ table }) => lines.push(`- primary key ${table}`));
+  ops.createIndexes
+    .filter(({ table }) => !ops.createTables.some((created) => created.name === table))
+    .forEach(({ table, index }) => lines.push(`+ ${index.unique ? "unique " : ""}index ${table} (${index.columns.join(", ")})`));
+  ops.dropIndexes.forEach(({ table, index }) => lines.push(`- index ${table} (${index.columns.join(", ")})`));
+  ops.addForeignKeys
+    .filter(({ table }) => !ops.createTables.some((created) => created.name === table))
+    .forEach(({ table, fk }) => lines.push(`+ foreign key ${table} (${fk.columns.join(", ")}) -> ${fk.refTable}`));
+  ops.dropForeignKeys
+    .filter(({ table }) => !ops.dropTables.some((dropped) => dropped.name === table))
+    .forEach(({ table, fk }) => lines.push(`- foreign key ${table} (${fk.columns.join(", ")}) -> ${fk.refTable}`));
+  return lines;
+}
+
+// Loads the schema a migration should arrive at from whichever target was given
+async function resolveTargetSchema(args, connection) {
+  const given = ["targetConnection", "targetSchema", "targetDdl"].filter((key) => args[key] !== undefined);
+  if (given.length > 1) {
+    throw new Error(`Pass only one of targetConnection, targetSchema or targetDdl (got ${given.join(", ")})`);
+  }
+  if (args.targetConnection) {
+    const target = await resolveConnection({ connection: args.targetConnection });
+    if (target.type !== connection.type) {
+      throw new Error(`Cannot diff a ${connection.type} schema against a ${target.type} schema`);
+    }
+    return introspectSchema(target, args.schema);
+  }
+  if (args.targetSchema) {
+    const definition = typeof args.targetSchema === "string" ? JSON.parse(args.targetSchema) : args.targetSchema;
+    return normalizeSchemaDefinition(definition);
+  }
+  return parseDdl(args.targetDdl, connection.type);
+}
+
+// ---------------------------------------------------------------------------
+// ER diagrams
+//
+// Tables and foreign keys of an introspected schema rendered as Mermaid
+// erDiagram, PlantUML or Graphviz DOT.
+// ---------------------------------------------------------------------------
+
+const ER_FORMATS = ["mermaid", "plantuml", "dot"];
+
+// Tables named in `tables`, plus everything within `hops` foreign keys of
+// `startTable` in either direction; all tables when neither is given.
+function selectDiagramTables(schema, args) {
+  const names = Object.keys(schema.tables);
+  const requested = [...(args.tables || []), ...(args.startTable ? [args.startTable] : [])];
+  const unknown = requested.filter((name) => !schema.tables[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown table(s) in ${schema.name}: ${unknown.join(", ")}`);
+  }
+  if (requested.length === 0) return new Set(names);
+
+  const selected = new Set(args.tables || []);
+  if (args.startTable) {
+    const neighbours = new Map(names.map((name) => [name, new Set()]));
+    for (const table of Object.values(schema.tables)) {
+      for (const fk of table.foreignKeys) {
+        if (!neighbours.has(fk.refTable)) continue;
+        neighbours.get(table.name).add(fk.refTable);
+        neighbours.get(fk.refTable).add(table.name);
+      }
+    }
+    let frontier = [args.startTable];
+    selected.add(args.startTable);
+    for (let hop = 0; hop < (args.hops ?? 1) && frontier.length > 0; hop++) {
+      frontier = frontier.flatMap((name) => [...neighbours.get(name)]).filter((name) => !selected.has(name));
+      frontier.forEach((name) => selected.add(name));
+    }
+  }
+  return selected;
+}
+
+// Entities with their columns and key markers, and one relationship per
+// foreign key between two selected tables.
+function buildErModel(schema, args) {
+  const selected = selectDiagramTables(schema, args);
+  const columnsMode = args.columns || "all";
+  const entities = [];
+  const relationships = [];
+
+  for (const name of [...selected].sort()) {
+    const table = schema.tables[name];
+    const primaryKey = table.primaryKey?.columns || [];
+    const foreignKeyColumns = new Set(table.foreignKeys.flatMap((fk) => fk.columns));
+    const uniqueColumns = new Set(
+      table.indexes.filter((index) => index.unique && index.columns.length === 1).map((index) => index.columns[0])
+    );
+    const columns = table.columns
+      .map((column) => ({
+        name: column.name,
+        type: column.type,
+        nullable: column.nullable,
+        keys: [
+          primaryKey.includes(column.name) && "PK",
+          foreignKeyColumns.has(column.name) && "FK",
+          uniqueColumns.has(column.name) && !primaryKey.includes(column.name) && "UK",
+        ].filter(Boolean),
+      }))
+      .filter((column) => columnsMode === "all" || (columnsMode === "keys" && column.keys.length > 0));
+    entities.push({ name, columns });
+
+    for (const fk of table.foreignKeys) {
+      if (!selected.has(fk.refTable)) continue;
+      const optional = fk.columns.some((columnName) => table.columns.find((column) => column.name === columnName)?.nullable);
+      // A foreign key that is also the primary key or a unique key is one-to-one
+      const oneToOne = [primaryKey, ...table.indexes.filter((index) => index.unique).map((index) => index.columns)].some(
+        (key) => key.length === fk.columns.length && key.every((columnName) => fk.columns.includes(columnName))
+      );
+      relationships.push({
+        parent: fk.refTable,
+        child: name,
+        name: fk.name || fk.columns.join("_"),
+        columns: fk.columns,
+        refColumns: fk.refColumns,
+        optional,
+        oneToOne,
+      });
+    }
+  }
+  return { entities, relationships };
+}
+
+// Mermaid and PlantUML names only allow word characters
+function diagramIdentifier(name) {
+  return name.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+function diagramType(type) {
+  return String(type).replace(/\s+/g, "_").replace(/,/g, "_").replace(/[^\w()[\]]/g, "");
+}
+
+function crowsFoot(relationship) {
+  return `${relationship.optional ? "|o" : "||"}--${relationship.oneToOne ? "o|" : "o{"}`;
+}
+
+function renderMermaidEr({ entities, relationships }) {
+  const lines = ["erDiagram"];
+  for (const entity of entities) {
+    if (entity.columns.length === 0) {
+      lines.push(`  ${diagramIdentifier(entity.name)}`);
+      continue;
+    }
+    lines.push(`  ${diagramIdentifier(entity.name)} {`);
+    for (const column of entity.columns) {
+      const keys = column.keys.length > 0 ? ` ${column.keys.join(", ")}` : "";
+      lines.push(`    ${diagramType(column.type)} ${diagramIdentifier(column.name)}${keys}`);
+    }
+    lines.push("  }");
+  }
+  for (const relationship of relationships) {
+    lines.push(
+      `  ${diagramIdentifier(relationship.parent)} ${crowsFoot(relationship)} ${diagramIdentifier(relationship.child)} : "${relationship.name.replace(/"/g, "'")}"`
+    );
+  }
+  return lines.join("\n");
+}
+
+function renderPlantUmlEr({ entities, relationships }) {
+  const lines = ["@startuml", "hide circle", "skinparam linetype ortho", ""];
+  for (const entity of entities) {
+    lines.push(`entity "${entity.name}" as ${diagramIdentifier(entity.name)} {`);
+    const keyColumns = entity.columns.filter((column) => column.keys.includes("PK"));
+    const otherColumns = entity.columns.filter((column) => !column.keys.includes("PK"));
+    // Mandatory columns are starred; primary key columns go above the separator
+    const line = (column) =>
+      `  ${column.nullable ? "" : "* "}${column.name} : ${column.type}${column.keys.map((key) => ` <<${key}>>`).join("")}`;
+    lines.push(...keyColumns.map(line));
+    if (keyColumns.length > 0) lines.push("  --");
+    lines.push(...otherColumns.map(line), "}", "");
+  }
+  for (const relationship of relationships) {
+    lines.push(
+      `${diagramIdentifier(relationship.parent)} ${crowsFoot(relationship)} ${diagramIdentifier(relationship.child)} : ${relationship.name}`
+    );
+  }
+  lines.push("@enduml");
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function dotId(text) {
+  return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function renderDotEr({ entities, relationships }) {
+  const lines = [
+    "digraph schema {",
+    "  graph [rankdir=LR];",
+    '  node [shape=plain, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  for (const entity of entities) {
+    const rows = entity.columns.map((column) => {
+      const keys = column.keys.length > 0 ? ` (${column.keys.join(", ")})` : "";
+      return `<tr><td port=${dotId(column.name)} align="left">${escapeHtml(column.name)} : ${escapeHtml(column.type)}${keys}</td></tr>`;
+    });
+    lines.push(
+      `  ${dotId(entity.name)} [label=<<table border="0" cellborder="1" cellspacing="0"><tr><td bgcolor="lightgrey"><b>${escapeHtml(entity.name)}</b></td></tr>${rows.join("")}</table>>];`
+    );
+  }
+  for (const relationship of relationships) {
+    const entity = (name) => entities.find((candidate) => candidate.name === name);
+    // Point at the key columns when they are drawn, otherwise at the table
+    const end = (table, column) =>
+      entity(table).columns.some((candidate) => candidate.name === column) ? `${dotId(table)}:${dotId(column)}` : dotId(table);
+    lines.push(
+      `  ${end(relationship.child, relationship.columns[0])} -> ${end(relationship.parent, relationship.refColumns[0])} [label=${dotId(relationship.name)}${relationship.oneToOne ? ", arrowhead=tee" : ""}${relationship.optional ? ", style=dashed" : ""}];`
+    );
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+function renderErDiagram(model, format) {
+  if (format === "plantuml") return renderPlantUmlEr(model);
+  if (format === "dot") return renderDotEr(model);
+  return renderMermaidEr(model);
+}
+
+// ---------------------------------------------------------------------------
+// Dedicated clients and transactions
+// ---------------------------------------------------------------------------
+
+const BEGIN_STATEMENTS = { postgres: "BEGIN", mysql: "START TRANSACTION", sqlite: "BEGIN" };
+
+// Checks out one connection so that several statements share a session.
+// query() returns the same { rows, rowCount, command } shape on every engine;
+// Postgres clients also get copyIn() for COPY ... FROM STDIN.
+async function acquireClient(connection) {
+  if (connection.type === "postgres") {
+    const client = await getPgPool(connection).connect();
+    return {
+      query: async (sql, values) => {
+        const res = await client.query(sql, values);
+        return { rows: res.rows || [], rowCount: res.rowCount, command: res.command, fields: res.fields };
+      },
+      copyIn: (sql, data) => pipeline(Readable.from([data]), client.query(copyFrom(sql))),
+      release: () => client.release(),
+    };
+  }
+
+  if (connection.type === "sqlite") {
+    const open = sqliteSessionFor(connection);
+    if (open) {
+      throw new Error(`SQLite connection '${connection.name}' is busy with transaction session ${open.id}`);
+    }
+    await closeConnectionCursors(connection);
+    const db = getSqliteDb(connection);
+    return {
+      query: async (sql, values) => {
+        const stmt = db.prepare(sql);
+        const params = (values || []).map(toSqliteValue);
+        if (stmt.reader) {
+          const rows = stmt.all(params);
+          return { rows, rowCount: rows.length, fields: stmt.columns() };
+        }
+        return { rows: [], rowCount: stmt.run(params).changes };
+      },
+      release: () => {},
+    };
+  }
+
+  const pool = await getMysqlPool(connection);
+  const conn = await pool.getConnection();
+  return {
+    query: async (sql, values) => {
+      const [rows, fields] = await conn.query(sql, values);
+      return Array.isArray(rows)
+        ? { rows, rowCount: rows.length, fields }
+        : { rows: [], rowCount: rows.affectedRows };
+    },
+    release: () => conn.release(),
+  };
+}
+
+// Runs `work(query)` inside a transaction on a dedicated client, committing
+// on success and rolling back on error.
+async function withTransaction(connection, work) {
+  const client = await acquireClient(connection);
+  try {
+    await client.query(BEGIN_STATEMENTS[connection.type]);
+    const result = await work(client.query);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Migration runner
+//
+// Reads <version>_<name>.sql files as written by generate_migration and
+// records applied versions in a schema_migrations table.
+// ---------------------------------------------------------------------------
+
+const MIGRATIONS_TABLE = "schema_migrations";
+const MIGRATION_FILE_PATTERN = /^(\d+(?:T\d+)?)_(.+)\.sql$/;
+
+function migrationsDirectory(args, connection) {
+  const directory = args.directory || connection.migrationsDir || process.env.DB_MIGRATIONS_DIR;
+  if (!directory) {
+    throw new Error(
+      "No migrations directory. Pass 'directory', set 'migrationsDir' on the connection or set DB_MIGRATIONS_DIR"
+    );
+  }
+  return path.resolve(directory);
+}
+
+// Statements of one migration section, without the BEGIN/COMMIT wrapper
+// that generate_migration writes (the runner manages the transaction).
+function migrationStatements(section, dialect) {
+  return splitStatements(section, dialect)
+    .filter((statement) => !/^(BEGIN|COMMIT|END|START\s+TRANSACTION)(\s+(WORK|TRANSACTION))?$/i.test(statement.code))
+    .map((statement) => statement.text);
+}
+
+function parseMigrationFile(content, dialect) {
+  const upMarker = /^--\s*Up Migration\b.*$/im.exec(content);
+  const downMarker = /^--\s*Down Migration\b.*$/im.exec(content);
+  const upStart = upMarker ? upMarker.index + upMarker[0].length : 0;
+  const upEnd = downMarker && downMarker.index > upStart ? downMarker.index : content.length;
+  return {
+    up: migrationStatements(content.slice(upStart, upEnd), dialect),
+    down: downMarker ? migrationStatements(content.slice(downMarker.index + downMarker[0].length), dialect) : null,
+  };
+}
+
+async function readMigrationFiles(directory, dialect) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`Migrations directory not found: ${directory}`);
+    throw error;
+  }
+
+  const migrations = [];
+  for (const file of entries.sort()) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const duplicate = migrations.find((migration) => migration.version === match[1]);
+    if (duplicate) {
+      throw new Error(`Migrations ${duplicate.file} and ${file} share version ${match[1]}; rename one of them`);
+    }
+    const content = await fs.readFile(path.join(directory, file), "utf8");
+    migrations.push({
+      version: match[1],
+      name: match[2],
+      file,
+      checksum: crypto.createHash("sha256").update(content).digest("hex"),
+      ...parseMigrationFile(content, dialect),
+    });
+  }
+  return migrations;
+}
+
+async function migrationsTableExists(connection) {
+  let rows;
+  if (connection.type === "postgres") {
+    ({ rows } = await getPgPool(connection).query("SELECT to_regclass($1) AS name", [MIGRATIONS_TABLE]));
+    return rows[0].name !== null;
+  }
+  if (connection.type === "sqlite") {
+    return Boolean(
+      getSqliteDb(connection).prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(MIGRATIONS_TABLE)
+    );
+  }
+  const pool = await getMysqlPool(connection);
+  [rows] = await pool.query(
+    "SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?",
+    [MIGRATIONS_TABLE]
+  );
+  return rows.length > 0;
+}
+
+async function ensureMigrationsTable(connection) {
+  if (await migrationsTableExists(connection)) return;
+  const client = await acquireClient(connection);
+  try {
+    await client.query(`
+      CREATE TABLE ${MIGRATIONS_TABLE} (
+        version VARCHAR(255) NOT NULL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        execution_ms INTEGER
+      )
+    `);
+  } finally {
+    client.release();
+  }
+}
+
+async function readAppliedMigrations(connection) {
+  if (!(await migrationsTableExists(connection))) return [];
+  const client = await acquireClient(connection);
+  try {
+    const { rows } = await client.query(
+      `SELECT version, name, checksum, applied_at, execution_ms FROM ${MIGRATIONS_TABLE} ORDER BY version`
+    );
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Joins files with the history table. States: applied, pending, modified
+// (file changed after it was applied) and missing (applied, file deleted).
+async function migrationStatus(connection, directory) {
+  const files = await readMigrationFiles(directory, connection.type);
+  const applied = new Map((await readAppliedMigrations(connection)).map((row) => [row.version, row]));
+
+  const migrations = files.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = "pending";
+    if (row) state = row.checksum === migration.checksum ? "applied" : "modified";
+    return { ...migration, state, appliedAt: row?.applied_at ?? null };
+  });
+  for (const row of applied.values()) {
+    if (!files.some((migration) => migration.version === row.version)) {
+      migrations.push({ version: row.version, name: row.name, file: null, state: "missing", appliedAt: row.applied_at });
+    }
+  }
+  return migrations.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function requireMigrationAccess(connection) {
+  if (connection.accessMode !== "admin") {
+    throw new QueryPolicyError("Running migrations requires admin mode", {
+      rule: "migrations-require-admin",
+      connection: connection.name,
+      accessMode: connection.accessMode,
+    });
+  }
+}
+
+function refuseModifiedMigrations(migrations) {
+  const modified = migrations.filter((migration) => migration.state === "modified");
+  if (modified.length > 0) {
+    throw new Error(
+      `Refusing to migrate: already-applied migration(s) were edited since they ran: ${modified
+        .map((migration) => migration.file)
+        .join(", ")}. Restore the original files or write a new migration.`
+    );
+  }
+}
+
+async function runMigration(connection, migration, direction) {
+  const statements = migration[direction];
+  const startTime = Date.now();
+  await withTransaction(connection, async (query) => {
+    for (const [index, statement] of statements.entries()) {
+      try {
+        await query(statement);
+      } catch (error) {
+        throw new Error(
+          `${migration.file} (${direction}) failed at statement ${index + 1}: ${error.message}\n\n${statement}`
+        );
+      }
+    }
+    if (direction === "up") {
+      await query(
+        connection.type === "postgres"
+          ? `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`
+          : `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+      );
+    } else {
+      await query(
+        connection.type === "postgres"
+          ? `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`
+          : `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`,
+        [migration.version]
+      );
+    }
+  });
+  return { version: migration.version, name: migration.name, direction, durationMs: Date.now() - startTime };
+}
+
+// ---------------------------------------------------------------------------
+// Query plans
+//
+// Postgres JSON plans, MySQL JSON plans, MySQL EXPLAIN ANALYZE trees and
+// SQLite EXPLAIN QUERY PLAN rows are normalized into the same node shape:
+//   { label, relation, index, filter, fullScan, estimatedRows, actualRows,
+//     loops, rowsRemoved, time, cost, sort, children }
+// so that one analyzer can look for the usual problems.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_LARGE_TABLE_ROWS = 10000;
+// Estimates off by this factor (and by at least MIN_MISESTIMATED_ROWS) are reported
+const ESTIMATE_MISMATCH_FACTOR = 10;
+const MIN_MISESTIMATED_ROWS = 100;
+
+function planNode(label, fields = {}) {
+  return {
+    label,
+    relation: null,
+    index: null,
+    filter: null,
+    fullScan: false,
+    estimatedRows: null,
+    actualRows: null,
+    loops: null,
+    rowsRemoved: null,
+    time: null,
+    cost: null,
+    sort: null,
+    children: [],
+    ...fields,
+  };
+}
+
+function pgPlanNode(plan) {
+  const relation = plan["Relation Name"] || null;
+  // ModifyTable nodes are labelled by their operation, e.g. "Update on orders"
+  let label = plan["Node Type"] === "ModifyTable" ? plan.Operation : plan["Node Type"];
+  if (plan["Join Type"] && /Join|Nested Loop/.test(label)) label = `${label} (${plan["Join Type"]})`;
+  if (plan["Index Name"]) label += ` using ${plan["Index Name"]}`;
+  if (relation) label += ` on ${relation}${plan.Alias && plan.Alias !== relation ? ` ${plan.Alias}` : ""}`;
+  return planNode(label, {
+    relation,
+    index: plan["Index Name"] || null,
+    filter: plan.Filter || plan["Index Cond"] || plan["Hash Cond"] || plan["Merge Cond"] || plan["Join Filter"] || null,
+    fullScan: plan["Node Type"] === "Seq Scan",
+    estimatedRows: plan["Plan Rows"],
+    actualRows: plan["Actual Rows"] ?? null,
+    loops: plan["Actual Loops"] ?? null,
+    rowsRemoved: plan["Rows Removed by Filter"] ?? null,
+    time: plan["Actual Total Time"] ?? null,
+    cost: plan["Total Cost"],
+    sort: plan["Sort Key"]
+      ? {
+          keys: plan["Sort Key"],
+          method: plan["Sort Method"] || null,
+          spaceType: plan["Sort Space Type"] || null,
+          spaceKb: plan["Sort Space Used"] ?? null,
+        }
+      : null,
+    children: (plan.Plans || []).map(pgPlanNode),
+  });
+}
+
+const MYSQL_ACCESS_TYPES = {
+  ALL: "Table scan",
+  index: "Full index scan",
+  range: "Index range scan",
+  ref: "Index lookup",
+  ref_or_null: "Index lookup",
+  eq_ref: "Unique index lookup",
+  const: "Constant lookup",
+  system: "System table lookup",
+  fulltext: "Fulltext index lookup",
+  index_merge: "Index merge",
+};
+
+// EXPLAIN FORMAT=JSON nests operations under well-known keys; anything else
+// is searched for nested query blocks (subqueries, derived tables).
+function mysqlJsonPlanNodes(value) {
+  if (Array.isArray(value)) return value.flatMap(mysqlJsonPlanNodes);
+  if (!value || typeof value !== "object") return [];
+
+  const nodes = [];
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "query_block") {
+      nodes.push(planNode("Query block", { cost: Number(child.cost_info?.query_cost) || null, children: mysqlJsonPlanNodes(child) }));
+    } else if (key === "table") {
+      const relation = child.table_name;
+      let label = `${MYSQL_ACCESS_TYPES[child.access_type] || child.access_type || "Access"} on ${relation}`;
+      if (child.key) label += ` using ${child.key}`;
+      nodes.push(
+        planNode(label, {
+          relation,
+          index: child.key || null,
+          filter: child.attached_condition || null,
+          fullScan: child.access_type === "ALL",
+          estimatedRows: child.rows_examined_per_scan ?? null,
+          cost: Number(child.cost_info?.prefix_cost) || null,
+          children: mysqlJsonPlanNodes(child),
+        })
+      );
+    } else if (key === "nested_loop") {
+      nodes.push(planNode("Nested loop", { children: mysqlJsonPlanNodes(child) }));
+    } else if (key === "ordering_operation") {
+      nodes.push(
+        planNode(child.using_filesort ? "Sort (filesort)" : "Ordering", {
+          sort: child.using_filesort
+            ? { keys: null, method: "filesort", spaceType: child.using_temporary_table ? "temporary table" : null, spaceKb: null }
+            : null,
+          children: mysqlJsonPlanNodes(child),
+        })
+      );
+    } else if (key === "grouping_operation" || key === "duplicates_removal") {
+      const label = key === "grouping_operation" ? "Group" : "Distinct";
+      nodes.push(planNode(child.using_temporary_table ? `${label} (temporary table)` : label, { children: mysqlJsonPlanNodes(child) }));
+    } else if (typeof child === "object") {
+      nodes.push(...mysqlJsonPlanNodes(child));
+    }
+  }
+  return nodes;
+}
+
+// Parses EXPLAIN ANALYZE output, one "-> description (cost=.. rows=..)
+// (actual time=a..b rows=n loops=l)" line per node, nested by indentation.
+function mysqlAnalyzeTree(text) {
+  const root = planNode("Query");
+  const stack = [{ indent: -1, node: root }];
+  for (const line of text.split("\n")) {
+    const match = /^(\s*)-> (.*)$/.exec(line);
+    if (!match) continue;
+    const [, indent, rest] = match;
+    const description = rest.replace(/\s+\((cost|actual|never executed)[^)]*\)/g, "").trim();
+    const estimate = /\(cost=(?:[\d.e+-]+\.\.)?([\d.e+-]+) rows=([\d.e+-]+)\)/.exec(rest);
+    const actual = /\(actual time=[\d.e+-]+\.\.([\d.e+-]+) rows=([\d.e+-]+) loops=(\d+)\)/.exec(rest);
+    const scan = /^Table scan on (\S+)/.exec(description);
+    const indexed = /^(?:Covering |Single-row )?index (?:lookup|range scan|scan) on (\S+) using (\S+)/i.exec(description);
+    const sort = /^Sort(?: row IDs)?: (.*)$/.exec(description);
+    const filter = /^Filter: (.*)$/.exec(description);
+
+    const node = planNode(description, {
+      relation: scan?.[1] || indexed?.[1] || null,
+      index: indexed?.[2] || null,
+      filter: filter?.[1] || null,
+      fullScan: Boolean(scan),
+      estimatedRows: estimate ? Number(estimate[2]) : null,
+      cost: estimate ? Number(estimate[1]) : null,
+      actualRows: actual ? Number(actual[2]) : null,
+      loops: actual ? Number(actual[3]) : null,
+      time: actual ? Number(actual[1]) : null,
+      sort: sort ? { keys: sort[1].split(/,\s*/), method: null, spaceType: null, spaceKb: null } : null,
+    });
+    while (stack[stack.length - 1].indent >= indent.length) stack.pop();
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ indent: indent.length, node });
+  }
+
+  // MySQL puts the WHERE condition on a Filter node above the scan
+  const attachFilters = (node) => {
+    if (node.filter && !node.relation && node.children.length === 1 && node.children[0].fullScan) {
+      node.children[0].filter ||= node.filter;
+    }
+    node.children.forEach(attachFilters);
+  };
+  attachFilters(root);
+  return root.children.length === 1 ? root.children[0] : root;
+}
+
+// EXPLAIN QUERY PLAN rows reference their parent by id
+function sqlitePlanTree(rows) {
+  const root = planNode("Query");
+  const nodes = new Map([[0, root]]);
+  for (const row of rows) {
+    const scan = /^SCAN (?:TABLE )?(\S+)(.*)$/.exec(row.detail);
+    const search = /^SEARCH (?:TABLE )?(\S+)(?: USING (?:COVERING |AUTOMATIC (?:COVERING |PARTIAL )?)?INDEX (\S+))?/.exec(row.detail);
+    const tempTree = /^USE TEMP B-TREE FOR (.*)$/.exec(row.detail);
+    const node = planNode(row.detail, {
+      relation: scan?.[1] || search?.[1] || null,
+      index: search?.[2] || /INDEX (\S+)/.exec(scan?.[2] || "")?.[1] || null,
+      fullScan: Boolean(scan) && !/\bINDEX\b/.test(scan[2]),
+      sort: tempTree ? { keys: null, method: "temp b-tree", spaceType: tempTree[1], spaceKb: null } : null,
+    });
+    nodes.set(row.id, node);
+    (nodes.get(row.parent) || root).children.push(node);
+  }
+  return root.children.length === 1 ? root.children[0] : root;
+}
+
+function walkPlan(node, visit, depth = 0) {
+  visit(node, depth);
+  node.children.forEach((child) => walkPlan(child, visit, depth + 1));
+}
+
+const CONDITION_WORDS = new Set(["AND", "OR", "NOT", "NULL", "TRUE", "FALSE", "ANY", "ALL", "SOME", "TEXT", "IS"]);
+
+// Column names compared in a filter, e.g. ((status)::text = 'new'::text) or
+// (`app`.`orders`.`customer_id` = 42)
+function filterColumns(condition, dialect) {
+  if (!condition) return [];
+  // Blank out string literals but keep quoted identifiers readable
+  const masked = tokenizeSql(condition, dialect)
+    .map(({ type, text }) => (type === "string" ? `'${"_".repeat(Math.max(text.length - 2, 0))}'` : text))
+    .join("");
+  const columns = [];
+  const pattern = /([A-Za-z_][\w$]*)["`\]]?\)?(?:::[\w ]+?)?\s*(?:=|<>|!=|<=|>=|<|>|!?~~\*?|\bLIKE\b|\bIN\b|\bIS\b|\bBETWEEN\b)/gi;
+  for (const match of masked.matchAll(pattern)) {
+    const column = match[1];
+    if (!CONDITION_WORDS.has(column.toUpperCase()) && !columns.includes(column)) columns.push(column);
+  }
+  return columns;
+}
+
+// MySQL and SQLite plans name tables by their alias; map aliases from the
+// FROM and JOIN clauses back to table names
+function tableAliases(sql, dialect) {
+  const aliases = new Map();
+  const text = stripSqlComments(sql, dialect);
+  const masked = maskLiterals(text, dialect);
+  // The alias must not be the next clause, e.g. FROM orders WHERE ...
+  const clause = "FROM|WHERE|JOIN|INNER|LEFT|RIGHT|FULL|CROSS|NATURAL|ON|USING|SET|GROUP|ORDER|LIMIT|HAVING|UNION|WINDOW|VALUES|SELECT|RETURNING";
+  const pattern = new RegExp(
+    String.raw`(?:\b(?:FROM|JOIN|UPDATE|INTO)|,)\s*${IDENTIFIER_PATTERN}(?:\s+(?:AS\s+)?(?!(?:${clause})\b)${IDENTIFIER_PATTERN})?`,
+    "gid"
+  );
+  for (const match of masked.matchAll(pattern)) {
+    if (!match[2]) continue;
+    aliases.set(unquoteIdentifier(captured(text, match, 2), dialect), lastNamePart(captured(text, match, 1), dialect));
+  }
+  return aliases;
+}
+
+async function tableRowCounts(connection, relations) {
+  const counts = new Map();
+  if (relations.length === 0) return counts;
+  if (connection.type === "postgres") {
+    // reltuples is -1 for tables that were never analyzed
+    const { rows } = await getPgPool(connection).query(
+      "SELECT relname, MAX(reltuples)::bigint AS rows FROM pg_class WHERE relkind IN ('r', 'p', 'm') AND relname = ANY($1) GROUP BY relname",
+      [relations]
+    );
+    rows.filter((row) => Number(row.rows) >= 0).forEach((row) => counts.set(row.relname, Number(row.rows)));
+  } else if (connection.type === "sqlite") {
+    const db = getSqliteDb(connection);
+    for (const relation of relations) {
+      try {
+        counts.set(relation, db.prepare(`SELECT COUNT(*) AS count FROM ${quoteIdentifier(relation, "sqlite")}`).get().count);
+      } catch {
+        // Aliases and subquery names are not tables
+      }
+    }
+  } else {
+    const pool = await getMysqlPool(connection);
+    const [rows] = await pool.query(
+      "SELECT TABLE_NAME as name, TABLE_ROWS as count FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)",
+      [relations]
+    );
+    rows.forEach((row) => counts.set(row.name, Number(row.count)));
+  }
+  return counts;
+}
+
+function formatCount(value) {
+  return Math.round(value).toLocaleString("en-US");
+}
+
+function analyzePlan(root, rowCounts, connection, options) {
+  const largeTableRows = options.largeTableRows ?? DEFAULT_LARGE_TABLE_ROWS;
+  const findings = [];
+  const mismatches = [];
+
+  walkPlan(root, (node) => {
+    const loops = node.loops || 1;
+
+    if (node.fullScan) {
+      const scannedRows =
+        node.actualRows !== null ? (node.actualRows + (node.rowsRemoved || 0)) * loops : node.estimatedRows;
+      const tableRows = rowCounts.get(node.relation) ?? scannedRows ?? 0;
+      const removed = (node.rowsRemoved || 0) * loops;
+      const selective = removed >= 1000 && removed / Math.max(scannedRows, 1) >= 0.9;
+      const reasons = [];
+      if (tableRows >= largeTableRows) reasons.push(`~${formatCount(tableRows)} rows`);
+      if (loops > 1) reasons.push(`repeated ${formatCount(loops)} times`);
+      if (selective) reasons.push(`filter discarded ${formatCount(removed)} rows`);
+
+      if (reasons.length > 0) {
+        const columns = filterColumns(node.filter, connection.type);
+        let message = `Full scan of \`${node.relation}\` (${reasons.join(", ")})`;
+        if (node.filter) message += ` with filter \`${node.filter}\``;
+        let suggestion = `Add an index on the columns \`${node.relation}\` is filtered or joined on`;
+        if (columns.length > 0) {
+          const q = (identifier) => quoteIdentifier(identifier, connection.type);
+          const name = defaultIndexName(node.relation, { columns, unique: false });
+          suggestion = `CREATE INDEX ${q(name)} ON ${q(node.relation)} (${columns.map(q).join(", ")});`;
+        }
+        findings.push({ kind: columns.length > 0 ? "missing-index" : "sequential-scan", message, suggestion });
+      }
+    }
+
+    if (node.actualRows !== null && node.estimatedRows !== null && node.loops > 0) {
+      const high = Math.max(node.actualRows, node.estimatedRows);
+      const factor = high / Math.max(Math.min(node.actualRows, node.estimatedRows), 1);
+      if (factor >= ESTIMATE_MISMATCH_FACTOR && high >= MIN_MISESTIMATED_ROWS) {
+        mismatches.push({ node, factor });
+      }
+    }
+
+    if (node.sort) {
+      const sortedRows = node.actualRows ?? node.estimatedRows ?? 0;
+      const keys = node.sort.keys ? ` on ${node.sort.keys.join(", ")}` : "";
+      if (node.sort.spaceType === "Disk") {
+        findings.push({
+          kind: "sort",
+          message: `Sort${keys} spilled ${formatCount(node.sort.spaceKb || 0)} kB to disk (${node.sort.method})`,
+          suggestion: "Raise work_mem for this query or add an index that returns rows in this order",
+        });
+      } else if (sortedRows >= largeTableRows || node.sort.method === "filesort" || node.sort.method === "temp b-tree") {
+        findings.push({
+          kind: "sort",
+          message: `${node.sort.method === "temp b-tree" ? `Temporary B-tree for ${node.sort.spaceType}` : `Sort${keys}`}${
+            sortedRows ? ` of ~${formatCount(sortedRows)} rows` : ""
+          }${node.sort.method === "filesort" ? " using filesort" : ""}`,
+          suggestion: "An index matching the ORDER BY / GROUP BY columns lets the database read rows already sorted",
+        });
+      }
+    }
+  });
+
+  // Bad estimates propagate up the tree, so only report the worst few
+  for (const { node, factor } of mismatches.sort((a, b) => b.factor - a.factor).slice(0, 3)) {
+    findings.push({
+      kind: "row-estimate",
+      message: `${node.label}: estimated ${formatCount(node.estimatedRows)} rows, got ${formatCount(node.actualRows)} (${Math.round(factor)}x off)`,
+      suggestion: node.relation
+        ? `Refresh statistics, e.g. ANALYZE ${quoteIdentifier(node.relation, connection.type)}`
+        : "Refresh statistics on the tables involved",
+    });
+  }
+  return findings;
+}
+
+function formatPlanTree(root) {
+  const lines = [];
+  walkPlan(root, (node, depth) => {
+    const indent = "  ".repeat(depth);
+    const details = [];
+    if (node.cost !== null) details.push(`cost=${node.cost}`);
+    if (node.estimatedRows !== null) details.push(`est. rows=${formatCount(node.estimatedRows)}`);
+    if (node.actualRows !== null) details.push(`actual rows=${formatCount(node.actualRows)}`);
+    if (node.loops !== null && node.loops !== 1) details.push(`loops=${node.loops}`);
+    if (node.time !== null) details.push(`time=${node.time} ms`);
+    lines.push(`${indent}-> ${node.label}${details.length > 0 ? `  (${details.join(", ")})` : ""}`);
+    if (node.filter && !/^Filter: /.test(node.label)) lines.push(`${indent}     Condition: ${node.filter}`);
+    if (node.rowsRemoved) lines.push(`${indent}     Rows removed by filter: ${formatCount(node.rowsRemoved)}`);
+    if (node.sort?.method && node.sort.keys) {
+      lines.push(
+        `${indent}     Sort: ${node.sort.keys.join(", ")} (${node.sort.method}${
+          node.sort.spaceType ? `, ${node.sort.spaceKb ?? "?"} kB ${node.sort.spaceType}` : ""
+        })`
+      );
+    }
+  });
+  return lines.join("\n");
+}
+
+// Runs EXPLAIN for one statement. ANALYZE executes the statement, so it runs
+// in a transaction that is always rolled back.
+async function explainStatement(connection, sql, values, { analyze, readOnly }) {
+  if (connection.type === "sqlite") {
+    const rows = getSqliteDb(connection)
+      .prepare(`EXPLAIN QUERY PLAN ${sql}`)
+      .all((values || []).map(toSqliteValue));
+    return { root: sqlitePlanTree(rows), raw: rows, analyzed: false };
+  }
+
+  const client = await acquireClient(connection);
+  try {
+    if (connection.type === "postgres") {
+      await client.query(readOnly ? "BEGIN TRANSACTION READ ONLY" : "BEGIN");
+      const options = analyze ? "ANALYZE, BUFFERS, FORMAT JSON" : "FORMAT JSON";
+      const { rows } = await client.query(`EXPLAIN (${options}) ${sql}`, values);
+      const [plan] = rows[0]["QUERY PLAN"];
+      return {
+        root: pgPlanNode(plan.Plan),
+        raw: plan,
+        analyzed: analyze,
+        planningTime: plan["Planning Time"],
+        executionTime: plan["Execution Time"],
+      };
+    }
+
+    await client.query(readOnly ? "START TRANSACTION READ ONLY" : "START TRANSACTION");
+    if (analyze) {
+      const { rows } = await client.query(`EXPLAIN ANALYZE ${sql}`, values);
+      const text = rows.map((row) => Object.values(row)[0]).join("\n");
+      return { root: mysqlAnalyzeTree(text), raw: text, analyzed: true };
+    }
+    const { rows } = await client.query(`EXPLAIN FORMAT=JSON ${sql}`, values);
+    const plan = JSON.parse(Object.values(rows[0])[0]);
+    const [root] = mysqlJsonPlanNodes(plan);
+    return { root, raw: plan, analyzed: false };
+  } finally {
+    await client.query("ROLLBACK").catch(() => {});
+    client.release();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Transaction sessions
+//
+// begin_transaction pins a dedicated client to a session id so that several
+// execute_query calls share one transaction. Sessions that sit idle are
+// rolled back automatically.
+// ---------------------------------------------------------------------------
+
+const ISOLATION_LEVELS = ["read uncommitted", "read committed", "repeatable read", "serializable"];
+const DEFAULT_SESSION_IDLE_SECONDS = Number(process.env.DB_SESSION_IDLE_TIMEOUT_SECONDS) || 300;
+// A day, well inside the ~24.8 days setTimeout can wait before firing at once
+const MAX_SESSION_IDLE_SECONDS = 24 * 60 * 60;
+const MAX_OPEN_SESSIONS = 5;
+const SAVEPOINT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const sessions = new Map();
+// Why recently ended sessions ended, so late calls get a useful error
+const endedSessions = new Map();
+
+function sqliteSessionFor(connection) {
+  if (connection.type !== "sqlite") return null;
+  return [...sessions.values()].find((session) => session.connection.name === connection.name) || null;
+}
+
+function rememberEndedSession(id, outcome) {
+  endedSessions.set(id, outcome);
+  if (endedSessions.size > 100) endedSessions.delete(endedSessions.keys().next().value);
+}
+
+function getSession(id) {
+  const session = sessions.get(id);
+  if (session) return session;
+  const outcome = endedSessions.get(id);
+  throw new Error(
+    outcome ? `Transaction session ${id} is no longer open: it was ${outcome}` : `Unknown transaction session '${id}'`
+  );
+}
+
+function touchSession(session) {
+  clearTimeout(session.timer);
+  session.lastUsedAt = Date.now();
+  session.timer = setTimeout(() => {
+    endSession(session, "ROLLBACK", `rolled back automatically after ${session.idleTimeoutMs / 1000} idle seconds`).catch(
+      (error) => console.error(`Failed to roll back idle session ${session.id}:`, error)
+    );
+  }, session.idleTimeoutMs);
+  session.timer.unref();
+}
+
+async function beginSession(connection, args) {
+  if (sessions.size >= MAX_OPEN_SESSIONS) {
+    throw new Error(
+      `Too many open transaction sessions (${MAX_OPEN_SESSIONS}); commit or roll back one of: ${[...sessions.keys()].join(", ")}`
+    );
+  }
+  const isolationLevel = args.isolationLevel ? args.isolationLevel.toLowerCase() : null;
+  if (isolationLevel && !ISOLATION_LEVELS.includes(isolationLevel)) {
+    throw new Error(`Invalid isolation level '${args.isolationLevel}'. Expected one of: ${ISOLATION_LEVELS.join(", ")}`);
+  }
+  const idleTimeoutSeconds = args.idleTimeoutSeconds ?? DEFAULT_SESSION_IDLE_SECONDS;
+  if (
+    typeof idleTimeoutSeconds !== "number" ||
+    !Number.isFinite(idleTimeoutSeconds) ||
+    idleTimeoutSeconds < 1 ||
+    idleTimeoutSeconds > MAX_SESSION_IDLE_SECONDS
+  ) {
+    throw new Error(
+      `idleTimeoutSeconds must be a number from 1 to ${MAX_SESSION_IDLE_SECONDS}, got ${typeof idleTimeoutSeconds === "number" ? idleTimeoutSeconds : JSON.stringify(idleTimeoutSeconds)}`
+    );
+  }
+  if (connection.type === "sqlite") {
+    if (isolationLevel) {
+      throw new Error("SQLite transactions are always serializable; omit isolationLevel");
+    }
+    // Every tool shares the one SQLite handle, so a second transaction is impossible
+    const open = sqliteSessionFor(connection);
+    if (open) {
+      throw new Error(`SQLite connection '${connection.name}' already has an open transaction session (${open.id})`);
+    }
+  }
+
+  const readOnly = connection.accessMode === "read-only" || Boolean(args.readOnly);
+  const client = await acquireClient(connection);
+  try {
+    if (connection.type === "postgres") {
+      await client.query(
+        `BEGIN${isolationLevel ? ` ISOLATION LEVEL ${isolationLevel.toUpperCase()}` : ""}${readOnly ? " READ ONLY" : ""}`
+      );
+    } else if (connection.type === "mysql") {
+      if (isolationLevel) await client.query(`SET TRANSACTION ISOLATION LEVEL ${isolationLevel.toUpperCase()}`);
+      await client.query(readOnly ? "START TRANSACTION READ ONLY" : "START TRANSACTION");
+    } else {
+      await client.query("BEGIN");
+    }
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  const session = {
+    id: `tx_${crypto.randomBytes(9).toString("base64url")}`,
+    connection,
+    client,
+    readOnly,
+    isolationLevel,
+    idleTimeoutMs: idleTimeoutSeconds * 1000,
+    startedAt: Date.now(),
+    lastUsedAt: Date.now(),
+    statementCount: 0,
+    savepoints: [],
+    failed: false,
+    timer: null,
+  };
+  sessions.set(session.id, session);
+  touchSession(session);
+  return session;
+}
+
+// Ends the transaction with COMMIT or ROLLBACK and returns the client
+async function endSession(session, statement, outcome) {
+  if (!sessions.delete(session.id)) return null;
+  clearTimeout(session.timer);
+  try {
+    const result = await session.client.query(statement);
+    rememberEndedSession(session.id, outcome);
+    return result;
+  } catch (error) {
+    rememberEndedSession(session.id, `ended by a failed ${statement}: ${error.message}`);
+    await session.client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    session.client.release();
+  }
+}
+
+// Runs a query on the session's client. Transaction control has dedicated
+// tools, and the connection's access policy still applies.
+async function runInSession(session, query, params) {
+  const { connection } = session;
+  const control = classifyStatements(query, connection.type).find((statement) => statement.type === "transaction");
+  if (control) {
+    throw new QueryPolicyError("Use the commit, rollback and savepoint tools to control a session's transaction", {
+      rule: "session-transaction-control",
+      session: session.id,
+      statement: control,
+    });
+  }
+  const { statements } = enforceAccessPolicy(query, connection);
+  const write = statements.find((statement) => statement.type !== "read");
+  if (session.readOnly && write) {
+    throw new QueryPolicyError(`${write.keyword} statement is not allowed in a read-only session`, {
+      rule: "read-only-session",
+      session: session.id,
+      statement: write,
+    });
+  }
+
+  if (connection.type === "sqlite" && write) {
+    await closeConnectionCursors(connection);
+  }
+  const { text, values } = bindParameters(query, params, connection.type);
+  touchSession(session);
+  try {
+    const result =
+      connection.type === "sqlite"
+        ? runSqlite(connection, text, values, statements)
+        : await session.client.query(text, values);
+    session.statementCount += statements.length;
+    return { command: statements[0].keyword, ...result };
+  } catch (error) {
+    if (connection.type === "postgres" && !session.failed) {
+      session.failed = true;
+      error.message += ` (session ${session.id} is now aborted; roll back, or roll back to a savepoint, to continue)`;
+    }
+    throw error;
+  } finally {
+    touchSession(session);
+  }
+}
+
+function describeSession(session) {
+  const seconds = ((Date.now() - session.startedAt) / 1000).toFixed(1);
+  return `${session.statementCount} statement(s) in ${seconds}s`;
+}
+
+// ---------------------------------------------------------------------------
+// Seed data
+//
+// seed_table fills a table with fake rows shaped by its introspected columns,
+// unique constraints and foreign keys. Values come from a seeded PRNG, so
+// the same seed against the same data produces the same rows.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SEED_ROWS = 10;
+const MAX_SEED_ROWS = 10000;
+const SEED_BATCH_SIZE = 100;
+const SEED_NULL_RATE = 0.1;
+const MAX_REFERENCED_KEYS = 1000;
+// Dates are spread over the three years before this, not before today
+const SEED_EPOCH = Date.UTC(2024, 0, 1);
+
+const FIRST_NAMES = [
+  "Ada", "Alan", "Amara", "Ben", "Carmen", "Chen", "Dario", "Elena", "Farah", "Grace", "Hiro", "Ines",
+  "Jonas", "Kofi", "Lena", "Marco", "Maya", "Nadia", "Omar", "Priya", "Quinn", "Rosa", "Sam", "Tariq",
+  "Uma", "Victor", "Wen", "Yara", "Zoe", "Liam",
+];
+const LAST_NAMES = [
+  "Andersen", "Bauer", "Costa", "Dubois", "Edwards", "Fischer", "Garcia", "Hughes", "Ito", "Jensen",
+  "Kowalski", "Lopez", "Meyer", "Nakamura", "Okafor", "Patel", "Quinn", "Rossi", "Silva", "Tanaka",
+  "Usman", "Varga", "Walker", "Xu", "Yilmaz", "Zhang", "Novak", "Moreau", "Berg", "Singh",
+];
+const WORDS = [
+  "alpha", "amber", "anchor", "atlas", "beacon", "birch", "canyon", "cedar", "comet", "coral", "delta",
+  "ember", "falcon", "fern", "galaxy", "harbor", "horizon", "island", "jade", "juniper", "lagoon",
+  "lantern", "maple", "meadow", "nebula", "oak", "orbit", "pebble", "prairie", "quartz", "river",
+  "saffron", "summit", "tide", "timber", "valley", "willow", "zephyr",
+];
+const CITIES = ["Lisbon", "Osaka", "Toronto", "Nairobi", "Oslo", "Austin", "Melbourne", "Lyon", "Pune", "Bogota"];
+const COUNTRIES = ["Portugal", "Japan", "Canada", "Kenya", "Norway", "United States", "Australia", "France", "India", "Colombia"];
+const COUNTRY_CODES = ["PT", "JP", "CA", "KE", "NO", "US", "AU", "FR", "IN", "CO"];
+const STREETS = ["Main St", "Oak Ave", "Harbor Rd", "Maple Dr", "Station Sq", "River Ln", "Hill St", "Park Blvd"];
+const COLORS = ["red", "green", "blue", "orange", "purple", "teal", "black", "white"];
+// Reserved for documentation, so generated addresses never reach anyone
+const EMAIL_DOMAINS = ["example.com", "example.org", "example.net"];
+
+// mulberry32 seeded from a hash of the seed, so any string or number works
+function createRandom(seed) {
+  let state = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    next,
+    int,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    hex: (length) => Array.from({ length }, () => int(0, 15).toString(16)).join(""),
+  };
+}
+
+function seedWords(random, min, max) {
+  return Array.from({ length: random.int(min, max) }, () => random.pick(WORDS));
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function seedUuid(random) {
+  const hex = random.hex(32);
+  const variant = "89ab"[random.int(0, 3)];
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+}
+
+function seedTimestamp(random, offsetFrom) {
+  const base = offsetFrom ? Date.parse(`${offsetFrom}Z`) : SEED_EPOCH - random.int(0, 3 * 365 * 86400) * 1000;
+  const time = offsetFrom ? base + random.int(0, 90 * 86400) * 1000 : base;
+  return new Date(time).toISOString().slice(0, 19).replace("T", " ");
+}
+
+// Allowed values from a CHECK constraint such as status IN ('a', 'b') or
+// Postgres' status = ANY (ARRAY['a'::text, 'b'::text])
+function checkConstraintValues(table, columnName) {
+  const otherColumns = new Set(
+    table.columns.filter((column) => column.name !== columnName).map((column) => column.name.toLowerCase())
+  );
+  for (const { expression } of table.checks) {
+    if (!expression || !/\bIN\s*\(|=\s*ANY\s*\(/i.test(expression)) continue;
+    const words = expression.replace(/'(?:[^']|'')*'/g, "''").match(/[A-Za-z_][\w$]*/g) || [];
+    const lower = words.map((word) => word.toLowerCase());
+    if (!lower.includes(columnName.toLowerCase()) || lower.some((word) => otherColumns.has(word))) continue;
+    const values = [...expression.matchAll(/'((?:[^']|'')*)'/g)].map((match) => match[1].replace(/''/g, "'"));
+    if (values.length > 0) return values;
+  }
+  return null;
+}
+
+function parseColumnType(type, dialect) {
+  const normalized = normalizeType(type, dialect);
+  const match = /^([a-z_ ]+?)(?:\((\d+)(?:,(\d+))?\))?((?:\[\])*)( unsigned)?$/.exec(normalized);
+  if (!match) return { base: normalized, length: null, scale: null, array: false };
+  return {
+    base: match[1].trim(),
+    length: match[2] ? Number(match[2]) : null,
+    scale: match[3] ? Number(match[3]) : null,
+    array: Boolean(match[4]),
+  };
+}
+
+// Values for text columns, chosen by column name first
+function seedText(random, name, context) {
+  const first = random.pick(FIRST_NAMES);
+  const last = random.pick(LAST_NAMES);
+  const { rowNumber } = context;
+  if (/e_?mail/.test(name)) return `${first}.${last}${rowNumber}@${random.pick(EMAIL_DOMAINS)}`.toLowerCase();
+  if (/^(first_?name|given_?name|forename)$/.test(name)) return first;
+  if (/^(last_?name|surname|family_?name)$/.test(name)) return last;
+  if (/user_?name|login|handle|nickname/.test(name)) return `${first}${last}${rowNumber}`.toLowerCase();
+  if (/(^|_)name$|author|customer|contact|owner/.test(name) && !/(file|host|table|domain)_?name/.test(name)) {
+    return `${first} ${last}`;
+  }
+  if (/phone|mobile|fax/.test(name)) return `+1-555-${random.int(100, 999)}-${random.int(1000, 9999)}`;
+  if (/city|town/.test(name)) return random.pick(CITIES);
+  if (/country/.test(name)) {
+    return context.length !== null && context.length <= 3 ? random.pick(COUNTRY_CODES) : random.pick(COUNTRIES);
+  }
+  if (/address|street/.test(name)) return `${random.int(1, 999)} ${random.pick(STREETS)}`;
+  if (/zip|postal|postcode/.test(name)) return String(random.int(10000, 99999));
+  if (/url|website|homepage|link/.test(name)) return `https://${random.pick(EMAIL_DOMAINS)}/${random.pick(WORDS)}`;
+  if (/company|organi[sz]ation|employer/.test(name)) return `${last} ${random.pick(["Labs", "Group", "Systems", "Works"])}`;
+  if (/slug/.test(name)) return `${seedWords(random, 2, 3).join("-")}-${rowNumber}`;
+  if (/title|subject|headline|label/.test(name)) return seedWords(random, 2, 5).map(capitalize).join(" ");
+  if (/description|bio|body|content|comment|notes?$|summary|message|text/.test(name)) {
+    return `${capitalize(seedWords(random, 6, 14).join(" "))}.`;
+  }
+  if (/status/.test(name)) return random.pick(["active", "pending", "inactive"]);
+  if (/colou?r/.test(name)) return random.pick(COLORS);
+  if (/currency/.test(name)) return random.pick(["USD", "EUR", "GBP", "JPY"]);
+  if (/password|hash|token|secret/.test(name)) return random.hex(64);
+  if (/(^|_)ip(_address)?$/.test(name)) return `10.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`;
+  if (/uuid|guid/.test(name)) return seedUuid(random);
+  if (/code|sku|ref/.test(name)) return `${random.pick(WORDS).slice(0, 3).toUpperCase()}-${random.int(1000, 9999)}`;
+  return seedWords(random, 1, 3).join(" ");
+}
+
+function seedNumber(random, name, { base, length, scale }) {
+  if (/^(tinyint|smallint|integer|int|bigint|mediumint)$/.test(base)) {
+    if (/(^|_)age$/.test(name)) return random.int(18, 90);
+    if (/year/.test(name)) return random.int(1990, 2023);
+    if (/quantity|qty|count|stock/.test(name)) return random.int(1, 20);
+    if (/rating|score|stars/.test(name)) return random.int(1, 5);
+    return random.int(1, base === "tinyint" ? 127 : base === "smallint" ? 32767 : 100000);
+  }
+  const decimals = scale ?? 2;
+  let max = /price|amount|total|cost|salary|balance|fee/.test(name) ? 1000 : 10000;
+  if (length !== null) max = Math.min(max, 10 ** (length - decimals) - 1);
+  return Number((random.next() * Math.max(max, 1)).toFixed(decimals));
+}
+
+// Returns (random, row, rowNumber) => value for one column, or null when
+// the type is not one we can fake
+function seedColumnGenerator(column, table, schema, dialect, unique) {
+  const name = column.name.toLowerCase();
+  const type = parseColumnType(column.type, dialect);
+  const { base, length } = type;
+  // Unique text gets the row number unless the value already carries one
+  const numbered = unique && !/e_?mail|user_?name|login|handle|nickname|slug/.test(name);
+  const fit = (text, rowNumber) => {
+    const suffix = numbered ? `-${rowNumber}` : "";
+    const limit = length !== null && /char|text|string|clob/.test(base) ? length - suffix.length : text.length;
+    return `${text.slice(0, Math.max(limit, 0)).trimEnd()}${suffix}`;
+  };
+
+  const allowed =
+    checkConstraintValues(table, column.name) ||
+    parseEnumValues(column.type) ||
+    schema.enums.find((candidate) => candidate.name === lastNamePart(column.type, dialect))?.values;
+  if (allowed) return (random) => random.pick(allowed);
+
+  let generate;
+  if (base === "boolean" || base === "bool" || (base === "tinyint" && length === 1) || (base === "bit" && length === 1)) {
+    generate = (random) => random.next() < 0.5;
+  } else if (/^(tinyint|smallint|integer|int|bigint|mediumint)$/.test(base)) {
+    generate = (random) => seedNumber(random, name, type);
+  } else if (/^(numeric|real|double precision|float|money|number)$/.test(base)) {
+    generate = (random) => seedNumber(random, name, type);
+  } else if (base === "uuid") {
+    generate = (random) => seedUuid(random);
+  } else if (base === "date") {
+    generate = (random) => seedTimestamp(random).slice(0, 10);
+  } else if (/^(timestamp|timestamptz|datetime)$/.test(base)) {
+    // updated_at and the like come after the row's created_at
+    const created = /^(updated|modified|changed)_?(at|on|date)?$/.test(name)
+      ? table.columns.find((candidate) => /^created_?(at|on|date)?$/i.test(candidate.name))?.name
+      : null;
+    generate = (random, row) => seedTimestamp(random, created ? row[created] : null);
+  } else if (base === "time" || base === "timetz") {
+    generate = (random) => `${String(random.int(0, 23)).padStart(2, "0")}:${String(random.int(0, 59)).padStart(2, "0")}:00`;
+  } else if (base === "json" || base === "jsonb") {
+    generate = (random) => ({ [random.pick(WORDS)]: random.pick(WORDS), score: random.int(1, 100) });
+  } else if (/^(bytea|blob|binary|varbinary|longblob|mediumblob|tinyblob)$/.test(base)) {
+    generate = (random) => Buffer.from(random.hex(32), "hex");
+  } else if (base === "inet") {
+    generate = (random) => `10.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`;
+  } else if (/char|text|string|clob|citext|^$/.test(base)) {
+    generate = (random, row, rowNumber) => fit(seedText(random, name, { rowNumber, length }), rowNumber);
+  } else {
+    return null;
+  }
+  if (type.array) {
+    const element = generate;
+    generate = (random, row, rowNumber) => Array.from({ length: random.int(1, 3) }, () => element(random, row, rowNumber));
+  }
+  return generate;
+}
+
+// SQL literal for generated or exported values
+function sqlLiteral(value, dialect) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number" || typeof value === "bigint") return String(value);
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return `'${dialect === "postgres" ? iso : iso.replace("T", " ").replace("Z", "")}'`;
+  }
+  if (typeof value === "boolean") return dialect === "postgres" ? String(value).toUpperCase() : value ? "1" : "0";
+  if (Buffer.isBuffer(value)) return dialect === "postgres" ? `'\\x${value.toString("hex")}'` : `X'${value.toString("hex")}'`;
+  if (Array.isArray(value)) return `ARRAY[${value.map((item) => sqlLiteral(item, dialect)).join(", ")}]`;
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  const escaped = text.replace(/'/g, "''");
+  return `'${dialect === "mysql" ? escaped.replace(/\\/g, "\\\\") : escaped}'`;
+}
+
+function qualifiedTableName(connection, schemaName, tableName) {
+  const table = quoteIdentifier(tableName, connection.type);
+  return schemaName ? `${quoteIdentifier(schemaName, connection.type)}.${table}` : table;
+}
+
+// Existing keys of each referenced table, ordered so picks are reproducible
+async function loadReferencedKeys(query, connection, schema, args, table) {
+  const references = [];
+  for (const fk of table.foreignKeys) {
+    const target = schema.tables[fk.refTable];
+    // SQLite leaves the referenced columns out when the FK targets the primary key
+    const refColumns = fk.refColumns?.every(Boolean) ? fk.refColumns : target?.primaryKey?.columns;
+    if (!target || !refColumns) {
+      throw new Error(`Cannot resolve foreign key ${fk.name || fk.columns.join(", ")} of '${table.name}' to '${fk.refTable}'`);
+    }
+    const columns = refColumns.map((column) => quoteIdentifier(column, connection.type)).join(", ");
+    const { rows } = await query(
+      `SELECT DISTINCT ${columns} FROM ${qualifiedTableName(connection, args.schema, fk.refTable)}
+       WHERE ${refColumns.map((column) => `${quoteIdentifier(column, connection.type)} IS NOT NULL`).join(" AND ")}
+       ORDER BY ${columns} LIMIT ${MAX_REFERENCED_KEYS}`
+    );
+    const nullable = fk.columns.every((column) => table.columns.find((entry) => entry.name === column)?.nullable);
+    if (rows.length === 0 && !nullable) {
+      throw new Error(
+        fk.refTable === table.name
+          ? `'${table.name}' references itself through non-nullable ${fk.columns.join(", ")}, so it cannot be seeded from empty`
+          : `'${table.name}' references '${fk.refTable}', which has no rows; seed '${fk.refTable}' first`
+      );
+    }
+    references.push({
+      columns: fk.columns,
+      nullable,
+      keys: rows.map((row) => refColumns.map((column) => row[column])),
+    });
+  }
+  return references;
+}
+
+async function generateSeedRows(query, connection, schema, args) {
+  const table = schema.tables[args.table];
+  if (!table) throw new Error(`Table '${args.table}' not found in ${schema.name}`);
+  const count = args.rows ?? DEFAULT_SEED_ROWS;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SEED_ROWS) {
+    throw new Error(`rows must be an integer between 1 and ${MAX_SEED_ROWS}`);
+  }
+
+  const tableName = qualifiedTableName(connection, args.schema, table.name);
+  const references = await loadReferencedKeys(query, connection, schema, args, table);
+  const referenced = new Set(references.flatMap((reference) => reference.columns));
+  const uniqueSets = [table.primaryKey, ...table.indexes.filter((index) => index.unique)]
+    .filter(Boolean)
+    .map((index) => index.columns);
+  const isUnique = (column) => uniqueSets.some((columns) => columns.length === 1 && columns[0] === column.name);
+
+  // Row numbers continue after the existing rows, so seeding twice does not
+  // repeat emails and other numbered values
+  const {
+    rows: [{ total }],
+  } = await query(`SELECT COUNT(*) AS total FROM ${tableName}`);
+  const existingRows = Number(total);
+
+  const generators = [];
+  const defaulted = [];
+  for (const column of table.columns) {
+    if (referenced.has(column.name)) continue;
+    if (column.autoIncrement || (column.default !== null && column.default !== undefined)) {
+      defaulted.push(column.name);
+      continue;
+    }
+    const generate = seedColumnGenerator(column, table, schema, connection.type, isUnique(column));
+    if (!generate) {
+      if (column.nullable) {
+        generators.push({ column, generate: () => null });
+        continue;
+      }
+      throw new Error(
+        `Cannot generate values for ${table.name}.${column.name} (${column.type}); give it a default or seed it by hand`
+      );
+    }
+    if (isUnique(column) && /^(tinyint|smallint|integer|int|bigint|mediumint)$/.test(parseColumnType(column.type, connection.type).base)) {
+      // Unique integer keys continue from the current maximum
+      const quoted = quoteIdentifier(column.name, connection.type);
+      const {
+        rows: [{ highest }],
+      } = await query(`SELECT MAX(${quoted}) AS highest FROM ${tableName}`);
+      const start = Number(highest ?? 0);
+      generators.push({ column, generate: (random, row, rowNumber) => start + rowNumber - existingRows });
+      continue;
+    }
+    generators.push({ column, unique: isUnique(column), generate, used: new Set() });
+  }
+
+  const random = createRandom(args.seed);
+  const rows = [];
+  const usedTuples = uniqueSets
+    .filter((columns) => columns.length > 1 || referenced.has(columns[0]))
+    .map((columns) => ({ columns, used: new Set() }));
+  for (let index = 0; index < count; index++) {
+    const rowNumber = existingRows + index + 1;
+    for (let attempt = 0; ; attempt++) {
+      const row = {};
+      for (const reference of references) {
+        const key =
+          reference.keys.length === 0 || (reference.nullable && random.next() < SEED_NULL_RATE)
+            ? reference.columns.map(() => null)
+            : random.pick(reference.keys);
+        reference.columns.forEach((column, position) => (row[column] = key[position]));
+      }
+      for (const { column, unique, generate, used } of generators) {
+        let value = column.nullable && !unique && random.next() < SEED_NULL_RATE ? null : generate(random, row, rowNumber);
+        if (unique && typeof value === "string" && used.has(value)) {
+          value = value.includes("@") ? value.replace("@", `.${rowNumber}@`) : `${value}-${rowNumber}`;
+        }
+        used?.add(value);
+        row[column.name] = value;
+      }
+      // Composite keys, such as join tables, retry with other combinations.
+      // Keys with a NULL never conflict.
+      const tuples = usedTuples.map(({ columns }) =>
+        columns.some((column) => row[column] === null) ? null : JSON.stringify(columns.map((column) => row[column]))
+      );
+      if (tuples.every((tuple, position) => tuple === null || !usedTuples[position].used.has(tuple))) {
+        tuples.forEach((tuple, position) => tuple !== null && usedTuples[position].used.add(tuple));
+        rows.push(row);
+        break;
+      }
+      if (attempt === 20) {
+        throw new Error(
+          `Ran out of unique ${usedTuples.map(({ columns }) => `(${columns.join(", ")})`).join(" / ")} combinations after ${rows.length} row(s)`
+        );
+      }
+    }
+  }
+
+  const columns = [...references.flatMap((reference) => reference.columns), ...generators.map(({ column }) => column.name)];
+  const ordered = table.columns.map((column) => column.name).filter((name) => columns.includes(name));
+  return { table, tableName, columns: ordered, rows, defaulted };
+}
+
+function renderSeedInserts({ tableName, columns, rows }, dialect) {
+  if (columns.length === 0) {
+    const statement =
+      dialect === "mysql" ? `INSERT INTO ${tableName} () VALUES ();` : `INSERT INTO ${tableName} DEFAULT VALUES;`;
+    return rows.map(() => statement);
+  }
+  const columnList = columns.map((column) => quoteIdentifier(column, dialect)).join(", ");
+  const statements = [];
+  for (let start = 0; start < rows.length; start += SEED_BATCH_SIZE) {
+    const values = rows
+      .slice(start, start + SEED_BATCH_SIZE)
+      .map((row) => `  (${columns.map((column) => sqlLiteral(row[column], dialect)).join(", ")})`);
+    statements.push(`INSERT INTO ${tableName} (${columnList}) VALUES\n${values.join(",\n")};`);
+  }
+  return statements;
+}
+
+// ---------------------------------------------------------------------------
+// Export and import
+//
+// Exports stream a cursor straight into a file, and imports read the file
+// record by record, so large data sets never pass through the tool response.
+// ---------------------------------------------------------------------------
+
+const EXPORT_FORMATS = ["csv", "jsonl", "sql"];
+const IMPORT_FORMATS = ["csv", "ndjson"];
+const EXPORT_PAGE_SIZE = 1000;
+const IMPORT_BATCH_SIZE = 1000;
+const MAX_REPORTED_IMPORT_ERRORS = 100;
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Lines of the export file for one page of rows
+function exportChunk(rows, columns, format, insertTarget, dialect) {
+  const names = columns.map((column) => column.name);
+  const value = (row, name) => cellValue(row[name], Infinity, {});
+  if (format === "csv") {
+    // Empty strings are quoted so that an empty field can mean NULL, as in COPY
+    const field = (text) => (text === "" ? '""' : csvField(text));
+    return rows.map((row) => `${names.map((name) => field(cellText(value(row, name)))).join(",")}\n`).join("");
+  }
+  if (format === "jsonl") {
+    return rows
+      .map((row) => `${JSON.stringify(Object.fromEntries(names.map((name) => [name, value(row, name)])))}\n`)
+      .join("");
+  }
+  const columnList = names.map((name) => quoteIdentifier(name, dialect)).join(", ");
+  let text = "";
+  for (let start = 0; start < rows.length; start += SEED_BATCH_SIZE) {
+    const values = rows
+      .slice(start, start + SEED_BATCH_SIZE)
+      .map((row) => `  (${names.map((name) => sqlLiteral(row[name], dialect)).join(", ")})`);
+    text += `INSERT INTO ${insertTarget} (${columnList}) VALUES\n${values.join(",\n")};\n`;
+  }
+  return text;
+}
+
+// Streams the rows of a read query into `filePath`. A failed export leaves
+// no partial file behind.
+async function exportRows(connection, sql, values, options) {
+  const { filePath, format, overwrite, insertTarget, readOnly } = options;
+  let handle;
+  try {
+    handle = await fs.open(filePath, overwrite ? "w" : "wx");
+  } catch (error) {
+    if (error.code === "EEXIST") throw new Error(`${filePath} already exists; pass overwrite: true to replace it`);
+    throw error;
+  }
+
+  let source;
+  let rowCount = 0;
+  let bytes = 0;
+  const write = async (text) => {
+    if (!text) return;
+    await handle.write(text);
+    bytes += Buffer.byteLength(text);
+  };
+  try {
+    source = await openCursorSource(connection, sql, values, readOnly);
+    let columns = null;
+    for (;;) {
+      const rows = await source.fetch(EXPORT_PAGE_SIZE);
+      if (!columns) {
+        columns = await describeColumns(connection, source.fields(), source.query);
+        if (columns.length === 0 && rows.length > 0) columns = Object.keys(rows[0]).map((name) => ({ name }));
+        if (format === "csv") await write(`${columns.map((column) => csvField(column.name)).join(",")}\n`);
+      }
+      await write(exportChunk(rows, columns, format, insertTarget, connection.type));
+      rowCount += rows.length;
+      if (rows.length < EXPORT_PAGE_SIZE) break;
+    }
+  } catch (error) {
+    await handle.close();
+    await fs.unlink(filePath).catch(() => {});
+    throw error;
+  } finally {
+    await source?.close();
+  }
+  await handle.close();
+  return { rowCount, bytes };
+}
+
+function importFormat(filePath, format) {
+  if (format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid import format '${format}'. Expected one of: ${IMPORT_FORMATS.join(", ")}`);
+    }
+    return format;
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".csv" || extension === ".tsv") return "csv";
+  if (extension === ".ndjson" || extension === ".jsonl") return "ndjson";
+  throw new Error(`Cannot tell the format of ${path.basename(filePath)}; pass format (${IMPORT_FORMATS.join(" or ")})`);
+}
+
+// Splits CSV into records of { value, quoted } fields. Quoted fields may
+// span lines; `line` is the line each record starts on.
+async function* readCsvRecords(filePath, delimiter) {
+  let state = "start";
+  let field = "";
+  let quoted = false;
+  let fields = [];
+  let line = 1;
+  let recordLine = 1;
+  let first = true;
+
+  const endField = () => {
+    fields.push({ value: field, quoted });
+    field = "";
+    quoted = false;
+    state = "start";
+  };
+
+  for await (let chunk of createReadStream(filePath, { encoding: "utf8" })) {
+    if (first) chunk = chunk.replace(/^\uFEFF/, "");
+    first = false;
+    for (const ch of chunk) {
+      if (state === "quoted") {
+        if (ch === '"') state = "quote";
+        else {
+          field += ch;
+          if (ch === "\n") line++;
+        }
+        continue;
+      }
+      if (state === "quote") {
+        // A doubled quote is a literal quote; anything else closes the field
+        if (ch === '"') {
+          field += '"';
+          state = "quoted";
+          continue;
+        }
+        state = "unquoted";
+      }
+      if (ch === delimiter) {
+        endField();
+      } else if (ch === "\n") {
+        endField();
+        // Blank lines are not records
+        if (fields.length > 1 || fields[0].quoted || fields[0].value !== "") yield { line: recordLine, fields };
+        fields = [];
+        line++;
+        recordLine = line;
+      } else if (ch === "\r") {
+        continue;
+      } else if (ch === '"' && state === "start") {
+        quoted = true;
+        state = "quoted";
+      } else {
+        field += ch;
+        state = "unquoted";
+      }
+    }
+  }
+  if (state === "quoted") {
+    yield { line: recordLine, error: "Unterminated quoted field" };
+  } else if (fields.length > 0 || field !== "" || quoted) {
+    endField();
+    yield { line: recordLine, fields };
+  }
+}
+
+// Yields { line, values } per record, or { line, error } for records that
+// cannot be read. CSV fields are strings; an unquoted empty field is NULL,
+// as with COPY.
+async function* readImportRecords(filePath, format, options) {
+  if (format === "ndjson") {
+    const lines = readline.createInterface({ input: createReadStream(filePath, { encoding: "utf8" }), crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of lines) {
+      line++;
+      if (!text.trim()) continue;
+      let values;
+      try {
+        values = JSON.parse(text);
+      } catch (error) {
+        yield { line, error: `Invalid JSON: ${error.message}` };
+        continue;
+      }
+      if (isPlainObject(values)) yield { line, values };
+      else yield { line, error: "Expected a JSON object" };
+    }
+    return;
+  }
+
+  let names = null;
+  for await (const record of readCsvRecords(filePath, options.delimiter)) {
+    if (record.error) {
+      yield record;
+      continue;
+    }
+    if (!names) {
+      names = options.header ? record.fields.map((field) => field.value.trim()) : record.fields.map((_, index) => String(index + 1));
+      options.fieldNames = names;
+      if (options.header) continue;
+    }
+    if (record.fields.length !== names.length) {
+      yield { line: record.line, error: `Expected ${names.length} fields, found ${record.fields.length}` };
+      continue;
+    }
+    yield {
+      line: record.line,
+      values: Object.fromEntries(
+        names.map((name, index) => {
+          const { value, quoted } = record.fields[index];
+          return [name, quoted || value !== "" ? value : null];
+        })
+      ),
+    };
+  }
+}
+
+// Pairs of file field -> table column. Without an explicit mapping, fields
+// match columns by name, ignoring case.
+function importMapping(table, fieldNames, mapping) {
+  const byName = new Map(table.columns.map((column) => [column.name.toLowerCase(), column]));
+  if (mapping) {
+    return Object.entries(mapping).map(([field, columnName]) => {
+      const column = byName.get(String(columnName).toLowerCase());
+      if (!column) throw new Error(`Column '${columnName}' (mapped from '${field}') not found in ${table.name}`);
+      return { field, column };
+    });
+  }
+  return fieldNames
+    .filter((field) => byName.has(field.toLowerCase()))
+    .map((field) => ({ field, column: byName.get(field.toLowerCase()) }));
+}
+
+function importValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function copyCsvField(value) {
+  if (value === null) return "";
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Bulk path: COPY on Postgres, one multi-row INSERT on MySQL and a reused
+// prepared statement on SQLite
+async function insertImportBatch(client, connection, tableName, columns, rows) {
+  const columnList = columns.map((column) => quoteIdentifier(column.name, connection.type)).join(", ");
+  if (connection.type === "postgres") {
+    const data = rows.map((row) => `${row.map(copyCsvField).join(",")}\n`).join("");
+    await client.copyIn(`COPY ${tableName} (${columnList}) FROM STDIN WITH (FORMAT csv)`, data);
+  } else if (connection.type === "mysql") {
+    const placeholders = `(${columns.map(() => "?").join(", ")})`;
+    await client.query(
+      `INSERT INTO ${tableName} (${columnList}) VALUES ${rows.map(() => placeholders).join(", ")}`,
+      rows.flat()
+    );
+  } else {
+    for (const row of rows) await insertImportRow(client, connection, tableName, columns, row);
+  }
+}
+
+async function insertImportRow(client, connection, tableName, columns, row) {
+  const columnList = columns.map((column) => quoteIdentifier(column.name, connection.type)).join(", ");
+  const placeholders = columns.map((_, index) => (connection.type === "postgres" ? `$${index + 1}` : "?"));
+  await client.query(`INSERT INTO ${tableName} (${columnList}) VALUES (${placeholders.join(", ")})`, row);
+}
+
+// Loads the file in one transaction. Each batch runs under a savepoint; when
+// a batch fails its rows are retried one by one to find the rejected ones.
+// With onError "abort" the first rejected row rolls everything back.
+async function importFile(connection, table, tableName, args) {
+  const filePath = path.resolve(args.path);
+  const format = importFormat(filePath, args.format);
+  await fs.access(filePath).catch(() => {
+    throw new Error(`File not found: ${filePath}`);
+  });
+  const abort = (args.onError ?? "abort") === "abort";
+  const readOptions = {
+    delimiter: args.delimiter ?? (path.extname(filePath).toLowerCase() === ".tsv" ? "\t" : ","),
+    header: args.header ?? true,
+  };
+  if (readOptions.delimiter.length !== 1) throw new Error("delimiter must be a single character");
+
+  const report = {
+    table: table.name,
+    file: filePath,
+    format,
+    method: connection.type === "postgres" ? "COPY" : "INSERT",
+    mapping: null,
+    ignoredFields: [],
+    rowsRead: 0,
+    imported: 0,
+    rejected: 0,
+    errors: [],
+  };
+  const reject = (line, message) => {
+    report.rejected++;
+    if (report.errors.length < MAX_REPORTED_IMPORT_ERRORS) report.errors.push({ line, error: message });
+  };
+
+  const client = await acquireClient(connection);
+  let mapping = null;
+  let mappedFields = null;
+  const ignoredFields = new Set();
+  let pending = [];
+  const failed = () => abort && report.rejected > 0;
+
+  // Inserts rows under a savepoint; if the batch fails, retries it one row
+  // at a time to find the rows the database rejects
+  const load = async (rows) => {
+    if (rows.length === 0) return;
+    const columns = mapping.map((entry) => entry.column);
+    await client.query("SAVEPOINT mcp_import_batch");
+    try {
+      await insertImportBatch(client, connection, tableName, columns, rows.map((row) => row.values));
+      await client.query("RELEASE SAVEPOINT mcp_import_batch");
+      report.imported += rows.length;
+      return;
+    } catch {
+      await client.query("ROLLBACK TO SAVEPOINT mcp_import_batch");
+    }
+    for (const row of rows) {
+      await client.query("SAVEPOINT mcp_import_row");
+      try {
+        await insertImportRow(client, connection, tableName, columns, row.values);
+        await client.query("RELEASE SAVEPOINT mcp_import_row");
+        report.imported++;
+      } catch (error) {
+        await client.query("ROLLBACK TO SAVEPOINT mcp_import_row");
+        reject(row.line, error.message);
+        if (abort) return;
+      }
+    }
+    await client.query("RELEASE SAVEPOINT mcp_import_batch");
+  };
+
+  // The first batch decides the mapping, so NDJSON fields that the first
+  // record lacks still load. In abort mode the rows before a rejected record
+  // are loaded first, so the error reported is the earliest in the file.
+  const flush = async () => {
+    const records = pending;
+    pending = [];
+    if (records.length === 0) return;
+    if (!mapping) {
+      const fieldNames = readOptions.fieldNames || [...new Set(records.flatMap((record) => Object.keys(record.values)))];
+      mapping = importMapping(table, fieldNames, args.columns);
+      if (mapping.length === 0) {
+        throw new Error(`No fields of ${path.basename(filePath)} match columns of ${table.name}; pass a columns mapping`);
+      }
+      mappedFields = new Set(mapping.map(({ field }) => field));
+      report.mapping = Object.fromEntries(mapping.map(({ field, column }) => [field, column.name]));
+    }
+    const rows = [];
+    for (const record of records) {
+      for (const field of Object.keys(record.values)) {
+        if (!mappedFields.has(field)) ignoredFields.add(field);
+      }
+      const values = mapping.map(({ field }) => importValue(record.values[field]));
+      const missing = mapping.find(({ column }, index) => values[index] === null && !column.nullable);
+      if (!missing) {
+        rows.push({ line: record.line, values });
+        continue;
+      }
+      if (abort) {
+        await load(rows);
+        if (!failed()) reject(record.line, `Column ${missing.column.name} cannot be NULL`);
+        return;
+      }
+      reject(record.line, `Column ${missing.column.name} cannot be NULL`);
+    }
+    await load(rows);
+  };
+
+  try {
+    await client.query(BEGIN_STATEMENTS[connection.type]);
+    for await (const record of readImportRecords(filePath, format, readOptions)) {
+      report.rowsRead++;
+      if (record.error) {
+        if (abort) await flush();
+        if (!failed()) reject(record.line, record.error);
+      } else {
+        pending.push(record);
+        if (pending.length >= IMPORT_BATCH_SIZE) await flush();
+      }
+      if (failed()) break;
+    }
+    if (!failed()) await flush();
+    report.ignoredFields = [...ignoredFields];
+
+    if (failed()) {
+      await client.query("ROLLBACK");
+      report.imported = 0;
+      report.aborted = true;
+    } else {
+      await client.query("COMMIT");
+    }
+    return report;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function exportFormat(filePath, format) {
+  if (format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format '${format}'. Expected one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+    return format;
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".csv") return "csv";
+  if (extension === ".jsonl" || extension === ".ndjson") return "jsonl";
+  if (extension === ".sql") return "sql";
+  throw new Error(`Cannot tell the format of ${path.basename(filePath)}; pass format (${EXPORT_FORMATS.join(", ")})`);
+}
+
+// Shared by export_table and export_query: the query must be one read statement
+async function exportToFile(connection, sql, values, args, insertTarget) {
+  const { accessMode, statements } = enforceAccessPolicy(sql, connection);
+  if (statements.length !== 1 || statements[0].type !== "read") {
+    throw new Error("Exports take a single read statement, such as SELECT or WITH");
+  }
+  const filePath = path.resolve(args.path);
+  const format = exportFormat(filePath, args.format);
+  if (format === "sql" && !insertTarget) {
+    throw new Error("SQL exports of a query need 'table', the table to name in the INSERT statements");
+  }
+  const { rowCount, bytes } = await exportRows(connection, sql, values, {
+    filePath,
+    format,
+    overwrite: Boolean(args.overwrite),
+    insertTarget,
+    readOnly: accessMode === "read-only",
+  });
+  return {
+    content: [{ type: "text", text: `Exported ${rowCount} row(s) to ${filePath} (${format}, ${formatFileSize(bytes)}).` }],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Database activity
+//
+// Live sessions, lock waits and statement statistics read from the server's
+// own views: pg_stat_activity, pg_locks and pg_stat_statements on Postgres,
+// the process list, the sys schema and performance_schema on MySQL. SQLite
+// runs inside this process, so it has no other sessions to inspect.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_LONG_RUNNING_SECONDS = 30;
+const DEFAULT_QUERY_STATS_LIMIT = 20;
+const MAX_QUERY_STATS_LIMIT = 100;
+const MAX_ACTIVITY_QUERY_LENGTH = 1000;
+// Sort keys for get_query_stats and the result column each one orders by
+const QUERY_STATS_ORDER = { total: "total_ms", mean: "mean_ms", max: "max_ms", calls: "calls" };
+
+function requireServerEngine(connection, feature) {
+  if (connection.type === "sqlite") {
+    throw new Error(`${feature} needs a PostgreSQL or MySQL connection; SQLite runs inside this server and has no other sessions`);
+  }
+}
+
+function activitySeconds(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10;
+}
+
+function activityQueryText(text) {
+  if (!text) return null;
+  return text.length > MAX_ACTIVITY_QUERY_LENGTH ? `${text.slice(0, MAX_ACTIVITY_QUERY_LENGTH)}…` : text;
+}
+
+// One row per other client session, in the same shape for both engines.
+// State is "active", "idle", "idle in transaction" or the engine's own value.
+async function listActivity(connection) {
+  if (connection.type === "postgres") {
+    const { rows } = await getPgPool(connection).query(`
+      SELECT pid, usename, datname, client_addr::text AS client, application_name, state,
+        concat_ws(': ', wait_event_type, wait_event) AS wait_event,
+        pg_blocking_pids(pid) AS blocked_by,
+        EXTRACT(EPOCH FROM now() - xact_start)::float8 AS transaction_seconds,
+        EXTRACT(EPOCH FROM now() - query_start)::float8 AS query_seconds,
+        query
+      FROM pg_stat_activity
+      WHERE backend_type = 'client backend' AND pid <> pg_backend_pid()
+      ORDER BY xact_start NULLS LAST, query_start
+    `);
+    return rows.map((row) => ({
+      pid: row.pid,
+      user: row.usename,
+      database: row.datname,
+      client: row.client,
+      application: row.application_name || null,
+      state: row.state,
+      waitEvent: row.wait_event || null,
+      blockedBy: row.blocked_by,
+      transactionSeconds: activitySeconds(row.transaction_seconds),
+      querySeconds: row.state === "active" ? activitySeconds(row.query_seconds) : null,
+      query: activityQueryText(row.query),
+    }));
+  }
+
+  const pool = await getMysqlPool(connection);
+  const [rows] = await pool.query(`
+    SELECT p.ID AS pid, p.USER AS user, p.DB AS db, p.HOST AS client, p.COMMAND AS command,
+      p.STATE AS state, p.TIME AS time, p.INFO AS query,
+      TIMESTAMPDIFF(SECOND, t.trx_started, NOW()) AS transaction_seconds
+    FROM information_schema.PROCESSLIST p
+    LEFT JOIN information_schema.INNODB_TRX t ON t.trx_mysql_thread_id = p.ID
+    WHERE p.ID <> CONNECTION_ID() AND p.COMMAND <> 'Daemon'
+    ORDER BY p.TIME DESC
+  `);
+  const blockedBy = new Map();
+  try {
+    for (const edge of await lockWaitEdges(connection)) {
+      blockedBy.set(edge.blockedPid, [...(blockedBy.get(edge.blockedPid) || []), edge.blockingPid]);
+    }
+  } catch {
+    // The sys schema may be missing or unreadable; blockedBy stays empty
+  }
+  return rows.map((row) => {
+    const inTransaction = row.transaction_seconds !== null;
+    const state =
+      row.command === "Sleep" ? (inTransaction ? "idle in transaction" : "idle") : row.command === "Query" ? "active" : row.command.toLowerCase();
+    return {
+      pid: Number(row.pid),
+      user: row.user,
+      database: row.db,
+      client: row.client,
+      application: null,
+      state,
+      waitEvent: state === "active" ? row.state || null : null,
+      blockedBy: blockedBy.get(Number(row.pid)) || [],
+      transactionSeconds: activitySeconds(row.transaction_seconds),
+      querySeconds: state === "active" ? activitySeconds(row.time) : null,
+      query: activityQueryText(row.query),
+    };
+  });
+}
+
+// Sessions whose current query, or open transaction while idle, is older
+// than the threshold. Idle transactions hold their locks until they end.
+function isLongRunning(session, seconds) {
+  if (session.state === "active") return session.querySeconds >= seconds;
+  return session.state.startsWith("idle in transaction") && session.transactionSeconds >= seconds;
+}
+
+// Which session waits on which, with the lock being waited for
+async function lockWaitEdges(connection) {
+  if (connection.type === "postgres") {
+    const { rows } = await getPgPool(connection).query(`
+      SELECT blocked.pid AS blocked_pid, blocking.pid AS blocking_pid,
+        (SELECT string_agg(l.mode || ' on ' || COALESCE(l.relation::regclass::text, l.locktype), ', ')
+          FROM pg_locks l WHERE l.pid = blocked.pid AND NOT l.granted) AS lock
+      FROM pg_stat_activity blocked
+      CROSS JOIN LATERAL unnest(pg_blocking_pids(blocked.pid)) AS blocking(pid)
+    `);
+    return rows.map((row) => ({ blockedPid: row.blocked_pid, blockingPid: row.blocking_pid, lock: row.lock }));
+  }
+
+  const pool = await getMysqlPool(connection);
+  const [rows] = await pool.query(`
+    SELECT waiting_pid AS blocked_pid, blocking_pid,
+      CONCAT(waiting_lock_mode, ' row lock on ', locked_table) AS \`lock\`
+    FROM sys.innodb_lock_waits
+    UNION ALL
+    SELECT waiting_pid, blocking_pid,
+      CONCAT(waiting_lock_type, ' metadata lock on ', object_schema, '.', object_name)
+    FROM sys.schema_table_lock_waits
+    WHERE waiting_pid <> blocking_pid
+  `);
+  // The same pair can wait on several locks
+  const edges = new Map();
+  for (const row of rows) {
+    const key = `${row.blocked_pid}:${row.blocking_pid}`;
+    const edge = edges.get(key);
+    if (edge) {
+      if (!edge.lock.split(", ").includes(row.lock)) edge.lock += `, ${row.lock}`;
+    } else {
+      edges.set(key, { blockedPid: Number(row.blocked_pid), blockingPid: Number(row.blocking_pid), lock: row.lock });
+    }
+  }
+  return [...edges.values()];
+}
+
+// Lock waits as trees rooted at the sessions that block others without
+// waiting themselves; those are the ones to finish or cancel.
+async function lockChains(connection) {
+  const [activity, edges] = await Promise.all([listActivity(connection), lockWaitEdges(connection)]);
+  const sessions = new Map(activity.map((session) => [session.pid, session]));
+  const waiters = new Map();
+  for (const edge of edges) {
+    waiters.set(edge.blockingPid, [...(waiters.get(edge.blockingPid) || []), edge]);
+  }
+  const blocked = new Set(edges.map((edge) => edge.blockedPid));
+  const shown = new Set();
+
+  const node = (pid, edge) => {
+    const session = sessions.get(pid) || {};
+    const entry = {
+      pid,
+      user: session.user ?? null,
+      state: session.state ?? null,
+      ...(edge
+        ? { waitingSeconds: session.querySeconds ?? null, waitingFor: edge.lock }
+        : { transactionSeconds: session.transactionSeconds ?? null }),
+      query: session.query ?? null,
+    };
+    // A session blocked by several others appears under each of them once
+    if (shown.has(pid)) return { ...entry, shownAbove: true };
+    shown.add(pid);
+    const children = (waiters.get(pid) || []).map((child) => node(child.blockedPid, child));
+    return children.length > 0 ? { ...entry, blocks: children } : entry;
+  };
+
+  const roots = [...waiters.keys()].filter((pid) => !blocked.has(pid));
+  const chains = roots.map((pid) => node(pid, null));
+  // Sessions waiting on each other in a cycle have no root; the server's
+  // deadlock detection normally breaks these quickly
+  for (const edge of edges) {
+    if (!shown.has(edge.blockingPid)) chains.push({ ...node(edge.blockingPid, null), deadlock: true });
+  }
+  return { blockedSessions: blocked.size, rootBlockers: roots, chains };
+}
+
+async function queryStats(connection, args) {
+  const orderBy = args.orderBy || "total";
+  if (!QUERY_STATS_ORDER[orderBy]) {
+    throw new Error(`Invalid orderBy '${orderBy}'. Expected one of: ${Object.keys(QUERY_STATS_ORDER).join(", ")}`);
+  }
+  const limit = args.limit ?? DEFAULT_QUERY_STATS_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_STATS_LIMIT) {
+    throw new Error(`limit must be an integer from 1 to ${MAX_QUERY_STATS_LIMIT}`);
+  }
+  const order = QUERY_STATS_ORDER[orderBy];
+
+  if (connection.type === "postgres") {
+    const pool = getPgPool(connection);
+    const {
+      rows: [{ version, installed }],
+    } = await pool.query(
+      "SELECT current_setting('server_version_num')::int AS version, EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_stat_statements') AS installed"
+    );
+    if (!installed) {
+      throw new Error(
+        "pg_stat_statements is not installed in this database. Add it to shared_preload_libraries, restart the server and run CREATE EXTENSION pg_stat_statements"
+      );
+    }
+    // Postgres 13 renamed the *_time columns to *_exec_time
+    const time = version >= 130000 ? "exec_time" : "time";
+    const { rows } = await pool.query(
+      `SELECT s.queryid::text AS id, s.calls, s.total_${time} AS total_ms, s.mean_${time} AS mean_ms,
+        s.max_${time} AS max_ms, s.rows, s.shared_blks_hit, s.shared_blks_read, s.query
+      FROM pg_stat_statements s
+      JOIN pg_database d ON d.oid = s.dbid
+      WHERE d.datname = current_database()
+      ORDER BY ${order} DESC
+      LIMIT $1`,
+      [limit]
+    );
+    return rows.map((row) => {
+      const blocks = Number(row.shared_blks_hit) + Number(row.shared_blks_read);
+      return {
+        id: row.id,
+        calls: Number(row.calls),
+        totalMs: Math.round(row.total_ms * 100) / 100,
+        meanMs: Math.round(row.mean_ms * 100) / 100,
+        maxMs: Math.round(row.max_ms * 100) / 100,
+        rows: Number(row.rows),
+        cacheHitRatio: blocks > 0 ? Math.round((Number(row.shared_blks_hit) / blocks) * 1000) / 1000 : null,
+        query: activityQueryText(row.query),
+      };
+    });
+  }
+
+  const pool = await getMysqlPool(connection);
+  const [[{ enabled }]] = await pool.query("SELECT @@performance_schema AS enabled");
+  if (!Number(enabled)) {
+    throw new Error("performance_schema is disabled. Set performance_schema=ON in the server configuration and restart it");
+  }
+  // Timer columns are in picoseconds
+  const [rows] = await pool.query(
+    `SELECT DIGEST AS id, COUNT_STAR AS calls, SUM_TIMER_WAIT / 1000000000 AS total_ms,
+      AVG_TIMER_WAIT / 1000000000 AS mean_ms, MAX_TIMER_WAIT / 1000000000 AS max_ms,
+      SUM_ROWS_SENT AS \`rows\`, SUM_ROWS_EXAMINED AS rows_examined, SUM_NO_INDEX_USED AS no_index_used,
+      DIGEST_TEXT AS query
+    FROM performance_schema.events_statements_summary_by_digest
+    WHERE SCHEMA_NAME = DATABASE() AND DIGEST_TEXT IS NOT NULL
+    ORDER BY ${order} DESC
+    LIMIT ?`,
+    [limit]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    calls: Number(row.calls),
+    totalMs: Math.round(row.total_ms * 100) / 100,
+    meanMs: Math.round(row.mean_ms * 100) / 100,
+    maxMs: Math.round(row.max_ms * 100) / 100,
+    rows: Number(row.rows),
+    rowsExamined: Number(row.rows_examined),
+    noIndexUsed: Number(row.no_index_used),
+    query: activityQueryText(row.query),
+  }));
+}
+
+// Cancelling is opt-in per connection, and ending a whole session (which
+// rolls back its transaction) additionally needs admin mode
+async function cancelBackend(connection, pid, terminate) {
+  if (!connection.allowCancel) {
+    throw new QueryPolicyError(
+      `Cancelling queries is not enabled for connection '${connection.name}'; set "allowCancel": true on the connection, or DB_ALLOW_CANCEL=true for environment connections`,
+      { rule: "cancel-not-enabled", connection: connection.name }
+    );
+  }
+  if (terminate && connection.accessMode !== "admin") {
+    throw new QueryPolicyError("Terminating a session requires admin mode", {
+      rule: "terminate-requires-admin",
+      connection: connection.name,
+      accessMode: connection.accessMode,
+    });
+  }
+  requireServerEngine(connection, "cancel_query");
+  if (!Number.isInteger(pid) || pid <= 0) {
+    throw new Error(`Invalid pid '${pid}'; pass the pid reported by get_activity`);
+  }
+
+  const target = (await listActivity(connection)).find((session) => session.pid === pid);
+  if (!target) {
+    throw new Error(`No session with pid ${pid} on connection '${connection.name}'`);
+  }
+  if (!terminate && target.state !== "active") {
+    throw new Error(
+      `pid ${pid} is ${target.state} and has no running query to cancel; pass terminate: true to end the session${target.transactionSeconds !== null ? " and roll back its transaction" : ""}`
+    );
+  }
+
+  if (connection.type === "postgres") {
+    const {
+      rows: [{ signalled }],
+    } = await getPgPool(connection).query(
+      `SELECT ${terminate ? "pg_terminate_backend" : "pg_cancel_backend"}($1) AS signalled`,
+      [pid]
+    );
+    if (!signalled) throw new Error(`Could not signal pid ${pid}; it may have just ended`);
+  } else {
+    const pool = await getMysqlPool(connection);
+    await pool.query(`KILL ${terminate ? "CONNECTION" : "QUERY"} ${pid}`);
+  }
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// Index advisor
+//
+// Reads the columns each statement filters, joins and sorts on and proposes
+// indexes for the access paths that no existing index serves. The SQL is only
+// parsed, never run, so normalized statements from pg_stat_statements or
+// performance_schema work too. Usage statistics and the introspected index
+// lists flag unused and redundant indexes.
+// ---------------------------------------------------------------------------
+
+const MAX_ADVISED_INDEX_COLUMNS = 4;
+const SMALL_TABLE_ROWS = 1000;
+// Lookups that still match more than this share of a table rarely beat a scan
+const MAX_USEFUL_SELECTIVITY = 0.2;
+const BENEFIT_RANK = { high: 0, medium: 1, low: 2 };
+
+const EQUALITY_OPERATORS = ["=", "IN", "IS NULL"];
+const RANGE_OPERATORS = ["<", "<=", ">", ">=", "BETWEEN", "LIKE"];
+// column [::type] operator [column]; a name followed by "(" is a function call
+const PREDICATE_PATTERN = new RegExp(
+  String.raw`(?<![\w$."\x60\]])${IDENTIFIER_PATTERN}(?:::\w+)?\s*(<=|>=|<>|!=|=|<|>|\bNOT\b|\bIN\b|\bLIKE\b|\bBETWEEN\b|\bIS\s+NULL\b)(?:\s*${IDENTIFIER_PATTERN}(?![\w$.]*\s*\())?`,
+  "gi"
+);
+const CONDITION_END = /\b(?:GROUP\s+BY|ORDER\s+BY|LIMIT|OFFSET|FETCH|HAVING|UNION|INTERSECT|EXCEPT|RETURNING|WINDOW|FOR\s+(?:UPDATE|SHARE)|WHERE|SELECT|ON|(?:INNER|LEFT|RIGHT|FULL|CROSS|NATURAL)\b|JOIN)\b|;/gi;
+const ORDER_END = /\b(?:LIMIT|OFFSET|FETCH|FOR|UNION|INTERSECT|EXCEPT)\b|[);]/gi;
+
+// Statement text with comments removed and string literals reduced to '?'
+function scrubSql(sql, dialect) {
+  return tokenizeSql(sql, dialect)
+    .map(({ type, text }) => (type === "comment" ? " " : type === "string" ? "'?'" : text))
+    .join("");
+}
+
+function findTable(schema, name) {
+  return (
+    schema.tables[name] ||
+    Object.values(schema.tables).find((table) => table.name.toLowerCase() === name.toLowerCase()) ||
+    null
+  );
+}
+
+// Tables a statement reads or writes, by name and by alias
+function statementScope(sql, schema, dialect) {
+  const scope = new Map();
+  const text = stripSqlComments(sql, dialect);
+  const masked = maskLiterals(text, dialect);
+  const pattern = new RegExp(String.raw`(?:\b(?:FROM|JOIN|UPDATE|INTO)|,)\s*${IDENTIFIER_PATTERN}`, "gid");
+  for (const match of masked.matchAll(pattern)) {
+    const name = lastNamePart(captured(text, match, 1), dialect);
+    const table = findTable(schema, name);
+    if (table) scope.set(name.toLowerCase(), table);
+  }
+  for (const [alias, name] of tableAliases(sql, dialect)) {
+    const table = findTable(schema, name);
+    if (table) scope.set(alias.toLowerCase(), table);
+  }
+  return scope;
+}
+
+// A qualified reference names its table; an unqualified one must match a
+// column of exactly one table in scope
+function resolveColumn(reference, scope, dialect) {
+  const parts = reference.match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.]+/g).map((part) => unquoteIdentifier(part, dialect));
+  const name = parts[parts.length - 1].toLowerCase();
+  const tables =
+    parts.length > 1 ? [scope.get(parts[parts.length - 2].toLowerCase())].filter(Boolean) : [...new Set(scope.values())];
+  const matches = tables
+    .map((table) => ({ table, column: table.columns.find((column) => column.name.toLowerCase() === name) }))
+    .filter((match) => match.column);
+  return matches.length === 1 ? { table: matches[0].table, column: matches[0].column.name } : null;
+}
+
+// Per table: columns compared for equality, by range, and the ORDER BY
+// columns. Conditions joined with OR are skipped, since no single index
+// serves every branch.
+function statementAccessPaths(sql, schema, dialect) {
+  const scope = statementScope(sql, schema, dialect);
+  const text = scrubSql(sql, dialect);
+  const paths = new Map();
+  const pathFor = (table) => {
+    if (!paths.has(table.name)) paths.set(table.name, { table, equality: [], range: [], order: [] });
+    return paths.get(table.name);
+  };
+  const add = (list, column) => {
+    if (!list.includes(column)) list.push(column);
+  };
+
+  for (const start of text.matchAll(/\b(?:WHERE|ON)\b(?!\s+(?:CONFLICT|DUPLICATE)\b)/gi)) {
+    CONDITION_END.lastIndex = start.index + start[0].length;
+    const end = CONDITION_END.exec(text);
+    const condition = text.slice(start.index + start[0].length, end ? end.index : text.length);
+    if (/\bOR\b/i.test(condition)) continue;
+    for (const match of condition.matchAll(PREDICATE_PATTERN)) {
+      const left = resolveColumn(match[1], scope, dialect);
+      if (!left) continue;
+      const operator = match[2].toUpperCase().replace(/\s+/g, " ");
+      const right = match[3] && resolveColumn(match[3], scope, dialect);
+      if (right) {
+        // A join: each side can be looked up from the other
+        if (operator === "=" && right.table !== left.table) {
+          add(pathFor(left.table).equality, left.column);
+          add(pathFor(right.table).equality, right.column);
+        }
+      } else if (EQUALITY_OPERATORS.includes(operator)) {
+        add(pathFor(left.table).equality, left.column);
+      } else if (RANGE_OPERATORS.includes(operator)) {
+        add(pathFor(left.table).range, left.column);
+      }
+    }
+  }
+
+  // An index can return rows in ORDER BY order when every key is a plain
+  // column of one table, sorted in the same direction
+  for (const start of text.matchAll(/\bORDER\s+BY\b/gi)) {
+    ORDER_END.lastIndex = start.index + start[0].length;
+    const end = ORDER_END.exec(text);
+    const items = splitTopLevel(text.slice(start.index + start[0].length, end ? end.index : text.length), dialect).map(
+      (item) => new RegExp(String.raw`^${IDENTIFIER_PATTERN}(?:\s+(ASC|DESC))?(?:\s+NULLS\s+(?:FIRST|LAST))?$`, "i").exec(item)
+    );
+    if (items.length === 0 || items.some((item) => !item)) continue;
+    const columns = items.map((item) => resolveColumn(item[1], scope, dialect));
+    const directions = new Set(items.map((item) => (item[2] || "ASC").toUpperCase()));
+    if (columns.some((column) => !column || column.table !== columns[0].table) || directions.size > 1) continue;
+    const path = pathFor(columns[0].table);
+    columns.forEach(({ column }) => add(path.order, column));
+  }
+  return [...paths.values()];
+}
+
+function indexKey(column) {
+  if (!column) return null;
+  const text = column.replace(/\s+(?:ASC|DESC)$/i, "").trim();
+  return (/^(".*"|`.*`|\[.*\])$/.test(text) ? text.slice(1, -1) : text).toLowerCase();
+}
+
+// Existing indexes, including the primary key, with comparable key lists
+function tableIndexes(table, dialect) {
+  const indexes = [
+    ...(table.primaryKey ? [{ ...table.primaryKey, unique: true, primary: true }] : []),
+    ...table.indexes,
+  ].map((index) => ({
+    ...index,
+    keys: index.columns.map(indexKey),
+    method: (index.method || /\bUSING\s+(\w+)/i.exec(index.definition || "")?.[1] || "btree").toLowerCase(),
+    partial: /\sWHERE\s/i.test(index.definition || ""),
+  }));
+  // InnoDB indexes every foreign key; introspection folds those into the constraint
+  if (dialect === "mysql") {
+    for (const fk of table.foreignKeys) {
+      indexes.push({ name: fk.name, columns: fk.columns, keys: fk.columns.map(indexKey), method: "btree", foreignKey: true });
+    }
+  }
+  return indexes;
+}
+
+// Whether an index with `keys` serves a lookup on `columns`, where the first
+// `equalityCount` columns are compared for equality and may come in any order
+function indexServes(index, columns, equalityCount) {
+  if (index.partial || index.method !== "btree" || index.keys.includes(null)) return false;
+  const wanted = columns.map((column) => column.toLowerCase());
+  const equality = new Set(wanted.slice(0, equalityCount));
+  // A unique index on equality columns already finds at most one row
+  if (index.unique && index.keys.every((key) => equality.has(key))) return true;
+  if (index.keys.length < wanted.length) return false;
+  return (
+    index.keys.slice(0, equality.size).every((key) => equality.has(key)) &&
+    wanted.slice(equality.size).every((column, offset) => index.keys[equality.size + offset] === column)
+  );
+}
+
+// The index a statement's access path needs on one table: equality columns
+// (the ones most statements share first), then one range column or else the
+// ORDER BY columns
+function advisedColumns(path, frequency) {
+  const equality = [...path.equality]
+    .sort((a, b) => (frequency.get(b) || 0) - (frequency.get(a) || 0))
+    .slice(0, MAX_ADVISED_INDEX_COLUMNS);
+  const rest = path.range.length > 0 ? path.range.slice(0, 1) : path.order;
+  const columns = [...equality, ...rest.filter((column) => !equality.includes(column))];
+  return { columns: columns.slice(0, MAX_ADVISED_INDEX_COLUMNS), equalityCount: equality.length };
+}
+
+async function columnDistinctCounts(connection, schemaName, tableNames) {
+  const counts = new Map();
+  if (connection.type !== "postgres" || tableNames.length === 0) return counts;
+  // n_distinct below zero is a fraction of the row count
+  const { rows } = await getPgPool(connection).query(
+    "SELECT tablename, attname, n_distinct FROM pg_stats WHERE schemaname = $1 AND tablename = ANY($2)",
+    [schemaName, tableNames]
+  );
+  rows.forEach((row) => counts.set(`${row.tablename}.${row.attname}`, Number(row.n_distinct)));
+  return counts;
+}
+
+function estimateBenefit(proposal, rowCounts, distinctCounts) {
+  const rows = rowCounts.get(proposal.table.name) ?? null;
+  let rowsPerLookup = null;
+  const equality = proposal.columns.slice(0, proposal.equalityCount);
+  if (rows !== null && equality.length > 0 && equality.every((column) => distinctCounts.has(`${proposal.table.name}.${column}`))) {
+    const combinations = equality.reduce((product, column) => {
+      const distinct = distinctCounts.get(`${proposal.table.name}.${column}`);
+      return product * (distinct < 0 ? -distinct * rows : distinct);
+    }, 1);
+    rowsPerLookup = Math.max(1, Math.round(rows / Math.max(combinations, 1)));
+  }
+
+  if (rows === null) return { level: "medium", rows, rowsPerLookup, reason: "row count unknown (table never analyzed)" };
+  const size = `\`${proposal.table.name}\` has ~${formatCount(rows)} rows`;
+  if (rows < SMALL_TABLE_ROWS) return { level: "low", rows, rowsPerLookup, reason: `${size}; scanning it is cheap` };
+  if (rowsPerLookup !== null && rowsPerLookup / rows > MAX_USEFUL_SELECTIVITY) {
+    return {
+      level: "low",
+      rows,
+      rowsPerLookup,
+      reason: `${size} but a lookup still matches ~${formatCount(rowsPerLookup)}, so the planner may keep scanning`,
+    };
+  }
+  const lookup = rowsPerLookup !== null ? `; a lookup reads ~${formatCount(rowsPerLookup)}` : "";
+  return { level: rows >= DEFAULT_LARGE_TABLE_ROWS ? "high" : "medium", rows, rowsPerLookup, reason: `${size}${lookup}` };
+}
+
+// Non-unique indexes with no scans since statistics were last reset
+async function unusedIndexes(connection, schema) {
+  if (connection.type === "postgres") {
+    const pool = getPgPool(connection);
+    const { rows } = await pool.query(
+      `SELECT s.relname AS table_name, s.indexrelname AS index_name, pg_relation_size(s.indexrelid) AS bytes
+      FROM pg_stat_user_indexes s
+      JOIN pg_index i ON i.indexrelid = s.indexrelid
+      WHERE s.schemaname = $1 AND s.idx_scan = 0 AND NOT i.indisunique AND NOT i.indisprimary
+      ORDER BY pg_relation_size(s.indexrelid) DESC`,
+      [schema.name]
+    );
+    const {
+      rows: [{ since }],
+    } = await pool.query(
+      "SELECT COALESCE(stats_reset, pg_postmaster_start_time()) AS since FROM pg_stat_database WHERE datname = current_database()"
+    );
+    return {
+      since,
+      indexes: rows.map((row) => ({ table: row.table_name, index: row.index_name, size: formatFileSize(Number(row.bytes)) })),
+    };
+  }
+  if (connection.type === "mysql") {
+    const pool = await getMysqlPool(connection);
+    const [rows] = await pool.query(
+      `SELECT OBJECT_NAME AS table_name, INDEX_NAME AS index_name
+      FROM performance_schema.table_io_waits_summary_by_index_usage
+      WHERE OBJECT_SCHEMA = ? AND INDEX_NAME IS NOT NULL AND INDEX_NAME <> 'PRIMARY' AND COUNT_STAR = 0
+      ORDER BY OBJECT_NAME, INDEX_NAME`,
+      [schema.name]
+    );
+    const [[{ uptime }]] = await pool.query(
+      "SELECT VARIABLE_VALUE AS uptime FROM performance_schema.global_status WHERE VARIABLE_NAME = 'Uptime'"
+    );
+    // Unique and foreign key indexes are needed whether or not queries use them
+    const droppable = (row) =>
+      schema.tables[row.table_name]?.indexes.some((index) => index.name === row.index_name && !index.unique);
+    return {
+      since: new Date(Date.now() - Number(uptime) * 1000),
+      indexes: rows.filter(droppable).map((row) => ({ table: row.table_name, index: row.index_name, size: null })),
+    };
+  }
+  return null;
+}
+
+// Indexes whose keys repeat, or lead, another index of the same kind
+function redundantIndexes(table, dialect) {
+  const indexes = tableIndexes(table, dialect).filter((index) => !index.foreignKey);
+  const findings = [];
+  indexes.forEach((index, position) => {
+    if (index.primary || index.constraint || index.partial || index.keys.includes(null)) return;
+    for (const [otherPosition, other] of indexes.entries()) {
+      if (other === index || other.partial || other.method !== index.method) continue;
+      const leading = other.keys.slice(0, index.keys.length).join() === index.keys.join();
+      if (!leading) continue;
+      if (other.keys.length === index.keys.length) {
+        // Of two identical indexes, keep the one that enforces something, else the first
+        if (index.unique && !other.unique) continue;
+        if (index.unique === other.unique && !other.primary && !other.constraint && otherPosition > position) continue;
+        findings.push({ table: table.name, index, coveredBy: other, kind: "duplicate" });
+        return;
+      }
+      if (!index.unique) {
+        findings.push({ table: table.name, index, coveredBy: other, kind: "prefix" });
+        return;
+      }
+    }
+  });
+  return findings;
+}
+
+function qualifiedIndexTarget(connection, schema, name) {
+  const q = (identifier) => quoteIdentifier(identifier, connection.type);
+  const defaultSchema = { postgres: "public", sqlite: "main" }[connection.type];
+  return defaultSchema && schema.name !== defaultSchema ? `${q(schema.name)}.${q(name)}` : q(name);
+}
+
+function dropIndexStatement(connection, schema, table, name) {
+  if (connection.type === "mysql") {
+    return `DROP INDEX ${quoteIdentifier(name, "mysql")} ON ${quoteIdentifier(table, "mysql")};`;
+  }
+  return `DROP INDEX ${qualifiedIndexTarget(connection, schema, name)};`;
+}
+
+function createIndexStatement(connection, schema, proposal) {
+  const q = (identifier) => quoteIdentifier(identifier, connection.type);
+  const name = defaultIndexName(proposal.table.name, { columns: proposal.columns, unique: false });
+  // Postgres puts the index in its table's schema; SQLite wants the schema on the index name
+  const indexName = connection.type === "sqlite" ? qualifiedIndexTarget(connection, schema, name) : q(name);
+  const tableName = connection.type === "postgres" ? qualifiedIndexTarget(connection, schema, proposal.table.name) : q(proposal.table.name);
+  return `CREATE INDEX ${indexName} ON ${tableName} (${proposal.columns.map(q).join(", ")});`;
+}
+
+function statementPreview(sql) {
+  const text = sql.replace(/\s+/g, " ").trim();
+  return text.length > 160 ? `${text.slice(0, 160)}…` : text;
+}
+
+async function adviseIndexes(connection, args) {
+  const schema = await introspectSchema(connection, args.schema);
+  const workload = [];
+  for (const query of args.queries || []) {
+    for (const statement of splitStatements(query, connection.type)) {
+      workload.push({ sql: statement.text, calls: null, totalMs: null });
+    }
+  }
+  if (args.fromStats) {
+    requireServerEngine(connection, "fromStats");
+    for (const stat of await queryStats(connection, { orderBy: "total", limit: args.limit })) {
+      workload.push({ sql: stat.query, calls: stat.calls, totalMs: stat.totalMs });
+    }
+  }
+
+  const analyzed = workload.map((statement, index) => ({
+    ...statement,
+    number: index + 1,
+    paths: statementAccessPaths(statement.sql, schema, connection.type),
+  }));
+  // How many statements compare each column for equality decides column order
+  const frequency = new Map();
+  for (const { paths } of analyzed) {
+    for (const path of paths) {
+      path.equality.forEach((column) => frequency.set(column, (frequency.get(column) || 0) + 1));
+    }
+  }
+
+  const proposals = new Map();
+  for (const statement of analyzed) {
+    for (const path of statement.paths) {
+      const { columns, equalityCount } = advisedColumns(path, frequency);
+      if (columns.length === 0) continue;
+      const existing = tableIndexes(path.table, connection.type);
+      if (existing.some((index) => indexServes(index, columns, equalityCount))) continue;
+      const key = `${path.table.name}(${columns.join(",")})`;
+      if (!proposals.has(key)) {
+        proposals.set(key, { table: path.table, columns, equalityCount, statements: [], calls: 0, totalMs: 0 });
+      }
+      const proposal = proposals.get(key);
+      proposal.statements.push(statement.number);
+      proposal.calls += statement.calls ?? 1;
+      proposal.totalMs += statement.totalMs ?? 0;
+    }
+  }
+
+  // A proposal whose lookup another proposal also serves folds into it
+  const kept = [];
+  for (const proposal of [...proposals.values()].sort((a, b) => b.columns.length - a.columns.length)) {
+    const wider = kept.find(
+      (other) =>
+        other.table === proposal.table &&
+        indexServes({ keys: other.columns.map(indexKey), method: "btree" }, proposal.columns, proposal.equalityCount)
+    );
+    if (wider) {
+      wider.statements.push(...proposal.statements.filter((number) => !wider.statements.includes(number)));
+      wider.calls += proposal.calls;
+      wider.totalMs += proposal.totalMs;
+    } else {
+      kept.push(proposal);
+    }
+  }
+
+  const tableNames = [...new Set(kept.map((proposal) => proposal.table.name))];
+  const [rowCounts, distinctCounts] = await Promise.all([
+    tableRowCounts(connection, tableNames),
+    columnDistinctCounts(connection, schema.name, tableNames),
+  ]);
+  for (const proposal of kept) {
+    proposal.benefit = estimateBenefit(proposal, rowCounts, distinctCounts);
+    proposal.statements.sort((a, b) => a - b);
+    // Existing indexes on a leading part of the new one become redundant
+    proposal.replaces = tableIndexes(proposal.table, connection.type).filter(
+      (index) =>
+        !index.unique &&
+        !index.primary &&
+        !index.foreignKey &&
+        !index.keys.includes(null) &&
+        index.keys.length < proposal.columns.length &&
+        indexServes({ ...index, keys: proposal.columns.map(indexKey) }, index.keys, Math.min(proposal.equalityCount, index.keys.length))
+    );
+  }
+  kept.sort(
+    (a, b) =>
+      BENEFIT_RANK[a.benefit.level] - BENEFIT_RANK[b.benefit.level] ||
+      (b.benefit.rows ?? 0) * b.calls - (a.benefit.rows ?? 0) * a.calls
+  );
+
+  const lines = [`## Index Advice (${connection.name}, ${schema.name})`, ""];
+  const source = args.fromStats ? (connection.type === "postgres" ? "pg_stat_statements" : "performance_schema") : null;
+  lines.push(`Analyzed ${analyzed.length} statement(s)${source ? `, including the top statements from ${source}` : ""}.`);
+  const unmatched = analyzed.filter((statement) => statement.paths.length === 0).map((statement) => statement.number);
+  if (unmatched.length > 0) {
+    lines.push(
+      `Statement(s) ${unmatched.join(", ")} have no filter, join or sort an index could serve in ${schema.name} (conditions joined with OR are not analyzed).`
+    );
+  }
+
+  lines.push("", "### Proposed Indexes", "");
+  if (analyzed.length === 0) {
+    lines.push("Pass `queries` or `fromStats` to get index proposals.");
+  } else if (kept.length === 0) {
+    lines.push("Existing indexes serve every analyzed filter, join and sort.");
+  }
+  for (const proposal of kept) {
+    const workloadNote = proposal.totalMs
+      ? `${formatCount(proposal.calls)} calls, ${formatCount(Math.round(proposal.totalMs))} ms total`
+      : null;
+    lines.push(
+      `- **${proposal.benefit.level}**: \`${createIndexStatement(connection, schema, proposal)}\``,
+      `  - ${proposal.benefit.reason}`,
+      `  - Serves statement(s) ${proposal.statements.join(", ")}${workloadNote ? ` (${workloadNote})` : ""}`
+    );
+    if (proposal.replaces.length > 0) {
+      lines.push(`  - Makes ${proposal.replaces.map((index) => `\`${index.name}\``).join(", ")} redundant`);
+    }
+  }
+
+  const usage = await unusedIndexes(connection, schema).catch((error) => ({ error }));
+  lines.push("", "### Unused Indexes", "");
+  if (!usage) {
+    lines.push("SQLite keeps no index usage statistics.");
+  } else if (usage.error) {
+    lines.push(`Index usage statistics are unavailable: ${usage.error.message}`);
+  } else {
+    const since = usage.since ? new Date(usage.since).toISOString() : "the last statistics reset";
+    if (usage.indexes.length === 0) {
+      lines.push(`Every non-unique index was scanned at least once since ${since}.`);
+    } else {
+      lines.push(`Not scanned since ${since}; check replicas and rare jobs before dropping them:`, "");
+      for (const entry of usage.indexes) {
+        lines.push(
+          `- \`${entry.index}\` on \`${entry.table}\`${entry.size ? ` (${entry.size})` : ""}: \`${dropIndexStatement(connection, schema, entry.table, entry.index)}\``
+        );
+      }
+    }
+  }
+
+  const redundant = Object.values(schema.tables).flatMap((table) => redundantIndexes(table, connection.type));
+  lines.push("", "### Duplicate Indexes", "");
+  if (redundant.length === 0) {
+    lines.push("No index repeats or leads another.");
+  }
+  for (const { table, index, coveredBy, kind } of redundant) {
+    const other = coveredBy.primary ? "the primary key" : `\`${coveredBy.name}\``;
+    const relation = kind === "duplicate" ? `has the same columns as ${other}` : `is a leading part of ${other}`;
+    lines.push(
+      `- \`${index.name}\` on \`${table}\` (${index.columns.join(", ")}) ${relation}: \`${dropIndexStatement(connection, schema, table, index.name)}\``
+    );
+  }
+
+  if (analyzed.length > 0) {
+    lines.push("", "### Statements", "");
+    analyzed.forEach((statement) => lines.push(`${statement.number}. \`${statementPreview(statement.sql)}\``));
+  }
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Table data diff
+//
+// Compares one table on two connections (or two tables on one) by key. The
+// key space is cut into ranges of `chunkSize` source rows; ranges whose row
+// count and checksum agree on both sides are skipped, and only the others are
+// read row by row. Each side reads from one snapshot, so concurrent writes do
+// not show up as differences halfway through.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_DIFF_CHUNK_SIZE = 1000;
+const MAX_DIFF_CHUNK_SIZE = 50000;
+const DEFAULT_DIFF_ROWS = 100;
+// Differences are kept in memory for the report and the sync script
+const MAX_TRACKED_DIFFERENCES = 100000;
+const SYNC_SIDES = ["target", "source"];
+
+const SNAPSHOT_STATEMENTS = {
+  postgres: "BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY",
+  mysql: "START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY",
+  sqlite: "BEGIN",
+};
+
+// One side of a diff: where the table lives and how to read it
+async function openDiffSide(connection, schemaName, tableName, client) {
+  const schema = await introspectSchema(connection, schemaName);
+  const table = schema.tables[tableName];
+  if (!table) throw new Error(`Table '${tableName}' not found in ${schema.name} on connection '${connection.name}'`);
+  return {
+    connection,
+    table,
+    tableName: qualifiedTableName(connection, schemaName, table.name),
+    client: client || (await acquireClient(connection)),
+    shared: Boolean(client),
+  };
+}
+
+// (a, b) > ($1, $2) style comparison on the key; values are appended to `values`
+function keyComparison(side, keyColumns, operator, key, values) {
+  const { type } = side.connection;
+  const placeholders = key.map((value) => {
+    values.push(value);
+    return type === "postgres" ? `$${values.length}` : "?";
+  });
+  const columns = keyColumns.map((column) => quoteIdentifier(column, type));
+  return columns.length === 1
+    ? `${columns[0]} ${operator} ${placeholders[0]}`
+    : `(${columns.join(", ")}) ${operator} (${placeholders.join(", ")})`;
+}
+
+function rangeConditions(side, keyColumns, range, where, values) {
+  const conditions = [];
+  if (where) conditions.push(`(${where})`);
+  if (range.after) conditions.push(keyComparison(side, keyColumns, ">", range.after, values));
+  if (range.upTo) conditions.push(keyComparison(side, keyColumns, "<=", range.upTo, values));
+  return conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+}
+
+// Upper keys of consecutive ranges holding `chunkSize` source rows each
+async function keyRangeBounds(side, keyColumns, where, chunkSize) {
+  const { type } = side.connection;
+  const keyList = keyColumns.map((column) => quoteIdentifier(column, type)).join(", ");
+  const bounds = [];
+  let after = null;
+  for (;;) {
+    const values = [];
+    const filter = rangeConditions(side, keyColumns, { after }, where, values);
+    const { rows } = await side.client.query(
+      `SELECT ${keyList} FROM ${side.tableName}${filter} ORDER BY ${keyList} LIMIT 1 OFFSET ${chunkSize - 1}`,
+      values
+    );
+    if (rows.length === 0) break;
+    after = keyColumns.map((column) => rows[0][column]);
+    bounds.push(after);
+  }
+  return bounds;
+}
+
+// Row count and an order-independent sum of row hashes for a key range
+async function rangeChecksum(side, keyColumns, columns, range, where) {
+  const { type } = side.connection;
+  const values = [];
+  const filter = rangeConditions(side, keyColumns, range, where, values);
+  const quoted = [...keyColumns, ...columns].map((column) => quoteIdentifier(column, type));
+  const hash =
+    type === "postgres"
+      ? `SUM(('x' || substr(md5(ROW(${quoted.join(", ")})::text), 1, 16))::bit(64)::bigint)`
+      : `SUM(CAST(CONV(SUBSTRING(MD5(CONCAT_WS('|', ${quoted.map((column) => `ISNULL(${column}), ${column}`).join(", ")})), 1, 16), 16, 10) AS UNSIGNED))`;
+  const { rows } = await side.client.query(
+    `SELECT COUNT(*) AS row_count, ${hash} AS checksum FROM ${side.tableName}${filter}`,
+    values
+  );
+  return { rows: Number(rows[0].row_count), checksum: rows[0].checksum === null ? null : String(rows[0].checksum) };
+}
+
+// Reads a key range page by page
+async function* rangeRows(side, keyColumns, columns, range, where, pageSize) {
+  const { type } = side.connection;
+  const keyList = keyColumns.map((column) => quoteIdentifier(column, type)).join(", ");
+  const columnList = [...new Set([...keyColumns, ...columns])].map((column) => quoteIdentifier(column, type)).join(", ");
+  let after = range.after;
+  for (;;) {
+    const values = [];
+    const filter = rangeConditions(side, keyColumns, { after, upTo: range.upTo }, where, values);
+    const { rows } = await side.client.query(
+      `SELECT ${columnList} FROM ${side.tableName}${filter} ORDER BY ${keyList} LIMIT ${pageSize}`,
+      values
+    );
+    yield* rows;
+    if (rows.length < pageSize) return;
+    after = keyColumns.map((column) => rows[rows.length - 1][column]);
+  }
+}
+
+// Engines and drivers return the same value in different shapes: 5 or "5",
+// true or 1, a Date or a string. Compare a common text form.
+function comparableValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return `\\x${value.toString("hex")}`;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function rowKey(row, keyColumns) {
+  return JSON.stringify(keyColumns.map((column) => comparableValue(row[column])));
+}
+
+function diffRowValues(sourceRow, targetRow, columns) {
+  const changes = {};
+  for (const column of columns) {
+    if (comparableValue(sourceRow[column]) !== comparableValue(targetRow[column])) {
+      changes[column] = {
+        source: cellValue(sourceRow[column], DEFAULT_MAX_COLUMN_WIDTH),
+        target: cellValue(targetRow[column], DEFAULT_MAX_COLUMN_WIDTH),
+      };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+async function diffTableData(source, target, options) {
+  const { keyColumns, columns, where, targetWhere, chunkSize } = options;
+  // Checksums only match when both sides are the same kind of server; SQLite
+  // runs in this process, so reading its rows costs no more than hashing them
+  const useChecksums = source.connection.type === target.connection.type && source.connection.type !== "sqlite";
+  const bounds = await keyRangeBounds(source, keyColumns, where, chunkSize);
+  const ranges = [...bounds, null].map((upTo, index) => ({ after: index > 0 ? bounds[index - 1] : null, upTo }));
+
+  const report = { ranges: ranges.length, differingRanges: 0, sourceRows: 0, targetRows: 0 };
+  const differences = [];
+  // Rows without a partner in their own range; a key can land in different
+  // ranges on each side when the two servers collate text keys differently
+  const unmatchedSource = new Map();
+  const unmatchedTarget = new Map();
+  const track = (difference) => {
+    if (differences.length >= MAX_TRACKED_DIFFERENCES) {
+      throw new Error(`More than ${MAX_TRACKED_DIFFERENCES} differences; narrow the comparison with 'where'`);
+    }
+    differences.push(difference);
+  };
+  const compare = (sourceRow, targetRow) => {
+    const changes = diffRowValues(sourceRow, targetRow, columns);
+    if (changes) track({ kind: "changed", sourceRow, targetRow, changes });
+  };
+
+  for (const range of ranges) {
+    if (useChecksums) {
+      const [sourceSum, targetSum] = await Promise.all([
+        rangeChecksum(source, keyColumns, columns, range, where),
+        rangeChecksum(target, keyColumns, columns, range, targetWhere),
+      ]);
+      if (sourceSum.rows === targetSum.rows && sourceSum.checksum === targetSum.checksum) {
+        report.sourceRows += sourceSum.rows;
+        report.targetRows += targetSum.rows;
+        continue;
+      }
+    }
+
+    const sourceRows = new Map();
+    for await (const row of rangeRows(source, keyColumns, columns, range, where, chunkSize)) {
+      sourceRows.set(rowKey(row, keyColumns), row);
+      report.sourceRows++;
+    }
+    const before = differences.length;
+    const unmatchedBefore = unmatchedSource.size + unmatchedTarget.size;
+    for await (const row of rangeRows(target, keyColumns, columns, range, targetWhere, chunkSize)) {
+      report.targetRows++;
+      const key = rowKey(row, keyColumns);
+      const partner = sourceRows.get(key) || unmatchedSource.get(key);
+      if (partner) {
+        sourceRows.delete(key) || unmatchedSource.delete(key);
+        compare(partner, row);
+      } else {
+        unmatchedTarget.set(key, row);
+      }
+    }
+    for (const [key, row] of sourceRows) {
+      const partner = unmatchedTarget.get(key);
+      if (partner) {
+        unmatchedTarget.delete(key);
+        compare(row, partner);
+      } else {
+        unmatchedSource.set(key, row);
+      }
+    }
+    const unmatched = unmatchedSource.size + unmatchedTarget.size;
+    if (useChecksums || differences.length > before || unmatched !== unmatchedBefore) report.differingRanges++;
+    if (unmatched + differences.length > MAX_TRACKED_DIFFERENCES) {
+      throw new Error(`More than ${MAX_TRACKED_DIFFERENCES} differences; narrow the comparison with 'where'`);
+    }
+  }
+
+  for (const row of unmatchedSource.values()) track({ kind: "deleted", sourceRow: row });
+  for (const row of unmatchedTarget.values()) track({ kind: "inserted", targetRow: row });
+  return { report, differences };
+}
+
+function describeDifference(difference, keyColumns, columns) {
+  const row = difference.sourceRow || difference.targetRow;
+  const key = Object.fromEntries(keyColumns.map((column) => [column, cellValue(row[column], DEFAULT_MAX_COLUMN_WIDTH)]));
+  if (difference.kind === "changed") return { kind: "changed", key, changes: difference.changes };
+  const values = Object.fromEntries(columns.map((column) => [column, cellValue(row[column], DEFAULT_MAX_COLUMN_WIDTH)]));
+  return { kind: difference.kind, key, row: values };
+}
+
+// Statements that make `side` ("target" or "source") match the other side:
+// deletes first, then updates, then inserts, so unique keys never collide
+function renderSyncScript(differences, side, sides, keyColumns, columns) {
+  const { connection, tableName } = sides[side];
+  const dialect = connection.type;
+  const q = (column) => quoteIdentifier(column, dialect);
+  const keyCondition = (row) => keyColumns.map((column) => `${q(column)} = ${sqlLiteral(row[column], dialect)}`).join(" AND ");
+  // Seen from the source, a target row missing in the source was inserted
+  const extra = side === "target" ? "inserted" : "deleted";
+  const missing = side === "target" ? "deleted" : "inserted";
+  const own = side === "target" ? "targetRow" : "sourceRow";
+  const other = side === "target" ? "sourceRow" : "targetRow";
+
+  const lines = [`${BEGIN_STATEMENTS[dialect]};`];
+  for (const difference of differences.filter((entry) => entry.kind === extra)) {
+    lines.push(`DELETE FROM ${tableName} WHERE ${keyCondition(difference[own])};`);
+  }
+  for (const difference of differences.filter((entry) => entry.kind === "changed")) {
+    const assignments = Object.keys(difference.changes).map(
+      (column) => `${q(column)} = ${sqlLiteral(difference[other][column], dialect)}`
+    );
+    lines.push(`UPDATE ${tableName} SET ${assignments.join(", ")} WHERE ${keyCondition(difference[own])};`);
+  }
+  const insertColumns = [...new Set([...keyColumns, ...columns])];
+  for (const difference of differences.filter((entry) => entry.kind === missing)) {
+    const row = difference[other];
+    lines.push(
+      `INSERT INTO ${tableName} (${insertColumns.map(q).join(", ")}) VALUES (${insertColumns
+        .map((column) => sqlLiteral(row[column], dialect))
+        .join(", ")});`
+    );
+  }
+  lines.push("COMMIT;");
+  return `${lines.join("\n")}\n`;
+}
+
+async function runTableDiff(args) {
+  const sourceConnection = await resolveConnection(args);
+  const targetConnection = args.targetConnection
+    ? await resolveConnection({ connection: args.targetConnection })
+    : sourceConnection;
+  const targetTableName = args.targetTable || args.table;
+  const targetSchemaName = args.targetSchema ?? args.schema;
+  if (targetConnection === sourceConnection && targetTableName === args.table && targetSchemaName === args.schema) {
+    throw new Error("Source and target are the same table; pass targetConnection, targetTable or targetSchema");
+  }
+  const chunkSize = args.chunkSize ?? DEFAULT_DIFF_CHUNK_SIZE;
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_DIFF_CHUNK_SIZE) {
+    throw new Error(`chunkSize must be an integer from 1 to ${MAX_DIFF_CHUNK_SIZE}`);
+  }
+  if (args.sync && !SYNC_SIDES.includes(args.sync)) {
+    throw new Error(`Invalid sync '${args.sync}'. Expected one of: ${SYNC_SIDES.join(", ")}`);
+  }
+  if (args.syncPath && !args.sync) throw new Error("syncPath needs sync: 'target' or 'source'");
+  const maxRows = args.maxRows ?? DEFAULT_DIFF_ROWS;
+  if (!Number.isInteger(maxRows) || maxRows < 1) {
+    throw new Error("maxRows must be a positive integer");
+  }
+
+  // Filters are spliced into the SELECTs, so they must pass each side's read policy
+  for (const [connection, where] of [
+    [sourceConnection, args.where],
+    [targetConnection, args.targetWhere ?? args.where],
+  ]) {
+    if (!where) continue;
+    const { statements } = enforceAccessPolicy(`SELECT 1 WHERE ${where}`, connection);
+    if (statements.length !== 1 || statements[0].type !== "read") {
+      throw new Error("'where' must be a single condition");
+    }
+  }
+
+  const source = await openDiffSide(sourceConnection, args.schema, args.table);
+  let target;
+  try {
+    // Two tables on one connection are read through one client, so both
+    // sides come from the same snapshot
+    const shared = sourceConnection === targetConnection ? source.client : null;
+    target = await openDiffSide(targetConnection, targetSchemaName, targetTableName, shared);
+    const keyColumns = args.key || source.table.primaryKey?.columns;
+    if (!keyColumns?.length) {
+      throw new Error(`Table '${source.table.name}' has no primary key; pass 'key' with columns that identify a row`);
+    }
+    const has = (table, column) => table.columns.some((entry) => entry.name === column);
+    const missingKey = keyColumns.filter((column) => !has(source.table, column) || !has(target.table, column));
+    if (missingKey.length > 0) {
+      throw new Error(`Key column(s) ${missingKey.join(", ")} must exist in both tables`);
+    }
+    const commonColumns = source.table.columns.map((column) => column.name).filter((name) => has(target.table, name));
+    const columns = (args.columns || commonColumns).filter((name) => !keyColumns.includes(name));
+    const unknown = (args.columns || []).filter((name) => !commonColumns.includes(name));
+    if (unknown.length > 0) throw new Error(`Column(s) ${unknown.join(", ")} are not in both tables`);
+
+    await source.client.query(SNAPSHOT_STATEMENTS[sourceConnection.type]);
+    if (!target.shared) await target.client.query(SNAPSHOT_STATEMENTS[targetConnection.type]);
+    const { report, differences } = await diffTableData(source, target, {
+      keyColumns,
+      columns,
+      where: args.where,
+      targetWhere: args.targetWhere ?? args.where,
+      chunkSize,
+    });
+
+    const count = (kind) => differences.filter((difference) => difference.kind === kind).length;
+    const result = {
+      source: { connection: sourceConnection.name, table: source.tableName, rows: report.sourceRows },
+      target: { connection: targetConnection.name, table: target.tableName, rows: report.targetRows },
+      key: keyColumns,
+      columns,
+      onlyInSource: source.table.columns.map((column) => column.name).filter((name) => !has(target.table, name)),
+      onlyInTarget: target.table.columns.map((column) => column.name).filter((name) => !has(source.table, name)),
+      ranges: report.ranges,
+      differingRanges: report.differingRanges,
+      identical: differences.length === 0,
+      inserted: count("inserted"),
+      deleted: count("deleted"),
+      changed: count("changed"),
+      differences: differences.slice(0, maxRows).map((difference) => describeDifference(difference, keyColumns, columns)),
+    };
+    if (differences.length > maxRows) result.truncated = true;
+
+    let script = null;
+    if (args.sync && differences.length > 0) {
+      script = renderSyncScript(differences, args.sync, { source, target }, keyColumns, columns);
+      if (args.syncPath) {
+        const filePath = path.resolve(args.syncPath);
+        try {
+          await fs.writeFile(filePath, script, { flag: args.overwrite ? "w" : "wx" });
+        } catch (error) {
+          if (error.code === "EEXIST") throw new Error(`${filePath} already exists; pass overwrite: true to replace it`);
+          throw error;
+        }
+        result.syncScript = filePath;
+        script = null;
+      } else if (differences.length > maxRows) {
+        result.syncScript = `Not shown for ${differences.length} differences; pass syncPath to write it to a file`;
+        script = null;
+      }
+    }
+    return { result, script };
+  } finally {
+    // Both sides only read, so rolling back just ends the snapshots
+    for (const side of [source, target]) {
+      if (!side || side.shared) continue;
+      await side.client.query("ROLLBACK").catch(() => {});
+      side.client.release();
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Query history and saved queries
+//
+// execute_query and run_saved_query calls are appended to a local JSON Lines
+// file with their timing, row count and error; bind values are left out.
+// Saved queries live in a JSON file meant to be checked in, so a team can
+// share one library of named queries with :name parameters.
+// ---------------------------------------------------------------------------
+
+const QUERY_HISTORY_FILE =
+  process.env.DB_QUERY_HISTORY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "query-history.jsonl");
+// Entries kept in the history file; 0 turns recording off
+const QUERY_HISTORY_LIMIT =
+  process.env.DB_QUERY_HISTORY_LIMIT === undefined ? 1000 : Number(process.env.DB_QUERY_HISTORY_LIMIT);
+const MAX_HISTORY_QUERY_LENGTH = 10000;
+const DEFAULT_HISTORY_ENTRIES = 20;
+const MAX_HISTORY_ENTRIES = 500;
+
+const SAVED_QUERIES_FILE =
+  process.env.DB_SAVED_QUERIES_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "saved-queries.json");
+const SAVED_QUERY_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// Writes go through one chain so appends and trims never interleave
+let historyWrite = Promise.resolve();
+let historyLength = null;
+
+async function writeFileAtomic(filePath, content) {
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, content);
+  await fs.rename(temporary, filePath);
+}
+
+async function readQueryHistory() {
+  let text;
+  try {
+    text = await fs.readFile(QUERY_HISTORY_FILE, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  // A line cut short by a crash is skipped rather than failing the whole file
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function appendQueryHistory(entry) {
+  if (!(QUERY_HISTORY_LIMIT > 0)) return;
+  historyWrite = historyWrite
+    .then(async () => {
+      historyLength ??= (await readQueryHistory()).length;
+      await fs.appendFile(QUERY_HISTORY_FILE, `${JSON.stringify(entry)}\n`);
+      historyLength++;
+      // Trim in batches instead of rewriting the file after every query
+      if (historyLength > QUERY_HISTORY_LIMIT + Math.max(100, QUERY_HISTORY_LIMIT / 10)) {
+        const kept = (await readQueryHistory()).slice(-QUERY_HISTORY_LIMIT);
+        await writeFileAtomic(QUERY_HISTORY_FILE, kept.map((line) => `${JSON.stringify(line)}\n`).join(""));
+        historyLength = kept.length;
+      }
+    })
+    .catch((error) => console.error(`Failed to record query history in ${QUERY_HISTORY_FILE}:`, error.message));
+}
+
+// Runs `execute`, which resolves to { response, rowCount, moreRows }, and
+// records the outcome. Failed queries are recorded with their error.
+async function withQueryHistory(details, execute) {
+  const startedAt = Date.now();
+  const query =
+    details.query.length > MAX_HISTORY_QUERY_LENGTH ? `${details.query.slice(0, MAX_HISTORY_QUERY_LENGTH)}…` : details.query;
+  const entry = { timestamp: new Date(startedAt).toISOString(), ...details, query };
+  try {
+    const { response, rowCount, moreRows } = await execute();
+    appendQueryHistory({ ...entry, durationMs: Date.now() - startedAt, rowCount, ...(moreRows ? { moreRows } : {}) });
+    return response;
+  } catch (error) {
+    appendQueryHistory({ ...entry, durationMs: Date.now() - startedAt, error: error.message });
+    throw error;
+  }
+}
+
+async function listQueryHistory(args) {
+  await historyWrite;
+  const limit = Math.min(args.limit ?? DEFAULT_HISTORY_ENTRIES, MAX_HISTORY_ENTRIES);
+  const search = args.search?.toLowerCase();
+  return (await readQueryHistory())
+    .filter(
+      (entry) =>
+        (!args.connection || entry.connection === args.connection) &&
+        (!args.errorsOnly || entry.error) &&
+        (!search || entry.query.toLowerCase().includes(search) || entry.savedQuery?.toLowerCase().includes(search))
+    )
+    .slice(-limit)
+    .reverse();
+}
+
+function namedPlaceholders(sql, dialect) {
+  const names = [];
+  for (const segment of tokenizeSql(sql, dialect)) {
+    if (segment.type !== "code") continue;
+    for (const match of segment.text.matchAll(NAMED_PLACEHOLDER_PATTERN)) {
+      if (!names.includes(match[2])) names.push(match[2]);
+    }
+  }
+  return names;
+}
+
+async function readSavedQueryFile() {
+  try {
+    const file = JSON.parse(await fs.readFile(SAVED_QUERIES_FILE, "utf8"));
+    return { ...file, queries: file.queries || {} };
+  } catch (error) {
+    if (error.code === "ENOENT") return { queries: {} };
+    throw new Error(`Cannot read saved queries from ${SAVED_QUERIES_FILE}: ${error.message}`);
+  }
+}
+
+// Queries are sorted by name so that concurrent additions merge cleanly
+async function writeSavedQueryFile(file) {
+  const queries = Object.fromEntries(Object.entries(file.queries).sort(([a], [b]) => a.localeCompare(b)));
+  await writeFileAtomic(SAVED_QUERIES_FILE, `${JSON.stringify({ ...file, queries }, null, 2)}\n`);
+}
+
+async function saveQuery(args) {
+  if (!SAVED_QUERY_NAME_PATTERN.test(args.name || "")) {
+    throw new Error(`Invalid query name '${args.name}'; use letters, digits, '.', '-' and '_'`);
+  }
+  // The connection is only a default for run_saved_query, but it must exist
+  const connection = args.connection ? await resolveConnection(args) : null;
+  const dialect = connection?.type || "postgres";
+  if (splitStatements(args.query || "", dialect).length === 0) {
+    throw new Error("query is empty");
+  }
+  if (tokenizeSql(args.query, dialect).some((segment) => segment.type === "code" && /\$\d+/.test(segment.text))) {
+    throw new Error("Saved queries take :name placeholders, so that callers pass values by name");
+  }
+
+  const names = namedPlaceholders(args.query, dialect);
+  const declared = args.params || {};
+  for (const [name, spec] of Object.entries(declared)) {
+    if (!names.includes(name)) throw new Error(`Parameter :${name} does not appear in the query`);
+    if (!isPlainObject(spec)) throw new Error(`Parameter :${name} must be an object like { "description": "...", "default": ... }`);
+  }
+
+  const file = await readSavedQueryFile();
+  const replaced = Boolean(file.queries[args.name]);
+  if (replaced && !args.overwrite) {
+    throw new Error(`Saved query '${args.name}' already exists; pass overwrite: true to replace it`);
+  }
+  const entry = {
+    ...(args.description ? { description: args.description } : {}),
+    ...(args.connection ? { connection: args.connection } : {}),
+    query: args.query.trim(),
+  };
+  if (names.length > 0) {
+    entry.params = Object.fromEntries(names.map((name) => [name, declared[name] || {}]));
+  }
+  file.queries[args.name] = entry;
+  await writeSavedQueryFile(file);
+  return { entry, replaced };
+}
+
+// Bind values for a saved query: the caller's, else each parameter's default
+async function loadSavedQuery(name, given = {}) {
+  const { queries } = await readSavedQueryFile();
+  const saved = queries[name];
+  if (!saved) {
+    const names = Object.keys(queries);
+    throw new Error(
+      `No saved query '${name}' in ${SAVED_QUERIES_FILE}${names.length > 0 ? `. Saved queries: ${names.join(", ")}` : ""}`
+    );
+  }
+  const specs = saved.params || {};
+  const unknown = Object.keys(given).filter((param) => !(param in specs));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Saved query '${name}' has no parameter(s) ${unknown.map((param) => `:${param}`).join(", ")}; it takes ${
+        Object.keys(specs).map((param) => `:${param}`).join(", ") || "none"
+      }`
+    );
+  }
+  const values = {};
+  const missing = [];
+  for (const [param, spec] of Object.entries(specs)) {
+    if (param in given) values[param] = given[param];
+    else if ("default" in spec) values[param] = spec.default;
+    else missing.push(`:${param}${spec.description ? ` (${spec.description})` : ""}`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Saved query '${name}' needs a value for ${missing.join(", ")}`);
+  }
+  return { saved, params: Object.keys(specs).length > 0 ? values : undefined };
+}
+
+// ---------------------------------------------------------------------------
+// Result paging
+//
+// Query results are returned one page at a time. Single SELECT statements
+// stream from a server-side cursor (DECLARE CURSOR on Postgres, a streamed
+// result on MySQL, a statement iterator on SQLite); other results are paged
+// from memory. Either way the remaining rows are reachable through a
+// fetch_more token until the cursor is exhausted, closed or left idle.
+// ---------------------------------------------------------------------------
+
+const RESULT_FORMATS = ["markdown", "json", "csv", "ndjson"];
+const DEFAULT_MAX_ROWS = Number(process.env.DB_MAX_ROWS) || 100;
+const DEFAULT_MAX_COLUMN_WIDTH = 200;
+const CURSOR_IDLE_TIMEOUT_MS = Number(process.env.DB_CURSOR_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_OPEN_CURSORS = 10;
+// pg's `max` and mysql2's `connectionLimit` when the connection sets neither
+const DEFAULT_POOL_SIZE = 10;
+// Statements that DECLARE CURSOR accepts and that always return rows
+const CURSOR_KEYWORDS = ["SELECT", "WITH", "VALUES", "TABLE"];
+
+// Shared by execute_query and fetch_more
+const PAGE_PROPERTIES = {
+  format: {
+    type: "string",
+    enum: RESULT_FORMATS,
+    description: "Output format for rows (default: markdown)",
+  },
+  maxRows: {
+    type: "integer",
+    minimum: 1,
+    description: `Rows per page (default: ${DEFAULT_MAX_ROWS}); the rest can be read with fetch_more`,
+  },
+  maxColumnWidth: {
+    type: "integer",
+    minimum: 1,
+    description: `Longer values are truncated to this many characters (default: ${DEFAULT_MAX_COLUMN_WIDTH})`,
+  },
+};
+
+const cursors = new Map();
+const pgTypeNames = new Map();
+
+function pageOptions(args, defaults = {}) {
+  const format = args.format || defaults.format || "markdown";
+  if (!RESULT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format '${format}'. Expected one of: ${RESULT_FORMATS.join(", ")}`);
+  }
+  const maxRows = args.maxRows ?? defaults.maxRows ?? DEFAULT_MAX_ROWS;
+  if (!Number.isInteger(maxRows) || maxRows < 1) {
+    throw new Error("maxRows must be a positive integer");
+  }
+  return {
+    format,
+    maxRows,
+    maxColumnWidth: args.maxColumnWidth ?? defaults.maxColumnWidth ?? DEFAULT_MAX_COLUMN_WIDTH,
+  };
+}
+
+// Column names and database type names from the driver's field metadata.
+// Postgres type names are looked up with `query`, by default on the pool.
+async function describeColumns(connection, fields, query) {
+  if (!fields) return [];
+  if (connection.type === "postgres") {
+    const missing = [...new Set(fields.map((field) => field.dataTypeID))].filter(
+      (oid) => !pgTypeNames.has(`${connection.name}:${oid}`)
+    );
+    if (missing.length > 0) {
+      const { rows } = await (query || ((sql, values) => getPgPool(connection).query(sql, values)))(
+        "SELECT oid, format_type(oid, NULL) AS name FROM pg_type WHERE oid = ANY($1)",
+        [missing]
+      );
+      rows.forEach((row) => pgTypeNames.set(`${connection.name}:${row.oid}`, row.name));
+    }
+    return fields.map((field) => ({
+      name: field.name,
+      type: pgTypeNames.get(`${connection.name}:${field.dataTypeID}`) || String(field.dataTypeID),
+    }));
+  }
+  if (connection.type === "sqlite") {
+    // Declared column types; expressions have none
+    return fields.map((field) => ({ name: field.name, type: field.type ? field.type.toLowerCase() : null }));
+  }
+  return fields.map((field) => ({
+    name: field.name,
+    type: (mysql.Types[field.columnType ?? field.type] || String(field.columnType ?? field.type)).toLowerCase(),
+  }));
+}
+
+// Resolves with up to `count` rows from an object-mode stream
+function readStreamRows(stream, count) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    const cleanup = () => {
+      stream.off("readable", onReadable);
+      stream.off("end", onEnd);
+      stream.off("error", onError);
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(rows);
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    function onReadable() {
+      let row;
+      while (rows.length < count && (row = stream.read()) !== null) rows.push(row);
+      if (rows.length >= count) {
+        cleanup();
+        resolve(rows);
+      }
+    }
+    if (stream.readableEnded) {
+      resolve(rows);
+      return;
+    }
+    stream.on("readable", onReadable);
+    stream.on("end", onEnd);
+    stream.on("error", onError);
+    onReadable();
+  });
+}
+
+// Opens a server-side cursor. Sources expose fetch(count), which returns
+// fewer than `count` rows once the result is exhausted, and close().
+async function openCursorSource(connection, sql, values, readOnly) {
+  if (connection.type === "postgres") {
+    const client = await getPgPool(connection).connect();
+    const name = `mcp_cursor_${crypto.randomBytes(6).toString("hex")}`;
+    try {
+      await client.query(readOnly ? "BEGIN TRANSACTION READ ONLY" : "BEGIN");
+      await client.query(`DECLARE ${name} NO SCROLL CURSOR FOR ${sql}`, values);
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      client.release();
+      throw error;
+    }
+    let fields = null;
+    return {
+      fields: () => fields,
+      pooled: true,
+      query: (text, params) => client.query(text, params),
+      fetch: async (count) => {
+        const res = await client.query(`FETCH FORWARD ${count} FROM ${name}`);
+        fields ||= res.fields;
+        return res.rows;
+      },
+      close: async () => {
+        await client.query(readOnly ? "ROLLBACK" : "COMMIT").catch(() => {});
+        client.release();
+      },
+    };
+  }
+
+  if (connection.type === "sqlite") {
+    const stmt = getSqliteDb(connection).prepare(sql);
+    const iterator = stmt.iterate((values || []).map(toSqliteValue));
+    return {
+      fields: () => stmt.columns(),
+      fetch: async (count) => {
+        const rows = [];
+        while (rows.length < count) {
+          const { value, done } = iterator.next();
+          if (done) break;
+          rows.push(value);
+        }
+        return rows;
+      },
+      close: async () => {
+        iterator.return();
+      },
+    };
+  }
+
+  const pool = await getMysqlPool(connection);
+  const conn = await pool.getConnection();
+  if (readOnly) {
+    try {
+      await conn.query("SET SESSION TRANSACTION READ ONLY");
+      await conn.query("START TRANSACTION");
+    } catch (error) {
+      await conn.query("SET SESSION TRANSACTION READ WRITE").catch(() => {});
+      conn.release();
+      throw error;
+    }
+  }
+  let fields = null;
+  // The callback API streams rows as they arrive instead of buffering the result
+  const query = conn.connection.query({ sql, values });
+  query.on("fields", (received) => {
+    fields = received;
+  });
+  const stream = query.stream();
+  let ended = false;
+  stream.on("end", () => {
+    ended = true;
+  });
+  return {
+    fields: () => fields,
+    pooled: true,
+    fetch: (count) => readStreamRows(stream, count),
+    close: async () => {
+      if (!ended) {
+        // A half-read result cannot be abandoned, so drop the connection
+        conn.connection.destroy();
+        return;
+      }
+      if (readOnly) {
+        await conn.query("ROLLBACK").catch(() => {});
+        await conn.query("SET SESSION TRANSACTION READ WRITE").catch(() => {});
+      }
+      conn.release();
+    },
+  };
+}
+
+// Pages through rows that are already in memory
+function bufferedCursorSource(rows, fields, query) {
+  let position = 0;
+  return {
+    fields: () => fields,
+    query,
+    fetch: async (count) => {
+      const page = rows.slice(position, position + count);
+      position += page.length;
+      return page;
+    },
+    close: async () => {},
+  };
+}
+
+async function closeCursor(cursor) {
+  if (!cursors.delete(cursor.token)) return;
+  clearTimeout(cursor.timer);
+  await cursor.source.close().catch((error) => console.error(`Failed to close cursor ${cursor.token}:`, error));
+}
+
+// SQLite cannot write while a statement iterator is open on the connection
+async function closeConnectionCursors(connection) {
+  for (const cursor of [...cursors.values()]) {
+    if (cursor.connection.name === connection.name) await closeCursor(cursor);
+  }
+}
+
+function touchCursor(cursor) {
+  clearTimeout(cursor.timer);
+  cursor.timer = setTimeout(() => closeCursor(cursor), CURSOR_IDLE_TIMEOUT_MS);
+  cursor.timer.unref();
+}
+
+// Streamed Postgres and MySQL cursors each hold a pooled client, as
+// transaction sessions do. They get what sessions leave of the pool minus one
+// client, so other queries never wait for an idle cursor to time out.
+function cursorClientBudget(connection) {
+  const limit = Number(connection.config[connection.type === "mysql" ? "connectionLimit" : "max"]) || DEFAULT_POOL_SIZE;
+  const sessionClients = [...sessions.values()].filter((session) => session.connection.name === connection.name).length;
+  return limit - 1 - sessionClients;
+}
+
+// Closes the oldest cursors (Map iteration order is insertion order) until
+// one more fits under MAX_OPEN_CURSORS and, for a cursor that will hold a
+// pooled client, the connection's budget. Runs before the client is taken.
+// Resolves to false when the budget has no room for a pooled cursor at all.
+async function makeRoomForCursor(connection, pooled) {
+  while (cursors.size >= MAX_OPEN_CURSORS) {
+    await closeCursor(cursors.values().next().value);
+  }
+  if (!pooled) return true;
+  const budget = cursorClientBudget(connection);
+  if (budget < 1) return false;
+  const holding = [...cursors.values()].filter(
+    (cursor) => cursor.connection.name === connection.name && cursor.source.pooled
+  );
+  for (const cursor of holding.slice(0, Math.max(0, holding.length - budget + 1))) {
+    await closeCursor(cursor);
+  }
+  return true;
+}
+
+async function createCursor(connection, source, options) {
+  await makeRoomForCursor(connection, false);
+  const cursor = {
+    token: crypto.randomBytes(12).toString("base64url"),
+    connection,
+    source,
+    options,
+    columns: null,
+    lookahead: [],
+    exhausted: false,
+    position: 0,
+    timer: null,
+  };
+  cursors.set(cursor.token, cursor);
+  return cursor;
+}
+
+// Reads the next page. One row is read ahead so that the last page is
+// known to be last and its cursor can be closed right away.
+async function readPage(cursor, count) {
+  let rows = cursor.lookahead;
+  if (!cursor.exhausted && rows.length <= count) {
+    const wanted = count + 1 - rows.length;
+    const fetched = await cursor.source.fetch(wanted);
+    if (fetched.length < wanted) cursor.exhausted = true;
+    rows = rows.concat(fetched);
+  }
+  cursor.columns ||= await describeColumns(cursor.connection, cursor.source.fields(), cursor.source.query);
+  cursor.lookahead = rows.slice(count);
+  const page = { rows: rows.slice(0, count), start: cursor.position, columns: cursor.columns };
+  cursor.position += page.rows.length;
+  page.hasMore = cursor.lookahead.length > 0;
+  if (page.hasMore) {
+    page.token = cursor.token;
+    touchCursor(cursor);
+  } else {
+    await closeCursor(cursor);
+  }
+  return page;
+}
 
-// Initialize database connections
-function getPgPool() {
-  if (!pgPool) {
-    pgPool = new Pool(DB_CONFIGS.postgres);
+function truncateText(text, maxColumnWidth, stats) {
+  if (text.length <= maxColumnWidth) return text;
+  stats.truncated++;
+  return `${text.slice(0, maxColumnWidth)}...`;
+}
+
+// Plain JSON value for a cell; long strings and large objects are truncated
+function cellValue(value, maxColumnWidth, stats) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return truncateText(`\\x${value.toString("hex")}`, maxColumnWidth, stats);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string") return truncateText(value, maxColumnWidth, stats);
+  if (typeof value === "object") {
+    const json = JSON.stringify(value);
+    return json.length > maxColumnWidth ? truncateText(json, maxColumnWidth, stats) : value;
+  }
+  return value;
+}
+
+function cellText(value) {
+  if (value === null) return null;
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function csvField(text) {
+  if (text === null) return "";
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRows(rows, columns, format) {
+  const names = columns.length > 0 ? columns.map((column) => column.name) : Object.keys(rows[0] || {});
+  if (format === "json") {
+    return JSON.stringify(rows, null, 2);
+  }
+  if (format === "ndjson") {
+    return rows.map((row) => JSON.stringify(row)).join("\n");
+  }
+  if (format === "csv") {
+    const lines = [names.map(csvField).join(",")];
+    for (const row of rows) lines.push(names.map((name) => csvField(cellText(row[name]))).join(","));
+    return lines.join("\n");
+  }
+  const body = rows.map((row) => {
+    const values = names.map((name) => {
+      const text = cellText(row[name]);
+      if (text === null) return "NULL";
+      return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " "); // Keep each row on one line
+    });
+    return `| ${values.join(" | ")} |`;
+  });
+  return [`| ${names.join(" | ")} |`, `| ${names.map(() => "---").join(" | ")} |`, ...body].join("\n");
+}
+
+// Tool response for one page. Markdown gets the paging notes appended;
+// other formats keep the data in its own content item so it stays parseable.
+function formatPage(page, options) {
+  const stats = { truncated: 0 };
+  const rows = page.rows.map((row) =>
+    Object.fromEntries(Object.entries(row).map(([name, value]) => [name, cellValue(value, options.maxColumnWidth, stats)]))
+  );
+
+  const notes = [];
+  const end = page.start + rows.length;
+  if (page.hasMore) {
+    notes.push(
+      `Rows ${page.start + 1}-${end}; more rows available. Call fetch_more with cursor "${page.token}" to continue.`
+    );
+  } else {
+    notes.push(page.start > 0 ? `Rows ${page.start + 1}-${end} of ${end} (end of result)` : `Total rows: ${end}`);
   }
-  return pgPool;
+  if (page.columns.length > 0) {
+    notes.push(`Columns: ${page.columns.map((column) => `${column.name} (${column.type ?? "unknown"})`).join(", ")}`);
+  }
+  if (stats.truncated > 0) {
+    notes.push(`${stats.truncated} value(s) truncated to ${options.maxColumnWidth} characters (see maxColumnWidth)`);
+  }
+
+  const data = formatRows(rows, page.columns, options.format);
+  if (options.format === "markdown") {
+    return { content: [{ type: "text", text: `${data}\n\n${notes.join("\n")}` }] };
+  }
+  return {
+    content: [
+      { type: "text", text: data },
+      { type: "text", text: notes.join("\n") },
+    ],
+  };
 }
 
-async function getMysqlPool() {
-  if (!mysqlPool) {
-    mysqlPool = await mysql.createPool(DB_CONFIGS.mysql);
+// First page of a result that was read into memory; results without rows
+// become a status message. `query` runs metadata lookups, as for describeColumns.
+async function pageResult(connection, result, options, query) {
+  if (!result.rows || result.rows.length === 0) {
+    return { content: [{ type: "text", text: formatResultAsMarkdown(result) }] };
   }
-  return mysqlPool;
+  const cursor = await createCursor(connection, bufferedCursorSource(result.rows, result.fields, query), options);
+  return formatPage(await readPage(cursor, options.maxRows), options);
 }
 
 function formatResultAsMarkdown(result) {
@@ -147,23 +6486,96 @@ function formatResultAsMarkdown(result) {
     return "Query executed successfully. No rows returned.";
   }
 
-  const headers = Object.keys(rows[0]);
-  const headerRow = `| ${headers.join(" | ")} |`;
-  const separatorRow = `| ${headers.map(() => "---").join(" | ")} |`;
+  return `${formatRows(rows, [], "markdown")}\n\nTotal rows: ${rows.length}`;
+}
+
+// Rows returned, or rows changed for statements that return none
+function resultRowCount(result) {
+  return result.rows?.length > 0 ? result.rows.length : (result.rowCount ?? 0);
+}
 
-  const body = rows
-    .map((row) => {
-      const values = headers.map((header) => {
-        const value = row[header];
-        if (value === null) return "NULL";
-        if (typeof value === "object") return JSON.stringify(value);
-        return String(value).replace(/\|/g, "\\|"); // Escape pipe characters
-      });
-      return `| ${values.join(" | ")} |`;
-    })
-    .join("\n");
+// execute_query without the history bookkeeping. Resolves to the tool
+// response plus the row count that withQueryHistory records.
+async function executeQuery(connection, session, args) {
+  const options = pageOptions(args);
+  if (session) {
+    const result = await runInSession(session, args.query, args.params);
+    return {
+      response: await pageResult(connection, result, options, session.client.query),
+      rowCount: resultRowCount(result),
+      moreRows: result.rows?.length > options.maxRows,
+    };
+  }
+
+  const { accessMode, statements } = enforceAccessPolicy(args.query, connection);
+  const readOnly = accessMode === "read-only";
 
-  return `${headerRow}\n${separatorRow}\n${body}\n\nTotal rows: ${rows.length}`;
+  // Plain queries stream from a server-side cursor instead of being read in
+  // full, unless sessions leave the pool no client to spare for one
+  const [statement] = statements;
+  if (
+    statements.length === 1 &&
+    statement.type === "read" &&
+    CURSOR_KEYWORDS.includes(statement.keyword) &&
+    (await makeRoomForCursor(connection, connection.type !== "sqlite"))
+  ) {
+    const [{ text: sql }] = splitStatements(args.query, connection.type);
+    const { text, values } = bindParameters(sql, args.params, connection.type);
+    const source = await openCursorSource(connection, text, values, readOnly);
+    const cursor = await createCursor(connection, source, options);
+    try {
+      const page = await readPage(cursor, options.maxRows);
+      return { response: formatPage(page, options), rowCount: page.rows.length, moreRows: page.hasMore };
+    } catch (error) {
+      await closeCursor(cursor);
+      throw error;
+    }
+  }
+
+  if (connection.type === "sqlite" && statements.some((entry) => entry.type !== "read")) {
+    const open = sqliteSessionFor(connection);
+    if (open) {
+      throw new Error(
+        `SQLite connection '${connection.name}' has an open transaction session (${open.id}); run writes in that session or end it first`
+      );
+    }
+    await closeConnectionCursors(connection);
+  }
+  const { text, values } = bindParameters(args.query, args.params, connection.type);
+  let result;
+  let rowCount;
+  if (connection.type === "postgres") {
+    const res = readOnly
+      ? await runReadOnlyPg(connection, text, values)
+      : await getPgPool(connection).query(text, values);
+    result = {
+      rows: res.rows,
+      rowCount: res.rowCount,
+      command: res.command,
+      fields: res.fields,
+    };
+    rowCount = resultRowCount(result);
+  } else if (connection.type === "sqlite") {
+    result = runSqlite(connection, text, values, statements);
+    rowCount = resultRowCount(result);
+  } else {
+    const pool = await getMysqlPool(connection);
+    const [rows, fields] = readOnly
+      ? await runReadOnlyMysql(connection, text, values)
+      : await pool.query(text, values);
+    result = {
+      rows: Array.isArray(rows) ? rows : [rows],
+      rowCount: Array.isArray(rows) ? rows.length : 1,
+      fields,
+    };
+    // A write returns one result header row rather than rows
+    rowCount = Array.isArray(rows) ? rows.length : rows.affectedRows;
+  }
+  return {
+    response: await pageResult(connection, result, options),
+    rowCount,
+    moreRows: result.rows.length > options.maxRows,
+  };
 }
 
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -172,114 +6584,444 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     switch (name) {
       case "execute_query": {
-        let result;
-        if (args.dbType === "postgres") {
-          const pool = getPgPool();
-          const res = await pool.query(args.query);
-          result = {
-            rows: res.rows,
-            rowCount: res.rowCount,
-            command: res.command,
+        const session = args.session ? getSession(args.session) : null;
+        if (session && args.connection && args.connection !== session.connection.name) {
+          throw new Error(
+            `Session ${session.id} belongs to connection '${session.connection.name}', not '${args.connection}'`
+          );
+        }
+        const connection = session ? session.connection : await resolveConnection(args);
+        return await withQueryHistory(
+          { connection: connection.name, ...(session ? { session: session.id } : {}), query: args.query },
+          () => executeQuery(connection, session, args)
+        );
+      }
+
+      case "save_query": {
+        const { entry, replaced } = await saveQuery(args);
+        const params = Object.keys(entry.params || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${replaced ? "Replaced" : "Saved"} query '${args.name}' in ${SAVED_QUERIES_FILE}${
+                params.length > 0 ? ` with parameter(s) ${params.map((param) => `:${param}`).join(", ")}` : ""
+              }.`,
+            },
+          ],
+        };
+      }
+
+      case "list_saved_queries": {
+        const { queries } = await readSavedQueryFile();
+        const search = args.search?.toLowerCase();
+        const list = Object.entries(queries)
+          .filter(
+            ([name, saved]) =>
+              !search || name.toLowerCase().includes(search) || saved.description?.toLowerCase().includes(search)
+          )
+          .map(([name, saved]) => ({ name, ...saved }));
+        return {
+          content: [
+            {
+              type: "text",
+              text: list.length > 0 ? JSON.stringify(list, null, 2) : `No saved queries in ${SAVED_QUERIES_FILE}.`,
+            },
+          ],
+        };
+      }
+
+      case "run_saved_query": {
+        const { saved, params } = await loadSavedQuery(args.name, args.params);
+        const connection = await resolveConnection({ ...args, connection: args.connection || saved.connection });
+        return await withQueryHistory({ connection: connection.name, savedQuery: args.name, query: saved.query }, () =>
+          executeQuery(connection, null, { ...args, query: saved.query, params })
+        );
+      }
+
+      case "list_query_history": {
+        const entries = await listQueryHistory(args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: entries.length > 0 ? JSON.stringify(entries, null, 2) : "No matching queries in the history.",
+            },
+          ],
+        };
+      }
+
+      case "begin_transaction": {
+        const connection = await resolveConnection(args);
+        const session = await beginSession(connection, args);
+        const details = [
+          connection.type,
+          session.readOnly ? "read-only" : "read-write",
+          session.isolationLevel && `isolation ${session.isolationLevel}`,
+        ].filter(Boolean);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Started transaction session ${session.id} on '${connection.name}' (${details.join(", ")}).\nPass session "${session.id}" to execute_query, then call commit or rollback. The session rolls back after ${session.idleTimeoutMs / 1000} idle seconds.`,
+            },
+          ],
+        };
+      }
+
+      case "commit": {
+        const session = getSession(args.session);
+        const summary = describeSession(session);
+        const result = await endSession(session, "COMMIT", "committed");
+        // PostgreSQL answers COMMIT of an aborted transaction with a rollback
+        if (result?.command === "ROLLBACK") {
+          rememberEndedSession(session.id, "rolled back because an earlier error aborted it");
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Session ${session.id} was aborted by an earlier error, so COMMIT rolled it back (${summary}).`,
+              },
+            ],
+            isError: true,
           };
-        } else {
-          const pool = await getMysqlPool();
-          const [rows] = await pool.query(args.query);
-          result = {
-            rows: Array.isArray(rows) ? rows : [rows],
-            rowCount: Array.isArray(rows) ? rows.length : 1,
+        }
+        return { content: [{ type: "text", text: `Committed session ${session.id} (${summary}).` }] };
+      }
+
+      case "rollback": {
+        const session = getSession(args.session);
+        if (args.savepoint) {
+          const index = session.savepoints.indexOf(args.savepoint);
+          if (index === -1) {
+            throw new Error(
+              `Session ${session.id} has no savepoint '${args.savepoint}'. Open savepoints: ${session.savepoints.join(", ") || "none"}`
+            );
+          }
+          touchSession(session);
+          await session.client.query(`ROLLBACK TO SAVEPOINT ${args.savepoint}`);
+          // Later savepoints are destroyed; the target one stays usable
+          session.savepoints.splice(index + 1);
+          session.failed = false;
+          return {
+            content: [
+              { type: "text", text: `Rolled back session ${session.id} to savepoint ${args.savepoint}; the transaction is still open.` },
+            ],
           };
         }
+        const summary = describeSession(session);
+        await endSession(session, "ROLLBACK", "rolled back");
+        return { content: [{ type: "text", text: `Rolled back session ${session.id} (${summary}).` }] };
+      }
+
+      case "savepoint": {
+        const session = getSession(args.session);
+        if (!SAVEPOINT_NAME_PATTERN.test(args.name)) {
+          throw new Error(`Invalid savepoint name '${args.name}'. Use letters, digits and underscores`);
+        }
+        touchSession(session);
+        const index = session.savepoints.indexOf(args.name);
+        if (args.release) {
+          if (index === -1) throw new Error(`Session ${session.id} has no savepoint '${args.name}'`);
+          await session.client.query(`RELEASE SAVEPOINT ${args.name}`);
+          // Releasing a savepoint also releases the ones created after it
+          session.savepoints.splice(index);
+          return { content: [{ type: "text", text: `Released savepoint ${args.name} in session ${session.id}.` }] };
+        }
+        await session.client.query(`SAVEPOINT ${args.name}`);
+        // A reused name now refers to the new savepoint
+        if (index !== -1) session.savepoints.splice(index, 1);
+        session.savepoints.push(args.name);
+        return {
+          content: [
+            { type: "text", text: `Created savepoint ${args.name} in session ${session.id}. Open savepoints: ${session.savepoints.join(", ")}` },
+          ],
+        };
+      }
+
+      case "fetch_more": {
+        const cursor = cursors.get(args.cursor);
+        if (!cursor) {
+          throw new Error(
+            `Unknown or expired cursor '${args.cursor}'. Cursors close after their last page, after ${
+              CURSOR_IDLE_TIMEOUT_MS / 60000
+            } idle minutes, or when a write needs the SQLite connection; run the query again.`
+          );
+        }
+        if (args.close) {
+          await closeCursor(cursor);
+          return { content: [{ type: "text", text: `Cursor ${args.cursor} closed.` }] };
+        }
+        const options = pageOptions(args, cursor.options);
+        try {
+          return formatPage(await readPage(cursor, options.maxRows), options);
+        } catch (error) {
+          await closeCursor(cursor);
+          throw error;
+        }
+      }
+
+      case "explain_query": {
+        const connection = await resolveConnection(args);
+        const analyze = args.analyze ?? true;
+        // Without ANALYZE nothing runs, so only the statement type matters
+        const statements = analyze
+          ? enforceAccessPolicy(args.query, connection).statements
+          : classifyStatements(args.query, connection.type);
+        if (statements.length !== 1) {
+          throw new Error("explain_query takes exactly one statement");
+        }
+        const [statement] = statements;
+        if (statement.keyword === "EXPLAIN") {
+          throw new Error("Pass the statement itself; explain_query adds EXPLAIN");
+        }
+        if (statement.type !== "read" && statement.type !== "dml") {
+          throw new Error(`Cannot explain a ${statement.type} statement`);
+        }
+
+        const [{ text: sql }] = splitStatements(args.query, connection.type);
+        const { text, values } = bindParameters(sql, args.params, connection.type);
+        const plan = await explainStatement(connection, text, values, {
+          analyze,
+          readOnly: connection.accessMode === "read-only",
+        });
+        const aliases = tableAliases(sql, connection.type);
+        const relations = [];
+        walkPlan(plan.root, (node) => {
+          if (!node.relation) return;
+          node.relation = aliases.get(node.relation) || node.relation;
+          if (!relations.includes(node.relation)) relations.push(node.relation);
+        });
+        const findings = analyzePlan(plan.root, await tableRowCounts(connection, relations), connection, args);
+
+        const mode = plan.analyzed ? "EXPLAIN ANALYZE, rolled back" : connection.type === "sqlite" ? "EXPLAIN QUERY PLAN" : "EXPLAIN";
+        const lines = [`## Query Plan (${connection.name}, ${mode})`, ""];
+        if (plan.planningTime !== undefined) {
+          lines.push(
+            `Planning time: ${plan.planningTime} ms${plan.executionTime !== undefined ? `, execution time: ${plan.executionTime} ms` : ""}`,
+            ""
+          );
+        }
+        lines.push("### Findings", "");
+        if (findings.length === 0) {
+          lines.push("No problems found.");
+        }
+        for (const finding of findings) {
+          lines.push(`- **${finding.kind}**: ${finding.message}${finding.suggestion ? `\n  - ${finding.suggestion}` : ""}`);
+        }
+        lines.push("", "### Plan", "", "```", formatPlanTree(plan.root), "```");
+        if (args.includeRawPlan) {
+          lines.push(
+            "",
+            "### Raw Plan",
+            "",
+            "```",
+            typeof plan.raw === "string" ? plan.raw : JSON.stringify(plan.raw, null, 2),
+            "```"
+          );
+        }
+        return { content: [{ type: "text", text: lines.join("\n") }] };
+      }
+
+      case "get_schema": {
+        const connection = await resolveConnection(args);
+        const schema = await describeSchema(connection, args);
         return {
           content: [
             {
               type: "text",
-              text: formatResultAsMarkdown(result),
+              text: JSON.stringify(schema, null, 2),
             },
           ],
         };
       }
 
-      case "get_schema": {
-        let schema;
-        if (args.dbType === "postgres") {
-          const pool = getPgPool();
-          const query = args.tableName
-            ? `
-              SELECT 
-                column_name, data_type, character_maximum_length,
-                is_nullable, column_default
-              FROM information_schema.columns
-              WHERE table_schema = 'public' AND table_name = $1
-              ORDER BY ordinal_position;
-            `
-            : `
-              SELECT 
-                table_name,
-                (SELECT COUNT(*) FROM information_schema.columns c 
-                 WHERE c.table_name = t.table_name AND c.table_schema = 'public') as column_count
-              FROM information_schema.tables t
-              WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
-              ORDER BY table_name;
-            `;
-          const res = args.tableName
-            ? await pool.query(query, [args.tableName])
-            : await pool.query(query);
-          schema = res.rows;
-        } else {
-          const pool = await getMysqlPool();
-          const query = args.tableName
-            ? `
-              SELECT 
-                COLUMN_NAME as column_name,
-                DATA_TYPE as data_type,
-                CHARACTER_MAXIMUM_LENGTH as character_maximum_length,
-                IS_NULLABLE as is_nullable,
-                COLUMN_DEFAULT as column_default
-              FROM information_schema.COLUMNS
-              WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
-              ORDER BY ORDINAL_POSITION;
-            `
-            : `
-              SELECT 
-                TABLE_NAME as table_name,
-                (SELECT COUNT(*) FROM information_schema.COLUMNS c 
-                 WHERE c.TABLE_NAME = t.TABLE_NAME AND c.TABLE_SCHEMA = DATABASE()) as column_count
-              FROM information_schema.TABLES t
-              WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE'
-              ORDER BY TABLE_NAME;
-            `;
-          const [rows] = args.tableName
-            ? await pool.query(query, [args.tableName])
-            : await pool.query(query);
-          schema = rows;
+      case "generate_er_diagram": {
+        const connection = await resolveConnection(args);
+        const format = args.format || "mermaid";
+        if (!ER_FORMATS.includes(format)) {
+          throw new Error(`Unsupported diagram format '${format}'. Expected one of: ${ER_FORMATS.join(", ")}`);
         }
+        const schema = await introspectSchema(connection, args.schema);
+        const model = buildErModel(schema, args);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(schema, null, 2),
+              text: `${model.entities.length} table(s), ${model.relationships.length} relationship(s) in ${schema.name}\n\n\`\`\`${format}\n${renderErDiagram(model, format)}\n\`\`\``,
             },
           ],
         };
       }
 
+      case "seed_table": {
+        const connection = await resolveConnection(args);
+        if (!args.dryRun && !ACCESS_POLICIES[connection.accessMode].includes("dml")) {
+          throw new QueryPolicyError(`Seeding inserts rows, which ${connection.accessMode} mode does not allow; pass dryRun to get the statements`, {
+            rule: "statement-type",
+            connection: connection.name,
+            accessMode: connection.accessMode,
+          });
+        }
+        const seed = args.seed ?? crypto.randomInt(1, 2 ** 31);
+        const schema = await introspectSchema(connection, args.schema);
+        const client = await acquireClient(connection);
+        try {
+          const generated = await generateSeedRows(client.query, connection, schema, { ...args, seed });
+          const statements = renderSeedInserts(generated, connection.type);
+          const notes = [`Seed: ${seed}`];
+          if (generated.defaulted.length > 0) notes.push(`Left to column defaults: ${generated.defaulted.join(", ")}`);
+
+          if (args.dryRun) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `## Seed data for ${generated.table.name} (dry run, ${generated.rows.length} rows)\n\n${notes.join("\n")}\n\n\`\`\`sql\n${statements.join("\n\n")}\n\`\`\``,
+                },
+              ],
+            };
+          }
+
+          await client.query(BEGIN_STATEMENTS[connection.type]);
+          try {
+            for (const statement of statements) await client.query(statement);
+            await client.query("COMMIT");
+          } catch (error) {
+            await client.query("ROLLBACK").catch(() => {});
+            throw new Error(`${error.message} (no rows were inserted; seed ${seed})`);
+          }
+          const sample = generated.rows
+            .slice(0, 5)
+            .map((row) =>
+              Object.fromEntries(generated.columns.map((name) => [name, cellValue(row[name], DEFAULT_MAX_COLUMN_WIDTH, {})]))
+            );
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Inserted ${generated.rows.length} row(s) into ${generated.table.name}.\n${notes.join("\n")}\n\n${
+                  generated.columns.length > 0
+                    ? `${formatRows(sample, generated.columns.map((name) => ({ name })), "markdown")}${
+                        generated.rows.length > sample.length ? `\n\n(first ${sample.length} rows)` : ""
+                      }`
+                    : ""
+                }`.trim(),
+              },
+            ],
+          };
+        } finally {
+          client.release();
+        }
+      }
+
+      case "export_table": {
+        const connection = await resolveConnection(args);
+        const schema = await introspectSchema(connection, args.schema);
+        const table = schema.tables[args.table] || schema.views[args.table];
+        if (!table) throw new Error(`Table or view '${args.table}' not found in ${schema.name}`);
+        const unknown = (args.columns || []).filter((name) => !table.columns.some((column) => column.name === name));
+        if (unknown.length > 0) throw new Error(`Unknown column(s) in ${table.name}: ${unknown.join(", ")}`);
+        if (args.limit !== undefined && !(Number.isInteger(args.limit) && args.limit >= 0)) {
+          throw new Error("limit must be a non-negative integer");
+        }
+
+        const tableName = qualifiedTableName(connection, args.schema, table.name);
+        const columnList = args.columns?.length
+          ? args.columns.map((name) => quoteIdentifier(name, connection.type)).join(", ")
+          : "*";
+        let sql = `SELECT ${columnList} FROM ${tableName}`;
+        if (args.where) sql += ` WHERE ${args.where}`;
+        if (args.orderBy) sql += ` ORDER BY ${args.orderBy}`;
+        if (args.limit !== undefined) sql += ` LIMIT ${args.limit}`;
+        return await exportToFile(connection, sql, [], args, tableName);
+      }
+
+      case "export_query": {
+        const connection = await resolveConnection(args);
+        const statements = splitStatements(args.query, connection.type);
+        if (statements.length !== 1) throw new Error("Exports take a single read statement, such as SELECT or WITH");
+        const { text, values } = bindParameters(statements[0].text, args.params, connection.type);
+        const insertTarget = args.table
+          ? args.table
+              .split(".")
+              .map((part) => quoteIdentifier(part, connection.type))
+              .join(".")
+          : null;
+        return await exportToFile(connection, text, values, args, insertTarget);
+      }
+
+      case "import_file": {
+        const connection = await resolveConnection(args);
+        if (!ACCESS_POLICIES[connection.accessMode].includes("dml")) {
+          throw new QueryPolicyError(`Importing inserts rows, which ${connection.accessMode} mode does not allow`, {
+            rule: "statement-type",
+            connection: connection.name,
+            accessMode: connection.accessMode,
+          });
+        }
+        const schema = await introspectSchema(connection, args.schema);
+        const table = schema.tables[args.table];
+        if (!table) throw new Error(`Table '${args.table}' not found in ${schema.name}`);
+        const report = await importFile(connection, table, qualifiedTableName(connection, args.schema, table.name), args);
+        if (report.aborted) {
+          const [first] = report.errors;
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Import aborted at line ${first.line}: ${first.error}. No rows were imported.\n\n${JSON.stringify(report, null, 2)}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+        return { content: [{ type: "text", text: JSON.stringify(report, null, 2) }] };
+      }
+
+      case "diff_table_data": {
+        const { result, script } = await runTableDiff(args);
+        const content = [{ type: "text", text: JSON.stringify(result, null, 2) }];
+        if (script) content.push({ type: "text", text: script });
+        return { content };
+      }
+
       case "get_table_stats": {
+        const connection = await resolveConnection(args);
         let stats;
-        if (args.dbType === "postgres") {
-          const pool = getPgPool();
+        if (connection.type === "postgres") {
+          const pool = getPgPool(connection);
           const query = `
             SELECT 
               schemaname,
-              tablename,
-              pg_size_pretty(pg_total_relation_size(schemaname||'.'||tablename)) AS size,
+              relname AS tablename,
+              pg_size_pretty(pg_total_relation_size(relid)) AS size,
               n_live_tup as row_count
             FROM pg_stat_user_tables
-            ORDER BY pg_total_relation_size(schemaname||'.'||tablename) DESC;
+            ORDER BY pg_total_relation_size(relid) DESC;
           `;
           const res = await pool.query(query);
           stats = res.rows;
+        } else if (connection.type === "sqlite") {
+          const db = getSqliteDb(connection);
+          const tables = db
+            .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+            .all();
+          stats = tables.map(({ name: tableName }) => {
+            const { row_count } = db.prepare(`SELECT COUNT(*) as row_count FROM "${tableName.replace(/"/g, '""')}"`).get();
+            let sizeKb = null;
+            try {
+              // dbstat is an optional compile-time extension
+              const { bytes } = db.prepare("SELECT SUM(pgsize) as bytes FROM dbstat WHERE name = ?").get(tableName);
+              sizeKb = Math.round((bytes / 1024) * 100) / 100;
+            } catch {
+              // Size stays null when dbstat is unavailable
+            }
+            return { table_name: tableName, size_kb: sizeKb, row_count };
+          });
+          stats.sort((a, b) => (b.size_kb ?? 0) - (a.size_kb ?? 0));
         } else {
-          const pool = await getMysqlPool();
+          const pool = await getMysqlPool(connection);
           const query = `
             SELECT 
               TABLE_NAME as table_name,
@@ -302,36 +7044,346 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "get_activity": {
+        const connection = await resolveConnection(args);
+        requireServerEngine(connection, "get_activity");
+        const activity = (await listActivity(connection)).filter((session) => args.includeIdle || session.state !== "idle");
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(activity, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_long_running_queries": {
+        const connection = await resolveConnection(args);
+        requireServerEngine(connection, "get_long_running_queries");
+        const minSeconds = args.minSeconds ?? DEFAULT_LONG_RUNNING_SECONDS;
+        const duration = (session) => (session.state === "active" ? session.querySeconds : session.transactionSeconds);
+        const sessions = (await listActivity(connection))
+          .filter((session) => isLongRunning(session, minSeconds))
+          .sort((a, b) => duration(b) - duration(a));
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                sessions.length > 0
+                  ? JSON.stringify(sessions, null, 2)
+                  : `No queries or open transactions older than ${minSeconds}s.`,
+            },
+          ],
+        };
+      }
+
+      case "get_lock_chains": {
+        const connection = await resolveConnection(args);
+        requireServerEngine(connection, "get_lock_chains");
+        const chains = await lockChains(connection);
+        return {
+          content: [
+            {
+              type: "text",
+              text: chains.blockedSessions > 0 ? JSON.stringify(chains, null, 2) : "No sessions are waiting on locks.",
+            },
+          ],
+        };
+      }
+
+      case "get_query_stats": {
+        const connection = await resolveConnection(args);
+        requireServerEngine(connection, "get_query_stats");
+        const stats = await queryStats(connection, args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(stats, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "advise_indexes": {
+        const connection = await resolveConnection(args);
+        return { content: [{ type: "text", text: await adviseIndexes(connection, args) }] };
+      }
+
+      case "cancel_query": {
+        const connection = await resolveConnection(args);
+        const target = await cancelBackend(connection, args.pid, Boolean(args.terminate));
+        const action = args.terminate ? "Terminated session" : "Cancelled the running query of";
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${action} pid ${target.pid} (${target.user}, ${target.state}): ${target.query ?? "no query"}`,
+            },
+          ],
+        };
+      }
+
       case "generate_migration": {
+        const connection = await resolveConnection(args);
         const timestamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0];
-        const migrationName = args.description.toLowerCase().replace(/\s+/g, "_");
+        // Only [a-z0-9_], so the description cannot add path segments to the file name
+        const migrationName = String(args.description ?? "")
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "_")
+          .replace(/^_+|_+$/g, "");
+        if (!migrationName) {
+          throw new Error("description must contain at least one letter or digit to name the migration file");
+        }
         const fileName = `${timestamp}_${migrationName}.sql`;
+        const hasTarget = ["targetConnection", "targetSchema", "targetDdl"].some((key) => args[key] !== undefined);
+
+        let upSql = ["-- Add your migration SQL here"];
+        let downSql = ["-- Add your rollback SQL here"];
+        let changes = [];
+        if (hasTarget) {
+          const schemaName = args.schema || "public";
+          const target = await resolveTargetSchema(args, connection);
+          const current = await introspectSchema(connection, args.schema);
+          const dropMissingTables = args.dropMissingTables ?? Boolean(args.targetConnection);
+          if (!dropMissingTables) {
+            // Leave tables the target does not mention alone, in both directions
+            current.tables = Object.fromEntries(
+              Object.entries(current.tables).filter(([tableName]) => target.tables[tableName])
+            );
+          }
+
+          const upOps = diffSchemas(current, target, connection.type);
+          upSql = renderMigrationOps(upOps, connection.type, schemaName);
+          downSql = renderMigrationOps(diffSchemas(target, current, connection.type), connection.type, schemaName);
+          changes = summarizeMigrationOps(upOps);
+
+          if (upSql.length === 0) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `No schema differences found between ${connection.name} and the target; no migration needed.`,
+                },
+              ],
+            };
+          }
+        }
+
+        const notes = [];
+        if (changes.length > 0) {
+          notes.push("--", "-- Changes:", ...changes.map((change) => `--   ${change}`));
+        }
+        if (connection.type === "mysql") {
+          notes.push("--", "-- Note: MySQL commits DDL implicitly, so BEGIN/COMMIT cannot roll back a failed step");
+        }
         
         const template = `-- Migration: ${args.description}
 -- Created: ${new Date().toISOString()}
--- Database: ${args.dbType}
-
+-- Database: ${connection.type} (${connection.name})
+${notes.length > 0 ? `${notes.join("\n")}\n` : ""}
 -- Up Migration
 BEGIN;
 
--- Add your migration SQL here
+${upSql.join("\n")}
 
 COMMIT;
 
 -- Down Migration (Rollback)
 BEGIN;
 
--- Add your rollback SQL here
+${downSql.join("\n")}
 
 COMMIT;
 `;
+        if (args.directory) {
+          const directory = path.resolve(args.directory);
+          await fs.mkdir(directory, { recursive: true });
+          await fs.writeFile(path.join(directory, fileName), template, { flag: "wx" });
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Migration file ${args.directory ? "written" : "generated"}: ${
+                args.directory ? path.join(path.resolve(args.directory), fileName) : fileName
+              }\n\n${template}`,
+            },
+          ],
+        };
+      }
+
+      case "migrate_status": {
+        const connection = await resolveConnection(args);
+        const directory = migrationsDirectory(args, connection);
+        const migrations = await migrationStatus(connection, directory);
+        const counts = migrations.reduce((totals, migration) => {
+          totals[migration.state] = (totals[migration.state] || 0) + 1;
+          return totals;
+        }, {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  connection: connection.name,
+                  directory,
+                  counts,
+                  migrations: migrations.map(({ version, name: migrationName, file, state, appliedAt }) => ({
+                    version,
+                    name: migrationName,
+                    file,
+                    state,
+                    appliedAt,
+                  })),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "migrate_up": {
+        const connection = await resolveConnection(args);
+        requireMigrationAccess(connection);
+        const directory = migrationsDirectory(args, connection);
+        const migrations = await migrationStatus(connection, directory);
+        refuseModifiedMigrations(migrations);
+
+        let pending = migrations.filter(
+          (migration) => migration.state === "pending" && (!args.to || migration.version <= args.to)
+        );
+        if (args.steps) pending = pending.slice(0, args.steps);
+        if (pending.length === 0) {
+          return { content: [{ type: "text", text: "No pending migrations." }] };
+        }
+
+        if (args.dryRun) {
+          const plan = pending.map((migration) => `-- ${migration.file}\n${migration.up.join(";\n")};`);
+          return { content: [{ type: "text", text: `Dry run, nothing applied:\n\n${plan.join("\n\n")}` }] };
+        }
+
+        await ensureMigrationsTable(connection);
+        const applied = [];
+        for (const migration of pending) {
+          try {
+            applied.push(await runMigration(connection, migration, "up"));
+          } catch (error) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Error: ${error.message}\n\nApplied before the failure:\n${JSON.stringify(applied, null, 2)}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Applied ${applied.length} migration(s):\n${JSON.stringify(applied, null, 2)}`,
+            },
+          ],
+        };
+      }
+
+      case "migrate_down": {
+        const connection = await resolveConnection(args);
+        requireMigrationAccess(connection);
+        const directory = migrationsDirectory(args, connection);
+        const migrations = await migrationStatus(connection, directory);
+        const applied = migrations.filter((migration) => migration.state !== "pending").reverse();
+        const targets = args.to
+          ? applied.filter((migration) => migration.version > args.to)
+          : applied.slice(0, args.steps || 1);
+        if (targets.length === 0) {
+          return { content: [{ type: "text", text: "Nothing to roll back." }] };
+        }
+
+        for (const migration of targets) {
+          if (migration.state === "missing") {
+            throw new Error(`Cannot roll back ${migration.version}_${migration.name}: its migration file is missing`);
+          }
+          if (migration.state === "modified") {
+            throw new Error(`Refusing to roll back ${migration.file}: the file was edited after it was applied`);
+          }
+          if (!migration.down) {
+            throw new Error(`Cannot roll back ${migration.file}: it has no "-- Down Migration" section`);
+          }
+        }
+
+        if (args.dryRun) {
+          const plan = targets.map((migration) => `-- ${migration.file}\n${migration.down.join(";\n")};`);
+          return { content: [{ type: "text", text: `Dry run, nothing rolled back:\n\n${plan.join("\n\n")}` }] };
+        }
+
+        const rolledBack = [];
+        for (const migration of targets) {
+          try {
+            rolledBack.push(await runMigration(connection, migration, "down"));
+          } catch (error) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Error: ${error.message}\n\nRolled back before the failure:\n${JSON.stringify(rolledBack, null, 2)}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Rolled back ${rolledBack.length} migration(s):\n${JSON.stringify(rolledBack, null, 2)}`,
+            },
+          ],
+        };
+      }
+
+      case "list_connections": {
+        const { connections, defaultName } = await loadConnections();
+        const list = [...connections.values()].map((connection) => ({
+          name: connection.name,
+          type: connection.type,
+          ...connection.summary,
+          accessMode: connection.accessMode,
+          allowCancel: connection.allowCancel,
+          source: connection.source,
+          default: connection.name === defaultName,
+        }));
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(list, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "test_connection": {
+        const { connections } = await loadConnections();
+        const targets = args.connection ? [await resolveConnection(args)] : [...connections.values()];
+        const results = await Promise.all(targets.map(testConnection));
         return {
           content: [
             {
               type: "text",
-              text: `Migration file generated: ${fileName}\n\n${template}`,
+              text: JSON.stringify(results, null, 2),
             },
           ],
+          isError: results.some((result) => !result.reachable),
         };
       }
 
@@ -339,6 +7391,17 @@ COMMIT;
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
+    if (error instanceof QueryPolicyError) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Query rejected: ${error.message}\n\n${JSON.stringify(error.details, null, 2)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
     return {
       content: [
         {
@@ -5,10 +5,11 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { exec } from "child_process";
-import { promisify } from "util";
-
-const execAsync = promisify(exec);
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { StringDecoder } from "string_decoder";
+import { fileURLToPath } from "url";
 
 const server = new Server(
   {
@@ -22,12 +23,1932 @@ const server = new Server(
   }
 );
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// ---------------------------------------------------------------------------
+// Running git
+//
+// git is spawned with an argument array, never through a shell, so quotes,
+// semicolons and spaces in messages, refs and paths reach git unchanged.
+// Refs are validated first so that none can be read as an option.
+// ---------------------------------------------------------------------------
+
+const GIT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_GIT_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+class GitCommandError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "GitCommandError";
+    this.details = details;
+  }
+}
+
+// Resolves to { stdout, stderr, exitCode }. Exit codes other than those in
+// `okExitCodes` reject with a GitCommandError carrying git's stderr. `config`
+// entries become -c options and `env` is added to git's environment. With
+// `onStdoutLine`, stdout is handed over line by line instead of collected, so
+// it is not subject to the output limit.
+function runGit(repoPath, args, { input, okExitCodes = [0], config = {}, env = {}, onStdoutLine } = {}) {
+  if (typeof repoPath !== "string" || repoPath.trim() === "") {
+    return Promise.reject(new Error("repoPath is required"));
+  }
+  const options = Object.entries(config).flatMap(([key, value]) => ["-c", `${key}=${value}`]);
+  const command = ["git", "-C", repoPath, ...options, ...args];
+  return new Promise((resolve, reject) => {
+    const child = spawn(command[0], command.slice(1), {
+      // Fail instead of waiting for credentials or an editor nobody can use;
+      // with GIT_EDITOR=true git keeps the message it prepared
+      env: { ...process.env, GIT_TERMINAL_PROMPT: "0", GIT_EDITOR: "true", ...env },
+    });
+    const stdout = [];
+    const stderr = [];
+    const decoder = new StringDecoder("utf8");
+    let partialLine = "";
+    let outputBytes = 0;
+    let failure = null;
+
+    const stop = (error) => {
+      failure ??= error;
+      child.kill();
+    };
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > MAX_GIT_OUTPUT_BYTES) {
+        stop(new Error(`git ${args[0]} produced more than ${MAX_GIT_OUTPUT_BYTES / 1024 / 1024} MB of output`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    const timer = setTimeout(
+      () => stop(new Error(`git ${args[0]} did not finish within ${GIT_TIMEOUT_MS / 1000} seconds`)),
+      GIT_TIMEOUT_MS
+    );
+
+    const streamLines = (chunk) => {
+      if (failure) return;
+      const lines = (partialLine + decoder.write(chunk)).split("\n");
+      partialLine = lines.pop();
+      try {
+        lines.forEach(onStdoutLine);
+      } catch (error) {
+        stop(error);
+      }
+    };
+
+    child.stdout.on("data", onStdoutLine ? streamLines : collect(stdout));
+    child.stderr.on("data", collect(stderr));
+    // git may exit before reading all of its input
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error.code === "ENOENT" ? new Error("git is not installed or not on PATH") : error);
+    });
+    child.on("close", (exitCode, signal) => {
+      clearTimeout(timer);
+      if (onStdoutLine && !failure) {
+        const rest = partialLine + decoder.end();
+        try {
+          if (rest) onStdoutLine(rest);
+        } catch (error) {
+          failure = error;
+        }
+      }
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      const result = {
+        stdout: Buffer.concat(stdout).toString("utf8"),
+        stderr: Buffer.concat(stderr).toString("utf8"),
+        exitCode,
+      };
+      if (okExitCodes.includes(exitCode)) {
+        resolve(result);
+        return;
+      }
+      reject(
+        new GitCommandError(
+          `git ${args[0]} ${exitCode === null ? `was killed by ${signal}` : `exited with code ${exitCode}`}${
+            gitErrorSummary(result) ? `: ${gitErrorSummary(result)}` : ""
+          }`,
+          { command, exitCode, signal, stderr: result.stderr.trim(), stdout: result.stdout.trim() || undefined }
+        )
+      );
+    });
+  });
+}
+
+// The line of git's output that best explains a failure: the first fatal: or
+// error: line, else the last line (commands like commit report on stdout)
+function gitErrorSummary({ stdout, stderr }) {
+  const lines = (stderr.trim() || stdout.trim()).split("\n").filter((line) => line.trim());
+  return lines.find((line) => /^(fatal|error):/.test(line)) || lines[lines.length - 1] || "";
+}
+
+// The rules of `git check-ref-format`, plus no leading "-" or "+": refspecs
+// read "+main" as a forced update of main, which would slip past the policy
+function validateRefName(ref, label) {
+  if (typeof ref !== "string" || ref === "") {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  const problem =
+    (ref.startsWith("-") && "starts with '-'") ||
+    (ref.startsWith("+") && "starts with '+', which git reads as a forced refspec; use force or forceWithLease") ||
+    (/[\x00-\x20\x7f~^:?*[\\]/.test(ref) && "contains a space, control character or one of ~ ^ : ? * [ \\") ||
+    (ref.includes("..") && "contains '..'") ||
+    (ref.includes("@{") && "contains '@{'") ||
+    (ref === "@" && "is '@'") ||
+    ((ref.startsWith("/") || ref.endsWith("/") || ref.includes("//")) && "has an empty path component") ||
+    (ref.endsWith(".") && "ends with '.'") ||
+    (ref.split("/").some((part) => part.startsWith(".") || part.endsWith(".lock")) &&
+      "has a component starting with '.' or ending with '.lock'");
+  if (problem) {
+    throw new Error(`Invalid ${label} '${ref}': it ${problem}`);
+  }
+  return ref;
+}
+
+// Revisions also allow suffixes like HEAD~2, main^ and @{upstream}
+function validateRevision(revision, label) {
+  if (typeof revision !== "string" || revision === "") {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  if (revision.startsWith("-") || /[\x00-\x20\x7f]/.test(revision)) {
+    throw new Error(`Invalid ${label} '${revision}': revisions cannot start with '-' or contain spaces or control characters`);
+  }
+  return revision;
+}
+
+function validatePaths(paths, label) {
+  for (const file of paths) {
+    if (typeof file !== "string" || file === "" || file.includes("\0")) {
+      throw new Error(`${label} must contain non-empty paths`);
+    }
+  }
+  return paths;
+}
+
+const MERGE_FILTERS = { include: [], exclude: ["--no-merges"], only: ["--merges"] };
+
+function optionalString(value, label) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string" || value === "") {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  return value;
+}
+
+// git log options for the limit, pagination, filter and revision arguments
+// shared by git_log's text and JSON output. Pathspecs always follow "--".
+function logArgs(args) {
+  const limit = args.limit || 10;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error("limit must be a positive integer");
+  }
+  const skip = args.skip ?? 0;
+  if (!Number.isInteger(skip) || skip < 0) {
+    throw new Error("skip must be a non-negative integer");
+  }
+  const merges = MERGE_FILTERS[args.merges ?? "include"];
+  if (!merges) {
+    throw new Error(`Invalid merges '${args.merges}'. Expected one of: ${Object.keys(MERGE_FILTERS).join(", ")}`);
+  }
+  const paths = validatePaths([args.path ?? []].flat(), "path");
+  if (args.follow && paths.length !== 1) {
+    throw new Error("follow tracks renames of a single file; pass exactly one path");
+  }
+  if (args.branch && args.range) {
+    throw new Error("Pass either branch or range, not both");
+  }
+
+  let revisions = [];
+  if (args.range !== undefined) {
+    // main..feature, main...feature or a single revision; an empty side means HEAD
+    const [, from, dots, to] = /^(.*?)(\.{2,3})(.*)$/.exec(optionalString(args.range, "range")) || [];
+    if (dots) {
+      if (from) validateRevision(from, "range start");
+      if (to) validateRevision(to, "range end");
+    } else {
+      validateRevision(args.range, "range");
+    }
+    revisions = [args.range];
+  } else if (args.branch) {
+    revisions = [validateRevision(args.branch, "branch")];
+  }
+
+  const filters = [
+    ["--since", optionalString(args.since, "since")],
+    ["--until", optionalString(args.until, "until")],
+    ["--author", optionalString(args.author, "author")],
+    ["--grep", optionalString(args.grep, "grep")],
+  ]
+    .filter(([, value]) => value !== undefined)
+    .map(([option, value]) => `${option}=${value}`);
+
+  return [
+    "-n",
+    String(limit),
+    ...(skip > 0 ? [`--skip=${skip}`] : []),
+    ...merges,
+    ...filters,
+    ...(args.follow ? ["--follow"] : []),
+    ...revisions,
+    "--",
+    ...paths,
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Structured output
+//
+// format: "json" parses git's machine-readable output (log with field
+// separators, status --porcelain=v2, for-each-ref) instead of returning the
+// human-readable text.
+// ---------------------------------------------------------------------------
+
+const OUTPUT_FORMATS = ["text", "json"];
+const COMMIT_FIELDS = ["%H", "%h", "%P", "%an", "%ae", "%aI", "%cn", "%ce", "%cI", "%D", "%s", "%b"];
+const BRANCH_FIELDS = [
+  "%(refname)",
+  "%(refname:short)",
+  "%(objectname)",
+  "%(HEAD)",
+  "%(upstream:short)",
+  "%(upstream:track)",
+  "%(committerdate:iso-strict)",
+  "%(subject)",
+  "%(symref)",
+];
+
+function outputFormat(args) {
+  const format = args.format || "text";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format '${args.format}'. Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  return format;
+}
+
+function jsonContent(value) {
+  return { content: [{ type: "text", text: JSON.stringify(value, null, 2) }] };
+}
+
+// Paths with unusual characters come back C-quoted, e.g. "caf\303\251.txt"
+function unquotePath(path) {
+  if (!path.startsWith('"') || !path.endsWith('"')) return path;
+  const bytes = [];
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+  for (let i = 1; i < path.length - 1; i++) {
+    if (path[i] !== "\\") {
+      bytes.push(...Buffer.from(path[i]));
+    } else if (/[0-7]{3}/.test(path.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(path.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      i++;
+      bytes.push(escapes[path[i]] ?? path.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+// --numstat shows renames as "old => new" or "src/{old => new}/file.js"
+function numstatPaths(display) {
+  const braces = /^(.*)\{(.*) => (.*)\}(.*)$/.exec(display);
+  if (braces) {
+    const [, prefix, from, to, suffix] = braces;
+    return {
+      path: unquotePath(`${prefix}${to}${suffix}`.replace("//", "/")),
+      previousPath: unquotePath(`${prefix}${from}${suffix}`.replace("//", "/")),
+    };
+  }
+  const arrow = display.indexOf(" => ");
+  if (arrow !== -1) {
+    return { path: unquotePath(display.slice(arrow + 4)), previousPath: unquotePath(display.slice(0, arrow)) };
+  }
+  return { path: unquotePath(display) };
+}
+
+function parseDecorations(decorations) {
+  const refs = [];
+  const tags = [];
+  for (const decoration of decorations.split(", ").filter(Boolean)) {
+    if (decoration.startsWith("tag: ")) {
+      tags.push(decoration.slice(5));
+    } else if (decoration.startsWith("HEAD -> ")) {
+      refs.push("HEAD", decoration.slice(8));
+    } else {
+      refs.push(decoration);
+    }
+  }
+  return { refs, tags };
+}
+
+// Runs git log with `logArgs` (limits, revisions, filters) and parses each
+// commit with its per-file line counts
+async function readCommits(repoPath, logArgs) {
+  const { stdout } = await runGit(repoPath, [
+    "log",
+    `--format=%x1e${COMMIT_FIELDS.join("%x1f")}%x1f`,
+    "--numstat",
+    ...logArgs,
+  ]);
+  return stdout
+    .split("\x1e")
+    .slice(1)
+    .map((record) => {
+      const fields = record.split("\x1f");
+      const [hash, shortHash, parents, authorName, authorEmail, authorDate] = fields;
+      const [committerName, committerEmail, committerDate, decorations, subject, body, numstat] = fields.slice(6);
+      const files = numstat
+        .split("\n")
+        .filter((line) => line.includes("\t"))
+        .map((line) => {
+          const [additions, deletions, ...display] = line.split("\t");
+          const binary = additions === "-";
+          return {
+            ...numstatPaths(display.join("\t")),
+            additions: binary ? 0 : Number(additions),
+            deletions: binary ? 0 : Number(deletions),
+            ...(binary ? { binary } : {}),
+          };
+        });
+      return {
+        hash,
+        shortHash,
+        parents: parents.split(" ").filter(Boolean),
+        author: { name: authorName, email: authorEmail, date: authorDate },
+        committer: { name: committerName, email: committerEmail, date: committerDate },
+        ...parseDecorations(decorations),
+        subject,
+        body: body.trim(),
+        files,
+        stats: {
+          files: files.length,
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+        },
+      };
+    });
+}
+
+// Parses `git status --porcelain=v2 --branch -z`. Index and worktree codes
+// are git's status letters, with "." for unchanged.
+async function readStatus(repoPath) {
+  const { stdout } = await runGit(repoPath, ["status", "--porcelain=v2", "--branch", "-z"]);
+  const branch = { head: null, detached: false, commit: null, upstream: null, ahead: null, behind: null };
+  const entries = [];
+  const records = stdout.split("\0");
+
+  const changed = (code, kind, path, extra = {}) => ({
+    path,
+    ...extra,
+    kind,
+    index: code[0],
+    worktree: code[1],
+    staged: code[0] !== ".",
+    unstaged: code[1] !== ".",
+  });
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+    const fields = record.split(" ");
+    switch (fields[0]) {
+      case "#": {
+        const value = fields.slice(2).join(" ");
+        if (fields[1] === "branch.oid") branch.commit = value === "(initial)" ? null : value;
+        if (fields[1] === "branch.head") {
+          branch.detached = value === "(detached)";
+          branch.head = branch.detached ? null : value;
+        }
+        if (fields[1] === "branch.upstream") branch.upstream = value;
+        if (fields[1] === "branch.ab") {
+          branch.ahead = Number(fields[2].slice(1));
+          branch.behind = Number(fields[3].slice(1));
+        }
+        break;
+      }
+      case "1":
+        entries.push(changed(fields[1], "changed", fields.slice(8).join(" ")));
+        break;
+      case "2": {
+        // The original path follows as its own NUL-terminated record
+        const score = fields[8];
+        entries.push(
+          changed(fields[1], score.startsWith("R") ? "renamed" : "copied", fields.slice(9).join(" "), {
+            previousPath: records[++i],
+            similarity: Number(score.slice(1)),
+          })
+        );
+        break;
+      }
+      case "u":
+        entries.push(changed(fields[1], "unmerged", fields.slice(10).join(" ")));
+        break;
+      case "?":
+        entries.push({ path: record.slice(2), kind: "untracked", index: "?", worktree: "?", staged: false, unstaged: true });
+        break;
+      case "!":
+        entries.push({ path: record.slice(2), kind: "ignored", index: "!", worktree: "!", staged: false, unstaged: false });
+        break;
+    }
+  }
+  return { branch, clean: entries.length === 0, entries };
+}
+
+async function readBranches(repoPath, includeRemote) {
+  const { stdout } = await runGit(repoPath, [
+    "for-each-ref",
+    `--format=${BRANCH_FIELDS.join("%1f")}`,
+    "refs/heads",
+    ...(includeRemote ? ["refs/remotes"] : []),
+  ]);
+  return stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => line.split("\x1f"))
+    // Skip symbolic refs such as origin/HEAD
+    .filter((fields) => !fields[8])
+    .map(([ref, name, commit, head, upstream, track, date, subject]) => ({
+      name,
+      remote: ref.startsWith("refs/remotes/"),
+      current: head === "*",
+      commit,
+      upstream: upstream
+        ? {
+            name: upstream,
+            ahead: Number(/ahead (\d+)/.exec(track)?.[1] ?? 0),
+            behind: Number(/behind (\d+)/.exec(track)?.[1] ?? 0),
+            gone: track === "[gone]",
+          }
+        : null,
+      lastCommit: { date, subject },
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// Branch management
+//
+// Branch tools refuse to run while tracked files have uncommitted changes.
+// With autostash the changes are stashed first and restored afterwards; if
+// restoring conflicts, they stay in the stash and the response says so.
+// ---------------------------------------------------------------------------
+
+// What git printed, progress messages on stderr included. Progress lines
+// redrawn with \r keep only their final state.
+function gitOutput({ stdout, stderr }) {
+  return [stderr, stdout]
+    .map((text) =>
+      text
+        .replace(/\x1b\[[0-9;]*[A-Za-z]/g, "")
+        .split("\n")
+        .map((line) => line.split("\r").filter(Boolean).pop() || "")
+        .join("\n")
+        .trim()
+    )
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function currentBranch(repoPath) {
+  const { branch } = await readStatus(repoPath);
+  if (!branch.head) {
+    throw new Error("HEAD is detached; name the branch explicitly");
+  }
+  return branch.head;
+}
+
+// Whether tracked files have uncommitted changes. Throws when they do and
+// `autostash` is off, and always when conflicts are unresolved.
+async function checkWorkingTree(repoPath, autostash, action) {
+  const { entries } = await readStatus(repoPath);
+  const changed = entries.filter((entry) => entry.kind !== "untracked" && entry.kind !== "ignored");
+  if (changed.some((entry) => entry.kind === "unmerged")) {
+    throw new Error(`Cannot ${action}: the working tree has unresolved merge conflicts`);
+  }
+  if (changed.length > 0 && !autostash) {
+    const files = changed.map((entry) => entry.path);
+    throw new Error(
+      `Cannot ${action}: the working tree has uncommitted changes in ${files.slice(0, 10).join(", ")}${
+        files.length > 10 ? ` and ${files.length - 10} more` : ""
+      }. Commit them, or pass autostash: true to stash and restore them`
+    );
+  }
+  return changed.length > 0;
+}
+
+// Runs `operation` on a clean working tree. Resolves to { result, stash },
+// where stash describes what happened to autostashed changes, if any.
+async function withCleanWorkingTree(repoPath, autostash, action, operation) {
+  if (!(await checkWorkingTree(repoPath, autostash, action))) {
+    return { result: await operation(), stash: null };
+  }
+
+  await runGit(repoPath, ["stash", "push", "-m", `autostash before ${action}`]);
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    // Report why the operation failed even when restoring fails too
+    try {
+      await runGit(repoPath, ["stash", "pop", "--index"]);
+    } catch (popError) {
+      error.message += `. The stashed changes could not be restored and are still in stash@{0}; run 'git stash pop --index' once the working tree is clean (${popError.message})`;
+    }
+    throw error;
+  }
+  try {
+    await runGit(repoPath, ["stash", "pop", "--index"]);
+    return { result, stash: "Stashed changes were restored." };
+  } catch (error) {
+    if (!(error instanceof GitCommandError)) throw error;
+    return {
+      result,
+      stash: `Restoring the stashed changes conflicted, so they are still in stash@{0}; resolve the conflicts and run 'git stash drop', or reset and retry: ${error.message}`,
+    };
+  }
+}
+
+// Commits on `branch` that its upstream (or, without one, HEAD) lacks
+async function unmergedCommits(repoPath, branch) {
+  const { stdout: upstream } = await runGit(
+    repoPath,
+    ["rev-parse", "--abbrev-ref", "--symbolic-full-name", `${branch}@{upstream}`],
+    { okExitCodes: [0, 128] }
+  );
+  const target = upstream.trim() || "HEAD";
+  const { stdout } = await runGit(repoPath, ["log", "--oneline", `${target}..refs/heads/${branch}`, "--"]);
+  return { target, commits: stdout.split("\n").filter(Boolean) };
+}
+
+async function deleteBranch(repoPath, name, force) {
+  if (name === (await readStatus(repoPath)).branch.head) {
+    throw new Error(`Cannot delete '${name}' because it is checked out; switch to another branch first`);
+  }
+  await runGit(repoPath, ["rev-parse", "--verify", "--quiet", `refs/heads/${name}`]).catch(() => {
+    throw new Error(`Branch '${name}' does not exist`);
+  });
+  if (!force) {
+    const { target, commits } = await unmergedCommits(repoPath, name);
+    if (commits.length > 0) {
+      throw new Error(
+        `Branch '${name}' has ${commits.length} commit(s) not merged into ${target}:\n${commits
+          .slice(0, 10)
+          .join("\n")}${commits.length > 10 ? "\n..." : ""}\nMerge them first, or pass force: true to delete the branch anyway`
+      );
+    }
+  }
+  return runGit(repoPath, ["branch", force ? "-D" : "-d", name]);
+}
+
+// ---------------------------------------------------------------------------
+// Merging and rebasing
+//
+// git_merge and git_rebase run with diff3 conflict markers, so a conflict can
+// be reported with the base text next to both sides. While a merge, rebase,
+// cherry-pick or revert is stopped, git_resolve_conflict, git_continue and
+// git_abort act on whichever one it is.
+// ---------------------------------------------------------------------------
+
+const CONFLICT_CONFIG = { "merge.conflictStyle": "diff3" };
+const MAX_CONFLICT_HUNKS = 20;
+const MAX_CONFLICT_SIDE_LENGTH = 4000;
+const CONFLICT_RESOLUTIONS = ["ours", "theirs", "content"];
+
+// Two-letter unmerged status codes from git status
+const CONFLICT_TYPES = {
+  DD: "both deleted",
+  AU: "added by us",
+  UD: "deleted by them",
+  UA: "added by them",
+  DU: "deleted by us",
+  AA: "both added",
+  UU: "both modified",
+};
+
+// Marker files under .git that show which operation is stopped
+const OPERATION_MARKERS = [
+  ["rebase", "rebase-merge"],
+  ["rebase", "rebase-apply"],
+  ["merge", "MERGE_HEAD"],
+  ["cherry-pick", "CHERRY_PICK_HEAD"],
+  ["revert", "REVERT_HEAD"],
+];
+
+async function operationInProgress(repoPath) {
+  const { stdout } = await runGit(repoPath, ["rev-parse", "--absolute-git-dir"]);
+  for (const [operation, marker] of OPERATION_MARKERS) {
+    try {
+      await fs.access(path.join(stdout.trim(), marker));
+      return operation;
+    } catch {
+      // Not this one
+    }
+  }
+  return null;
+}
+
+function clipConflictSide(lines) {
+  const text = lines.join("\n");
+  return text.length > MAX_CONFLICT_SIDE_LENGTH ? `${text.slice(0, MAX_CONFLICT_SIDE_LENGTH)}…` : text;
+}
+
+// Hunks between <<<<<<<, |||||||, ======= and >>>>>>> markers
+function parseConflictHunks(text) {
+  const hunks = [];
+  let hunk = null;
+  let side = null;
+  text.split("\n").forEach((line, index) => {
+    if (line.startsWith("<<<<<<<")) {
+      hunk = { line: index + 1, oursLabel: line.slice(8), ours: [], base: null, theirs: [], theirsLabel: null };
+      side = "ours";
+    } else if (hunk && line.startsWith("|||||||")) {
+      hunk.base = [];
+      side = "base";
+    } else if (hunk && line.startsWith("=======")) {
+      side = "theirs";
+    } else if (hunk && line.startsWith(">>>>>>>")) {
+      hunk.theirsLabel = line.slice(8);
+      hunks.push({
+        ...hunk,
+        ours: clipConflictSide(hunk.ours),
+        base: hunk.base && clipConflictSide(hunk.base),
+        theirs: clipConflictSide(hunk.theirs),
+      });
+      hunk = null;
+    } else if (hunk) {
+      hunk[side].push(line);
+    }
+  });
+  return hunks;
+}
+
+async function repoRoot(repoPath) {
+  const { stdout } = await runGit(repoPath, ["rev-parse", "--show-toplevel"]);
+  return stdout.trim();
+}
+
+// Conflicted files with their hunks. Files without markers (binary files,
+// or conflicts where one side deleted the file) have no hunks.
+async function readConflicts(repoPath) {
+  const { entries } = await readStatus(repoPath);
+  const unmerged = entries.filter((entry) => entry.kind === "unmerged");
+  if (unmerged.length === 0) return [];
+  const root = await repoRoot(repoPath);
+  return Promise.all(
+    unmerged.map(async (entry) => {
+      const code = `${entry.index}${entry.worktree}`;
+      const conflict = { path: entry.path, type: CONFLICT_TYPES[code] || code };
+      let text = null;
+      try {
+        text = await fs.readFile(path.join(root, entry.path), "utf8");
+      } catch {
+        // Deleted on one side
+      }
+      if (text === null || text.includes("\0")) {
+        return { ...conflict, hunks: [] };
+      }
+      const hunks = parseConflictHunks(text);
+      return {
+        ...conflict,
+        hunkCount: hunks.length,
+        hunks: hunks.slice(0, MAX_CONFLICT_HUNKS),
+      };
+    })
+  );
+}
+
+// Runs a merge, rebase or continue step. When git stops with conflicts the
+// response lists them instead of failing, so they can be resolved.
+async function runIntegration(repoPath, args, description, env) {
+  try {
+    const result = await runGit(repoPath, args, { config: CONFLICT_CONFIG, env });
+    return { content: [{ type: "text", text: gitOutput(result) || `${description} finished.` }] };
+  } catch (error) {
+    if (!(error instanceof GitCommandError)) throw error;
+    const conflicts = await readConflicts(repoPath);
+    const operation = await operationInProgress(repoPath);
+    if (conflicts.length === 0 && !operation) throw error;
+    const headline =
+      conflicts.length > 0
+        ? `${description} stopped with conflicts in ${conflicts.length} file(s).`
+        : `${description} stopped: ${gitErrorSummary(error.details)}.`;
+    return conflictReport(repoPath, headline, operation, conflicts, error.details);
+  }
+}
+
+function conflictReport(repoPath, headline, operation, conflicts, details) {
+  const next =
+    conflicts.length > 0
+      ? "Resolve each with git_resolve_conflict, then call git_continue, or call git_abort to go back."
+      : "Fix the working tree and call git_continue, or call git_abort to go back.";
+  const sides =
+    operation === "rebase" && conflicts.length > 0
+      ? "\n\nDuring a rebase, 'ours' is the branch being rebased onto and 'theirs' is your commit being replayed."
+      : "";
   return {
-    tools: [
+    content: [
+      { type: "text", text: `${headline} ${next}${sides}` },
+      {
+        type: "text",
+        text: JSON.stringify({ repoPath, operation, conflicts, output: details && (details.stdout || details.stderr) }, null, 2),
+      },
+    ],
+  };
+}
+
+async function resolveConflict(repoPath, args) {
+  const file = validatePaths([args.file], "file")[0];
+  if (!CONFLICT_RESOLUTIONS.includes(args.resolution)) {
+    throw new Error(`Invalid resolution '${args.resolution}'. Expected one of: ${CONFLICT_RESOLUTIONS.join(", ")}`);
+  }
+  // Paths are relative to the repository root, like those git status reports
+  const root = await repoRoot(repoPath);
+  const target = path.resolve(root, file);
+  const relative = path.relative(root, target).split(path.sep).join("/");
+  if (relative === "" || relative.startsWith("../") || path.isAbsolute(relative)) {
+    throw new Error(`file must be inside the repository: ${args.file}`);
+  }
+  const { entries } = await readStatus(root);
+  const entry = entries.find((candidate) => candidate.kind === "unmerged" && candidate.path === relative);
+  if (!entry) {
+    throw new Error(`${args.file} has no unresolved conflict`);
+  }
+  const code = `${entry.index}${entry.worktree}`;
+
+  if (args.resolution === "content") {
+    if (typeof args.content !== "string") {
+      throw new Error("resolution 'content' needs the resolved file text in content");
+    }
+    await fs.writeFile(target, args.content);
+    await runGit(root, ["add", "--", relative]);
+    return `Wrote the resolved content of ${relative}`;
+  }
+
+  // Sides that no longer have the file resolve to deleting it
+  const deleted = args.resolution === "ours" ? ["DD", "DU"].includes(code) : ["DD", "UD"].includes(code);
+  if (deleted) {
+    await runGit(root, ["rm", "--quiet", "--", relative]);
+    return `Resolved ${relative} by deleting it, as '${args.resolution}' did`;
+  }
+  await runGit(root, ["checkout", `--${args.resolution}`, "--", relative]);
+  await runGit(root, ["add", "--", relative]);
+  return `Resolved ${relative} with the '${args.resolution}' version`;
+}
+
+const CONTINUE_COMMANDS = {
+  merge: ["commit", "--no-edit"],
+  rebase: ["rebase", "--continue"],
+  "cherry-pick": ["cherry-pick", "--continue"],
+  revert: ["revert", "--continue"],
+};
+
+async function continueOperation(repoPath) {
+  const operation = await operationInProgress(repoPath);
+  if (!operation) {
+    throw new Error("No merge, rebase, cherry-pick or revert is in progress");
+  }
+  const conflicts = await readConflicts(repoPath);
+  if (conflicts.length > 0) {
+    return conflictReport(
+      repoPath,
+      `The ${operation} still has unresolved conflicts in ${conflicts.length} file(s).`,
+      operation,
+      conflicts,
+      null
+    );
+  }
+  return runIntegration(repoPath, CONTINUE_COMMANDS[operation], `Continuing the ${operation}`);
+}
+
+async function abortOperation(repoPath) {
+  const operation = await operationInProgress(repoPath);
+  if (!operation) {
+    throw new Error("No merge, rebase, cherry-pick or revert is in progress");
+  }
+  const result = await runGit(repoPath, [operation, "--abort"]);
+  return `Aborted the ${operation}.${gitOutput(result) ? `\n\n${gitOutput(result)}` : ""}`;
+}
+
+// ---------------------------------------------------------------------------
+// Remotes
+// ---------------------------------------------------------------------------
+
+const REMOTE_ACTIONS = ["list", "add", "remove", "set-url"];
+const PULL_STRATEGIES = ["merge", "rebase"];
+
+// URLs starting with "-" would reach git as options such as --upload-pack
+function validateRemoteUrl(url) {
+  if (typeof url !== "string" || url.trim() === "") {
+    throw new Error("url must be a non-empty string");
+  }
+  if (url.startsWith("-") || /[\x00-\x1f\x7f]/.test(url)) {
+    throw new Error(`Invalid url '${url}': it cannot start with '-' or contain control characters`);
+  }
+  return url;
+}
+
+async function readRemotes(repoPath) {
+  const { stdout } = await runGit(repoPath, ["remote", "-v"]);
+  const remotes = new Map();
+  for (const line of stdout.split("\n").filter(Boolean)) {
+    const [, name, url, kind] = /^(\S+)\t(.*) \((fetch|push)\)$/.exec(line) || [];
+    if (!name) continue;
+    if (!remotes.has(name)) remotes.set(name, { name, fetchUrl: null, pushUrl: null });
+    remotes.get(name)[kind === "fetch" ? "fetchUrl" : "pushUrl"] = url;
+  }
+  return [...remotes.values()];
+}
+
+// Local branches with an upstream and how far they have diverged from it
+async function trackingReport(repoPath, branch) {
+  const branches = (await readBranches(repoPath, false)).filter(
+    (candidate) => candidate.upstream && (!branch || candidate.name === branch)
+  );
+  if (branch && branches.length === 0) {
+    throw new Error(`Branch '${branch}' does not exist or has no upstream`);
+  }
+  return branches.map(({ name, current, upstream }) => ({
+    branch: name,
+    current,
+    upstream: upstream.name,
+    ahead: upstream.ahead,
+    behind: upstream.behind,
+    gone: upstream.gone,
+  }));
+}
+
+function formatTrackingReport(report) {
+  if (report.length === 0) return "No local branches track an upstream.";
+  const rows = report.map(
+    (entry) =>
+      `| ${entry.current ? "* " : ""}${entry.branch} | ${entry.upstream} | ${
+        entry.gone ? "upstream deleted" : `${entry.ahead} ahead, ${entry.behind} behind`
+      } |`
+  );
+  return ["| Branch | Upstream | Status |", "|--------|----------|--------|", ...rows].join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Branch protection policy
+//
+// git_commit and git_push check the policy file before they run: protected
+// branches can refuse direct commits and force pushes, plain --force can be
+// required to be --force-with-lease, and commits that add secret files or
+// secret-looking text can be blocked. A violation is overridden only by
+// passing the policy's override token.
+// ---------------------------------------------------------------------------
+
+const POLICY_FILE =
+  process.env.GIT_POLICY_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), "git-policy.json");
+const MAX_SECRET_FINDINGS = 20;
+
+// Used as is when there is no policy file, and as defaults for one
+const DEFAULT_POLICY = {
+  protectedBranches: ["main", "master"],
+  rules: {
+    noForcePush: true,
+    noDirectCommits: false,
+    requireForceWithLease: true,
+    blockSecrets: true,
+  },
+  secretFiles: [".env", ".env.local", ".env.*.local", "*.pem", "*.key", "*.p12", "*.pfx", "id_rsa", "id_dsa", "id_ecdsa", "id_ed25519"],
+  secretPatterns: [
+    { name: "private key", pattern: "-----BEGIN ([A-Z]+ )?PRIVATE KEY-----" },
+    { name: "AWS access key id", pattern: "\\b(AKIA|ASIA)[0-9A-Z]{16}\\b" },
+    { name: "GitHub token", pattern: "\\bgh[pousr]_[A-Za-z0-9]{36,}\\b" },
+    { name: "Slack token", pattern: "\\bxox[abprs]-[A-Za-z0-9-]{10,}" },
+    {
+      name: "hard-coded credential",
+      pattern: "(password|passwd|secret|api[_-]?key|access[_-]?token)[\"']?\\s*[:=]\\s*[\"'][^\"'\\s]{8,}[\"']",
+      flags: "i",
+    },
+  ],
+  overrideToken: "${GIT_POLICY_OVERRIDE_TOKEN}",
+};
+
+class GitPolicyError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "GitPolicyError";
+    this.details = details;
+  }
+}
+
+let gitPolicy = null;
+
+// Replaces ${VAR} references so the override token can stay in the environment
+function expandEnv(value) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => process.env[name] ?? "");
+}
+
+// Glob with * (within a path segment), ** and ?. Patterns without a slash
+// match the file name in any directory, as in .gitignore.
+function globPattern(glob) {
+  const source = glob
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(glob.includes("/") ? `^${source}$` : `(^|/)${source}$`);
+}
+
+async function readPolicy() {
+  let file = {};
+  try {
+    file = JSON.parse(await fs.readFile(POLICY_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Cannot read the git policy from ${POLICY_FILE}: ${error.message}`);
+    }
+  }
+  const policy = { ...DEFAULT_POLICY, ...file, rules: { ...DEFAULT_POLICY.rules, ...file.rules } };
+  try {
+    return {
+      file: POLICY_FILE,
+      protectedBranches: policy.protectedBranches.map((branch) => ({ branch, pattern: globPattern(branch) })),
+      rules: policy.rules,
+      secretFiles: policy.secretFiles.map((glob) => ({ glob, pattern: globPattern(glob) })),
+      secretPatterns: policy.secretPatterns.map(({ name, pattern, flags }) => ({
+        name: name || pattern,
+        pattern: new RegExp(pattern, flags),
+      })),
+      overrideToken: expandEnv(policy.overrideToken || ""),
+    };
+  } catch (error) {
+    throw new Error(`Invalid git policy in ${POLICY_FILE}: ${error.message}`);
+  }
+}
+
+async function loadPolicy() {
+  if (!gitPolicy) {
+    gitPolicy = readPolicy().catch((error) => {
+      gitPolicy = null; // Retry on the next call once the file is fixed
+      throw error;
+    });
+  }
+  return gitPolicy;
+}
+
+function protectedBranchRule(policy, branch) {
+  return policy.protectedBranches.find(({ pattern }) => pattern.test(branch))?.branch ?? null;
+}
+
+// The new path from a "diff --git a/<path> b/<path>" header. Files added
+// empty have no +++ line, so the header is the one place that names them.
+function diffHeaderPath(header) {
+  const rest = header.slice("diff --git ".length);
+  const quoted = /^"(?:[^"\\]|\\.)*" (".*")$/.exec(rest);
+  if (quoted) return unquotePath(quoted[1]).slice(2);
+  // Unquoted, both halves are the same path; renames are named again by
+  // their "rename to" line
+  return rest.slice((rest.length - 5) / 2 + 5);
+}
+
+// Scans a unified diff line by line for secret files and secret-looking
+// added lines. Commits from git log -p are introduced by a "\x1ecommit <hash>"
+// line. `end()` returns the findings.
+function secretScanner(policy) {
+  const findings = [];
+  const seen = new Set();
+  let commit = null;
+  let file = null;
+  let deleted = false;
+  let line = 0;
+
+  const report = (finding) => {
+    const key = `${finding.commit}:${finding.file}:${finding.secret}`;
+    if (seen.has(key) || findings.length >= MAX_SECRET_FINDINGS) return;
+    seen.add(key);
+    findings.push(finding);
+  };
+  // Checked once a file's section ends, when it is known whether it was deleted
+  const checkFileName = () => {
+    const secretFile = file && !deleted && policy.secretFiles.find(({ pattern }) => pattern.test(file));
+    if (secretFile) report({ commit, file, secret: `file matching ${secretFile.glob}` });
+  };
+
+  const scanLine = (text) => {
+    if (text.startsWith("\x1ecommit ")) {
+      checkFileName();
+      commit = text.slice(8, 20);
+      file = null;
+    } else if (text.startsWith("diff --git ")) {
+      checkFileName();
+      file = diffHeaderPath(text);
+      deleted = false;
+    } else if (text.startsWith("rename to ") || text.startsWith("copy to ")) {
+      file = unquotePath(text.slice(text.indexOf(" to ") + 4));
+    } else if (text.startsWith("deleted file mode ")) {
+      deleted = true;
+    } else if (text.startsWith("@@")) {
+      line = Number(/\+(\d+)/.exec(text)?.[1] ?? 0);
+    } else if (file && text.startsWith("+") && !text.startsWith("+++ ")) {
+      for (const { name, pattern } of policy.secretPatterns) {
+        if (pattern.test(text.slice(1))) report({ commit, file, line, secret: name });
+      }
+      line++;
+    }
+  };
+
+  return {
+    scanLine,
+    end() {
+      checkFileName();
+      return findings;
+    },
+  };
+}
+
+// Throws a GitPolicyError for the violations unless `override` is the
+// policy's token. Resolves to a note to include in the response, if any.
+function enforcePolicy(policy, violations, override, action) {
+  if (violations.length === 0) return null;
+  const rules = violations.map((violation) => violation.rule);
+  if (override !== undefined && policy.overrideToken && override === policy.overrideToken) {
+    return `Policy overridden for ${rules.join(", ")}.`;
+  }
+  const howToOverride = policy.overrideToken
+    ? override === undefined
+      ? "If this is intended, pass the policy's override token as override."
+      : "The override token does not match the policy's."
+    : `The policy has no override token, so this cannot be overridden; change ${policy.file} if the rule is wrong.`;
+  throw new GitPolicyError(`${action} blocked by policy: ${violations.map((violation) => violation.message).join(" ")} ${howToOverride}`, {
+    policyFile: policy.file,
+    violations,
+  });
+}
+
+async function commitViolations(repoPath, policy) {
+  const violations = [];
+  const { branch } = await readStatus(repoPath);
+  const rule = branch.head && protectedBranchRule(policy, branch.head);
+  if (rule && policy.rules.noDirectCommits) {
+    violations.push({
+      rule: "no-direct-commits",
+      branch: branch.head,
+      message: `'${branch.head}' is protected (${rule}); commit on another branch and merge it instead.`,
+    });
+  }
+  if (policy.rules.blockSecrets) {
+    // Streamed like a push's commits, so large staged changes are scanned whole
+    const scanner = secretScanner(policy);
+    await runGit(repoPath, ["diff", "--cached", "--unified=0", "--no-color", "--no-ext-diff"], {
+      onStdoutLine: scanner.scanLine,
+    });
+    const findings = scanner.end();
+    if (findings.length > 0) {
+      violations.push({
+        rule: "block-secrets",
+        findings,
+        message: `The staged changes contain ${findings.length === MAX_SECRET_FINDINGS ? "at least " : ""}${findings.length} possible secret(s); unstage them and rotate any real credentials.`,
+      });
+    }
+  }
+  return violations;
+}
+
+// `branch` is the local branch being pushed and `targets` the branch names
+// it updates on the remote
+async function pushViolations(repoPath, policy, { remote, branch, targets, force, forceWithLease }) {
+  const violations = [];
+  const protectedTarget = targets.map((target) => [target, protectedBranchRule(policy, target)]).find(([, rule]) => rule);
+  if ((force || forceWithLease) && protectedTarget && policy.rules.noForcePush) {
+    violations.push({
+      rule: "no-force-push",
+      branch: protectedTarget[0],
+      message: `Force pushing to '${protectedTarget[0]}' is not allowed because it is protected (${protectedTarget[1]}).`,
+    });
+  } else if (force && !forceWithLease && policy.rules.requireForceWithLease) {
+    violations.push({
+      rule: "require-force-with-lease",
+      message: "Use forceWithLease instead of force, so the push fails if someone else pushed in the meantime.",
+    });
+  }
+  if (policy.rules.blockSecrets) {
+    // Commits the remote does not have yet. On a first push that is the
+    // whole history, so the patches are scanned as git writes them.
+    const scanner = secretScanner(policy);
+    await runGit(repoPath, [
+      "log",
+      "-p",
+      "--unified=0",
+      "--no-color",
+      "--no-ext-diff",
+      "--format=%x1ecommit %H",
+      branch,
+      "--not",
+      `--remotes=${remote}`,
+      "--",
+    ], { onStdoutLine: scanner.scanLine });
+    const findings = scanner.end();
+    if (findings.length > 0) {
+      violations.push({
+        rule: "block-secrets",
+        findings,
+        message: `The commits being pushed contain ${findings.length === MAX_SECRET_FINDINGS ? "at least " : ""}${findings.length} possible secret(s); remove them from history and rotate any real credentials.`,
+      });
+    }
+  }
+  return violations;
+}
+
+// ---------------------------------------------------------------------------
+// Commit message generation
+//
+// generate_commit_message reads the staged hunks, not only the file list: the
+// declarations they add and remove decide the type, the subject and whether
+// the change breaks callers. Allowed types, scopes and length limits come
+// from the repository's commitlint config when it has a JSON one.
+// ---------------------------------------------------------------------------
+
+const COMMITLINT_FILES = [".commitlintrc.json", ".commitlintrc", "commitlint.config.json"];
+const UNREADABLE_COMMITLINT_FILES = ["commitlint.config.js", "commitlint.config.cjs", "commitlint.config.mjs", "commitlint.config.ts", ".commitlintrc.js", ".commitlintrc.yml", ".commitlintrc.yaml"];
+const SCOPE_MAP_FILE = ".commit-scopes.json";
+const MAX_BODY_FILES = 15;
+
+// Limits when there is no commitlint config: the usual git conventions
+const DEFAULT_COMMIT_RULES = { types: null, scopes: null, headerMaxLength: 72, bodyMaxLineLength: 72 };
+
+// What @commitlint/config-conventional allows
+const CONVENTIONAL_COMMIT_RULES = {
+  types: ["build", "chore", "ci", "docs", "feat", "fix", "perf", "refactor", "revert", "style", "test"],
+  scopes: null,
+  headerMaxLength: 100,
+  bodyMaxLineLength: 100,
+};
+
+// Directories that say little about what changed, so scopes skip them
+const GENERIC_DIRECTORIES = new Set(["src", "lib", "app", "apps", "packages", "pkg", "internal", "cmd", "source"]);
+
+const FILE_KINDS = [
+  ["docs", (file) => /\.(md|mdx|rst|adoc|txt)$/i.test(file) || /(^|\/)(docs?|documentation)\//i.test(file) || /(^|\/)(readme|changelog|license)[^/]*$/i.test(file)],
+  ["test", (file) => /(^|\/)(__tests__|tests?|spec|e2e)\//i.test(file) || /\.(test|spec)\.[^/]+$/i.test(file) || /(^|\/)test_[^/]+\.py$/i.test(file)],
+  ["ci", (file) => /^\.github\/workflows\//.test(file) || /^\.gitlab-ci\.yml$/.test(file) || /^\.circleci\//.test(file) || /(^|\/)Jenkinsfile$/.test(file) || /^azure-pipelines\.yml$/.test(file)],
+  ["build", (file) => /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|docker-compose\.ya?ml|Makefile|(webpack|vite|rollup|esbuild|babel|tsconfig)[^/]*\.(js|cjs|mjs|ts|json)|requirements[^/]*\.txt|pyproject\.toml|setup\.py|Cargo\.(toml|lock)|go\.(mod|sum)|Gemfile(\.lock)?)$/.test(file)],
+];
+
+// Declarations recognized in added and removed lines (JavaScript, TypeScript
+// and Python). `params` is captured for functions.
+const DECLARATION_PATTERNS = [
+  /^export\s+(?:default\s+)?(?:async\s+)?function\*?\s+(?<name>[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\((?<params>[^)]*)\)?/,
+  /^export\s+(?:default\s+)?(?:abstract\s+)?(?:class|interface|type|enum)\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^export\s+(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\((?<params>[^)]*)\)|(?<param>[A-Za-z_$][\w$]*))\s*=>/,
+  /^export\s+(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^(?:module\.)?exports\.(?<name>[A-Za-z_$][\w$]*)\s*=/,
+  /^\s*(?:async\s+)?function\*?\s+(?<name>[A-Za-z_$][\w$]*)\s*\((?<params>[^)]*)\)?/,
+  /^\s*class\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^(?<indent>\s*)(?:async\s+)?def\s+(?<name>[A-Za-z_]\w*)\s*\((?<params>[^)]*)\)?/,
+];
+
+// Staged changes per file, from `git diff --cached --unified=0`
+function parseStagedDiff(diff) {
+  const files = [];
+  let file = null;
+  let inHunks = false;
+  for (const text of diff.split("\n")) {
+    if (text.startsWith("diff --git ")) {
+      file = { path: diffHeaderPath(text), status: "modified", added: [], removed: [], binary: false };
+      files.push(file);
+      inHunks = false;
+    } else if (!file) {
+      continue;
+    } else if (text.startsWith("@@")) {
+      inHunks = true;
+    } else if (inHunks && text.startsWith("+")) {
+      file.added.push(text.slice(1));
+    } else if (inHunks && text.startsWith("-")) {
+      file.removed.push(text.slice(1));
+    } else if (inHunks) {
+      continue;
+    } else if (text.startsWith("new file mode ")) {
+      file.status = "added";
+    } else if (text.startsWith("deleted file mode ")) {
+      file.status = "deleted";
+    } else if (text.startsWith("rename from ")) {
+      file.status = "renamed";
+      file.previousPath = unquotePath(text.slice("rename from ".length));
+    } else if (text.startsWith("rename to ")) {
+      file.path = unquotePath(text.slice("rename to ".length));
+    } else if (text.startsWith("Binary files ")) {
+      file.binary = true;
+    }
+  }
+  return files;
+}
+
+// Parameter names and whether each is required
+function parseParams(params) {
+  return params
+    .split(",")
+    .map((param) => param.trim())
+    .filter(Boolean)
+    .map((param) => ({
+      name: param.replace(/^\.\.\.|^\*{1,2}/, "").split(/[\s:=?]/)[0],
+      required: !/^(\.\.\.|\*)|^[^:]*\?|=/.test(param),
+    }))
+    // Python's bare * and / markers are not parameters
+    .filter((param) => param.name);
+}
+
+// Exported or public declarations; Python counts top-level names without
+// a leading underscore as public
+function declarations(lines) {
+  const found = new Map();
+  for (const line of lines) {
+    for (const pattern of DECLARATION_PATTERNS) {
+      const match = pattern.exec(line);
+      if (!match) continue;
+      const { name, params, param, indent } = match.groups;
+      const exported = /^(export|module\.exports|exports)\b/.test(line) || (indent === "" && !name.startsWith("_"));
+      const paramText = params ?? param;
+      if (!found.has(name) || exported) {
+        found.set(name, { name, exported, params: paramText === undefined ? null : parseParams(paramText) });
+      }
+      break;
+    }
+    // export { a, b as c }
+    const list = /^export\s*\{([^}]*)\}/.exec(line);
+    if (list) {
+      for (const entry of list[1].split(",").map((item) => item.trim()).filter(Boolean)) {
+        const name = entry.split(/\s+as\s+/).pop();
+        if (name !== "default") found.set(name, { name, exported: true, params: null });
+      }
+    }
+  }
+  return found;
+}
+
+// A new signature breaks callers when existing parameters moved or went
+// away, or when a new parameter is required
+function breaksSignature(before, after) {
+  if (!before || !after) return false;
+  return (
+    before.some((param, index) => after[index]?.name !== param.name) ||
+    after.slice(before.length).some((param) => param.required)
+  );
+}
+
+function analyzeDeclarations(files) {
+  const removed = declarations(files.flatMap((file) => file.removed));
+  const added = declarations(files.flatMap((file) => file.added));
+  const breaking = [];
+  for (const [name, before] of removed) {
+    if (!before.exported) continue;
+    const after = added.get(name);
+    if (!after) {
+      breaking.push(`${name} was removed`);
+    } else if (breaksSignature(before.params, after.params)) {
+      breaking.push(`${name} now takes (${after.params.map((param) => param.name).join(", ")}) instead of (${before.params.map((param) => param.name).join(", ")})`);
+    }
+  }
+  const newExports = [...added.values()].filter((declaration) => declaration.exported && !removed.has(declaration.name));
+  return { removed, added, breaking, newExports };
+}
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return undefined;
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// Allowed types and scopes and length limits from a JSON commitlint config
+// (or package.json "commitlint"). Rules that are off (level 0) are skipped.
+// A config that is not JSON, such as a YAML .commitlintrc, is skipped with a
+// note rather than failing the tool.
+async function readCommitRules(root) {
+  const notes = [];
+  let config;
+  let source = null;
+  for (const name of COMMITLINT_FILES) {
+    try {
+      config = await readJsonFile(path.join(root, name));
+    } catch {
+      notes.push(`${name} is not valid JSON (YAML and JavaScript configs are not read), so it was skipped.`);
+      continue;
+    }
+    if (config) {
+      source = name;
+      break;
+    }
+  }
+  if (!config) {
+    config = (await readJsonFile(path.join(root, "package.json")).catch(() => undefined))?.commitlint;
+    if (config) source = "package.json";
+  }
+  if (!config) {
+    if (notes.length > 0) return { rules: DEFAULT_COMMIT_RULES, source, notes };
+    for (const name of UNREADABLE_COMMITLINT_FILES) {
+      if (await fs.access(path.join(root, name)).then(() => true, () => false)) {
+        notes.push(`${name} was not read; only JSON commitlint configs are supported, so the defaults apply.`);
+        break;
+      }
+    }
+    return { rules: DEFAULT_COMMIT_RULES, source, notes };
+  }
+
+  const extendsConventional = [config.extends ?? []].flat().some((name) => String(name).includes("config-conventional"));
+  const rules = { ...(extendsConventional ? CONVENTIONAL_COMMIT_RULES : DEFAULT_COMMIT_RULES) };
+  const rule = (name) => {
+    const entry = config.rules?.[name];
+    const [level, applicable, value] = Array.isArray(entry) ? entry : [];
+    return level > 0 && applicable !== "never" ? value : undefined;
+  };
+  rules.types = rule("type-enum") ?? rules.types;
+  rules.scopes = rule("scope-enum") ?? rules.scopes;
+  rules.headerMaxLength = rule("header-max-length") ?? rules.headerMaxLength;
+  rules.bodyMaxLineLength = rule("body-max-line-length") ?? rules.bodyMaxLineLength;
+  return { rules, source, notes };
+}
+
+// The scope for a set of paths: the scope map's, when every file maps to the
+// same one, else the first directory below generic ones they all share
+function inferScope(paths, scopeMap) {
+  const mapped = Object.entries(scopeMap || {}).map(([glob, scope]) => ({ pattern: globPattern(glob), scope }));
+  if (mapped.length > 0) {
+    const scopes = new Set(paths.map((file) => mapped.find(({ pattern }) => pattern.test(file))?.scope ?? null));
+    if (scopes.size === 1 && !scopes.has(null)) return [...scopes][0];
+  }
+  const directories = paths.map((file) => file.split("/").slice(0, -1));
+  const common = [];
+  for (let depth = 0; directories.every((parts) => parts.length > depth); depth++) {
+    const part = directories[0][depth];
+    if (!directories.every((parts) => parts[depth] === part)) break;
+    common.push(part);
+  }
+  const specific = common.filter((part) => !GENERIC_DIRECTORIES.has(part.toLowerCase()));
+  if (specific.length > 0) return specific[0];
+  // A single file outside any specific directory is its own scope
+  if (paths.length === 1) return path.basename(paths[0]).replace(/\.[^.]+$/, "");
+  return null;
+}
+
+function fileKind(file) {
+  return FILE_KINDS.find(([, matches]) => matches(file))?.[0] ?? "code";
+}
+
+function inferType(files, analysis) {
+  const code = files.filter((file) => fileKind(file.path) === "code");
+  if (code.length === 0) {
+    // Only docs, tests, CI or build files: the kind most of them are, if one
+    // is ahead of the others
+    const counts = new Map();
+    for (const file of files) counts.set(fileKind(file.path), (counts.get(fileKind(file.path)) ?? 0) + 1);
+    const [first, second] = [...counts].sort((a, b) => b[1] - a[1]);
+    return !second || first[1] > second[1] ? first[0] : "chore";
+  }
+  if (analysis.newExports.length > 0 || code.every((file) => file.status === "added")) return "feat";
+  // Only whitespace changed, possibly in moved files
+  const squeeze = (lines) => lines.join("").replace(/\s+/g, "");
+  if (code.every((file) => ["modified", "renamed"].includes(file.status) && squeeze(file.added) === squeeze(file.removed))) {
+    return code.some((file) => file.status === "renamed") ? "refactor" : "style";
+  }
+  if (code.every((file) => file.status === "deleted") || (analysis.added.size === 0 && analysis.removed.size > 0)) {
+    return "refactor";
+  }
+  return "fix";
+}
+
+// The first allowed type among the inferred one and its fallbacks
+function allowedType(type, types) {
+  if (!types) return type;
+  const fallbacks = { build: ["chore"], ci: ["build", "chore"], style: ["refactor", "chore"], refactor: ["chore"] };
+  return [type, ...(fallbacks[type] ?? []), "chore"].find((candidate) => types.includes(candidate)) ?? types[0];
+}
+
+function listNames(names, limit = 2) {
+  if (names.length <= limit) return names.join(" and ");
+  return `${names.slice(0, limit).join(", ")} and ${names.length - limit} more`;
+}
+
+function summarize(files, type, analysis, scope) {
+  const names = (list) => list.map((file) => path.basename(file.path));
+  if (type === "feat" && analysis.newExports.length > 0) {
+    return `add ${listNames(analysis.newExports.map((declaration) => declaration.name))}`;
+  }
+  if (files.length === 1) {
+    const [file] = files;
+    if (file.status === "renamed") return `rename ${path.basename(file.previousPath)} to ${path.basename(file.path)}`;
+    const verb = { added: "add", deleted: "remove" }[file.status] ?? "update";
+    return `${verb} ${path.basename(file.path)}`;
+  }
+  if (type === "docs") return `update ${listNames(names(files))}`;
+  if (type === "test") return `update tests for ${scope || listNames(names(files))}`;
+  if (type === "build") return files.some((file) => /package(-lock)?\.json|lock|requirements|go\.(mod|sum)|Cargo/.test(file.path))
+    ? "update dependencies"
+    : "update build configuration";
+  const statuses = new Set(files.map((file) => file.status));
+  const verb = statuses.size === 1 ? { added: "add", deleted: "remove", renamed: "move" }[[...statuses][0]] ?? "update" : "update";
+  return `${verb} ${files.length <= 3 ? listNames(names(files), 3) : `${files.length} files`}`;
+}
+
+// Greedy word wrap with a hanging indent for list items
+function wrapText(text, width, indent = "") {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > width) {
+      lines.push(line);
+      line = `${indent}${word}`;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+function describeFile(file, analysis) {
+  const own = { added: declarations(file.added), removed: declarations(file.removed) };
+  const details = [];
+  if (file.binary) details.push("binary");
+  else if (file.added.length || file.removed.length) details.push(`+${file.added.length} -${file.removed.length}`);
+  const addedNames = [...own.added.keys()].filter((name) => !own.removed.has(name));
+  const removedNames = [...own.removed.keys()].filter((name) => !own.added.has(name) && !analysis.added.has(name));
+  const changedNames = [...own.added.keys()].filter((name) => own.removed.has(name));
+  if (addedNames.length) details.push(`adds ${listNames(addedNames, 3)}`);
+  if (changedNames.length) details.push(`changes ${listNames(changedNames, 3)}`);
+  if (removedNames.length) details.push(`removes ${listNames(removedNames, 3)}`);
+  const name = file.status === "renamed" ? `${file.previousPath} -> ${file.path}` : file.path;
+  const status = { added: "new", deleted: "deleted", renamed: "renamed" }[file.status];
+  const fallback = file.status === "renamed" ? "content unchanged" : "mode change";
+  return `- ${name}${status ? ` (${status})` : ""}: ${details.join(", ") || fallback}`;
+}
+
+// JIRA-style keys (ABC-123, upper case only so names like utf-8 are not
+// mistaken for one) or GitHub issue numbers in the branch name. A number
+// needs a marker (issue-123, issues/123, gh-123, #123) or the shape of a
+// branch made from an issue (123-title, feature/123-title); other numbers,
+// as in release/2024-01 or hotfix/3-digit-pin, are not issues.
+function issueFromBranch(branch) {
+  if (!branch) return null;
+  const key = /(?:^|[/_-])([A-Z][A-Z0-9]+-\d+)(?=$|[/_-])/.exec(branch);
+  if (key) return key[1];
+  const marked = /(?:^|[/_-])(?:issues?|gh)[-_/]?#?(\d+)(?=$|[/_-])|#(\d+)(?=$|[/_-])/i.exec(branch);
+  if (marked) return `#${marked[1] ?? marked[2]}`;
+  const fromIssue = /^(?:(?:feature|feat)\/)?(\d+)-[A-Za-z]/i.exec(branch);
+  return fromIssue ? `#${fromIssue[1]}` : null;
+}
+
+async function generateCommitMessage(repoPath, args) {
+  const root = await repoRoot(repoPath);
+  const { stdout: diff } = await runGit(root, ["diff", "--cached", "--unified=0", "-M", "--no-color", "--no-ext-diff"]);
+  const files = parseStagedDiff(diff);
+  if (files.length === 0) return null;
+
+  const { rules, source, notes } = await readCommitRules(root);
+  const scopeMap = args.scopeMap ?? (await readJsonFile(path.join(root, SCOPE_MAP_FILE)));
+  const analysis = analyzeDeclarations(files);
+
+  const type = allowedType(inferType(files, analysis), rules.types);
+  let scope = inferScope(files.map((file) => file.path), scopeMap);
+  // docs(docs) says nothing twice
+  if (scope === type) scope = null;
+  if (scope && rules.scopes && !rules.scopes.includes(scope)) {
+    notes.push(`Scope '${scope}' is not in the allowed scopes, so it was left out.`);
+    scope = null;
+  }
+  const breaking = analysis.breaking.length > 0;
+  const prefix = `${type}${scope ? `(${scope})` : ""}${breaking ? "!" : ""}: `;
+  let subject = summarize(files, type, analysis, scope);
+  const room = rules.headerMaxLength - prefix.length;
+  if (subject.length > room && files.length > 1) subject = `update ${files.length} files`;
+  if (subject.length > room) subject = subject.slice(0, room + 1).replace(/\s*\S*$/, "") || subject.slice(0, room);
+  const header = `${prefix}${subject}`;
+
+  const width = rules.bodyMaxLineLength;
+  const shown = files.slice(0, MAX_BODY_FILES).map((file) => wrapText(describeFile(file, analysis), width, "  "));
+  if (files.length > MAX_BODY_FILES) shown.push(`- and ${files.length - MAX_BODY_FILES} more files`);
+  const body = shown.join("\n");
+
+  const { branch } = await readStatus(root);
+  const issue = issueFromBranch(branch.head);
+  const footers = [
+    ...(breaking ? [wrapText(`BREAKING CHANGE: ${analysis.breaking.join("; ")}.`, width, "  ")] : []),
+    ...(issue ? [`Refs: ${issue}`] : []),
+  ];
+
+  return {
+    type,
+    scope,
+    subject,
+    breaking: analysis.breaking,
+    issue,
+    header,
+    body,
+    footers,
+    message: [header, body, footers.join("\n")].filter(Boolean).join("\n\n"),
+    config: source,
+    notes,
+  };
+}
+
+// Shared by the tools that can return parsed results
+const FORMAT_PROPERTY = {
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description: "Output format: 'text' (default) or 'json' for parsed objects",
+  },
+};
+
+// Shared by the tools that change branches or the working tree
+const AUTOSTASH_PROPERTY = {
+  autostash: {
+    type: "boolean",
+    description: "Stash uncommitted changes first and restore them afterwards, instead of refusing (default: false)",
+  },
+};
+
+// Shared by the tools that the branch protection policy checks
+const OVERRIDE_PROPERTY = {
+  override: {
+    type: "string",
+    description: "The policy's override token, to proceed despite a policy violation. Only pass it when the user supplies it",
+  },
+};
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: [
+      {
+        name: "git_status",
+        description: "Get the current git status of the repository",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            ...FORMAT_PROPERTY,
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_log",
+        description:
+          "Get git commit history, optionally filtered by path, date, author, message or revision range",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            limit: {
+              type: "number",
+              description: "Number of commits to retrieve (default: 10)",
+            },
+            skip: {
+              type: "number",
+              description: "Number of matching commits to skip, for paging through history (default: 0)",
+            },
+            branch: {
+              type: "string",
+              description: "Branch name (optional)",
+            },
+            range: {
+              type: "string",
+              description:
+                "Revision range instead of a branch, e.g. 'main..feature' (commits on feature not on main) or 'v1.2.0..'",
+            },
+            path: {
+              type: ["string", "array"],
+              items: { type: "string" },
+              description: "Only commits touching these paths (a file, directory or glob pathspec)",
+            },
+            since: {
+              type: "string",
+              description: "Only commits after this date, e.g. '2024-01-31' or '2 weeks ago'",
+            },
+            until: {
+              type: "string",
+              description: "Only commits before this date",
+            },
+            author: {
+              type: "string",
+              description: "Only commits whose author name or email matches this pattern",
+            },
+            grep: {
+              type: "string",
+              description: "Only commits whose message matches this pattern",
+            },
+            merges: {
+              type: "string",
+              enum: Object.keys(MERGE_FILTERS),
+              description: "Whether to include merge commits, exclude them or show only merges (default: include)",
+            },
+            follow: {
+              type: "boolean",
+              description: "Follow the history of a single file across renames (requires exactly one path)",
+            },
+            ...FORMAT_PROPERTY,
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_diff",
+        description: "Get git diff for staged/unstaged changes or between commits",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            staged: {
+              type: "boolean",
+              description: "Show staged changes (default: false)",
+            },
+            file: {
+              type: "string",
+              description: "Specific file to diff (optional)",
+            },
+            commit1: {
+              type: "string",
+              description: "First commit hash for comparison (optional)",
+            },
+            commit2: {
+              type: "string",
+              description: "Second commit hash for comparison (optional)",
+            },
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_branches",
+        description: "List all branches in the repository",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            remote: {
+              type: "boolean",
+              description: "Include remote branches (default: false)",
+            },
+            ...FORMAT_PROPERTY,
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "generate_commit_message",
+        description: "Generate a Conventional Commits message from the staged hunks, with an inferred scope, breaking changes, the branch's issue id and a wrapped body. Honors a JSON commitlint config in the repository.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            scopeMap: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Glob to scope map, e.g. {\"server/**\": \"api\"}; defaults to .commit-scopes.json in the repository root, else the common directory",
+            },
+            ...FORMAT_PROPERTY,
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_blame",
+        description: "Show what revision and author last modified each line of a file",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            file: {
+              type: "string",
+              description: "File path relative to repo root",
+            },
+          },
+          required: ["repoPath", "file"],
+        },
+      },
+      {
+        name: "git_search_commits",
+        description: "Search commits by message, author, or content",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            query: {
+              type: "string",
+              description: "Search query",
+            },
+            searchType: {
+              type: "string",
+              enum: ["message", "author", "content"],
+              description: "Type of search to perform",
+            },
+          },
+          required: ["repoPath", "query", "searchType"],
+        },
+      },
+      {
+        name: "git_stage",
+        description: "Stage files for the next commit.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            files: {
+              type: "array",
+              description:
+                "An array of file paths to stage. If empty or not provided, all changes will be staged.",
+              items: {
+                type: "string",
+              },
+            },
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_commit",
+        description:
+          "Commit staged changes with a provided message. Subject to the branch protection policy (direct commits, secrets).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            message: {
+              type: "string",
+              description: "The commit message.",
+            },
+            ...OVERRIDE_PROPERTY,
+          },
+          required: ["repoPath", "message"],
+        },
+      },
+      {
+        name: "git_push",
+        description:
+          "Push committed changes to a remote repository. Subject to the branch protection policy (force pushes, secrets).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            remote: {
+              type: "string",
+              description: "The remote to push to (default: 'origin').",
+            },
+            branch: {
+              type: "string",
+              description: "The branch to push (default: current branch).",
+            },
+            force: {
+              type: "boolean",
+              description: "Force push (use with caution). Default: false.",
+            },
+            forceWithLease: {
+              type: "boolean",
+              description:
+                "Force push only if the remote branch is still where it was last fetched (--force-with-lease). Default: false.",
+            },
+            ...OVERRIDE_PROPERTY,
+          },
+          required: ["repoPath"],
+        },
+      },
+      {
+        name: "git_checkout",
+        description:
+          "Switch to a branch, or detach HEAD at a commit. Refuses to run over uncommitted changes unless autostash is set",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            branch: {
+              type: "string",
+              description:
+                "Branch to switch to. A branch that only exists on one remote is created to track it",
+            },
+            detach: {
+              type: "boolean",
+              description: "Treat branch as any revision (tag, commit) and detach HEAD there",
+            },
+            ...AUTOSTASH_PROPERTY,
+          },
+          required: ["repoPath", "branch"],
+        },
+      },
+      {
+        name: "git_create_branch",
+        description: "Create a branch, optionally switching to it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            name: {
+              type: "string",
+              description: "Name of the new branch",
+            },
+            startPoint: {
+              type: "string",
+              description: "Revision to start from (default: HEAD). Starting from a remote branch sets it as upstream",
+            },
+            checkout: {
+              type: "boolean",
+              description: "Switch to the new branch (default: false)",
+            },
+            ...AUTOSTASH_PROPERTY,
+          },
+          required: ["repoPath", "name"],
+        },
+      },
+      {
+        name: "git_delete_branch",
+        description:
+          "Delete a local branch. Refuses when it has commits missing from its upstream (or from HEAD without one) unless force is set",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            name: {
+              type: "string",
+              description: "Branch to delete",
+            },
+            force: {
+              type: "boolean",
+              description: "Delete even if the branch has unmerged commits (default: false)",
+            },
+            ...AUTOSTASH_PROPERTY,
+          },
+          required: ["repoPath", "name"],
+        },
+      },
+      {
+        name: "git_rename_branch",
+        description: "Rename a local branch",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repoPath: {
+              type: "string",
+              description: "Path to the git repository",
+            },
+            name: {
+              type: "string",
+              description: "Branch to rename (default: current branch)",
+            },
+            newName: {
+              type: "string",
+              description: "New branch name",
+            },
+            force: {
+              type: "boolean",
+              description: "Replace an existing branch called newName (default: false)",
+            },
+            ...AUTOSTASH_PROPERTY,
+          },
+          required: ["repoPath", "newName"],
+        },
+      },
       {
-        name: "git_status",
-        description: "Get the current git status of the repository",
+        name: "git_set_upstream",
+        description: "Set or remove the upstream branch that a local branch tracks",
         inputSchema: {
           type: "object",
           properties: {
@@ -35,13 +1956,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
+            branch: {
+              type: "string",
+              description: "Local branch (default: current branch)",
+            },
+            upstream: {
+              type: "string",
+              description: "Branch to track, e.g. 'origin/main'",
+            },
+            unset: {
+              type: "boolean",
+              description: "Remove the upstream instead of setting one",
+            },
+            ...AUTOSTASH_PROPERTY,
           },
           required: ["repoPath"],
         },
       },
       {
-        name: "git_log",
-        description: "Get git commit history",
+        name: "git_merge",
+        description:
+          "Merge a branch or commit into the current branch. Conflicts are returned as a list of files with ours/base/theirs hunks",
         inputSchema: {
           type: "object",
           properties: {
@@ -49,21 +1984,33 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            limit: {
-              type: "number",
-              description: "Number of commits to retrieve (default: 10)",
-            },
             branch: {
               type: "string",
-              description: "Branch name (optional)",
+              description: "Branch, tag or commit to merge",
+            },
+            fastForward: {
+              type: "string",
+              enum: ["allow", "never", "only"],
+              description:
+                "'allow' fast-forwards when possible (default), 'never' always creates a merge commit, 'only' refuses anything but a fast-forward",
+            },
+            squash: {
+              type: "boolean",
+              description: "Stage the combined changes without committing or recording a merge (default: false)",
+            },
+            message: {
+              type: "string",
+              description: "Merge commit message (default: git's 'Merge branch ...' message)",
             },
+            ...AUTOSTASH_PROPERTY,
           },
-          required: ["repoPath"],
+          required: ["repoPath", "branch"],
         },
       },
       {
-        name: "git_diff",
-        description: "Get git diff for staged/unstaged changes or between commits",
+        name: "git_rebase",
+        description:
+          "Rebase the current branch (or another one) onto an upstream, non-interactively. Conflicts are returned as a list of files with ours/base/theirs hunks",
         inputSchema: {
           type: "object",
           properties: {
@@ -71,29 +2018,31 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            staged: {
-              type: "boolean",
-              description: "Show staged changes (default: false)",
-            },
-            file: {
+            upstream: {
               type: "string",
-              description: "Specific file to diff (optional)",
+              description: "Upstream to rebase onto, e.g. 'origin/main'",
             },
-            commit1: {
+            onto: {
               type: "string",
-              description: "First commit hash for comparison (optional)",
+              description: "Replay the commits after upstream onto this revision instead (git rebase --onto)",
             },
-            commit2: {
+            branch: {
               type: "string",
-              description: "Second commit hash for comparison (optional)",
+              description: "Branch to rebase (default: current branch); git switches to it first",
+            },
+            autosquash: {
+              type: "boolean",
+              description: "Fold fixup! and squash! commits into the commits they name (default: false)",
             },
+            ...AUTOSTASH_PROPERTY,
           },
-          required: ["repoPath"],
+          required: ["repoPath", "upstream"],
         },
       },
       {
-        name: "git_branches",
-        description: "List all branches in the repository",
+        name: "git_resolve_conflict",
+        description:
+          "Resolve a conflicted file during a merge, rebase, cherry-pick or revert by taking our version, their version or new content, and stage it",
         inputSchema: {
           type: "object",
           properties: {
@@ -101,17 +2050,28 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            remote: {
-              type: "boolean",
-              description: "Include remote branches (default: false)",
+            file: {
+              type: "string",
+              description: "Conflicted file, relative to the repository root",
+            },
+            resolution: {
+              type: "string",
+              enum: CONFLICT_RESOLUTIONS,
+              description:
+                "'ours' or 'theirs' takes that side's whole file (deleting it if that side deleted it); 'content' writes the given content",
+            },
+            content: {
+              type: "string",
+              description: "Resolved file text, for resolution 'content'",
             },
           },
-          required: ["repoPath"],
+          required: ["repoPath", "file", "resolution"],
         },
       },
       {
-        name: "generate_commit_message",
-        description: "Generate a commit message based on staged changes",
+        name: "git_continue",
+        description:
+          "Continue the stopped merge, rebase, cherry-pick or revert once its conflicts are resolved. Reports any new conflicts",
         inputSchema: {
           type: "object",
           properties: {
@@ -124,8 +2084,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         },
       },
       {
-        name: "git_blame",
-        description: "Show what revision and author last modified each line of a file",
+        name: "git_abort",
+        description: "Abort the stopped merge, rebase, cherry-pick or revert and return to the state before it started",
         inputSchema: {
           type: "object",
           properties: {
@@ -133,17 +2093,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            file: {
-              type: "string",
-              description: "File path relative to repo root",
-            },
           },
-          required: ["repoPath", "file"],
+          required: ["repoPath"],
         },
       },
       {
-        name: "git_search_commits",
-        description: "Search commits by message, author, or content",
+        name: "git_fetch",
+        description:
+          "Download commits and refs from one remote or all of them, then report how far each tracking branch is ahead or behind",
         inputSchema: {
           type: "object",
           properties: {
@@ -151,22 +2108,26 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            query: {
+            remote: {
               type: "string",
-              description: "Search query",
+              description: "Remote to fetch from (default: all remotes)",
             },
-            searchType: {
-              type: "string",
-              enum: ["message", "author", "content"],
-              description: "Type of search to perform",
+            prune: {
+              type: "boolean",
+              description: "Delete remote-tracking branches that no longer exist on the remote (default: false)",
+            },
+            tags: {
+              type: "boolean",
+              description: "Fetch all tags, not only those on fetched commits (default: false)",
             },
           },
-          required: ["repoPath", "query", "searchType"],
+          required: ["repoPath"],
         },
       },
       {
-        name: "git_stage",
-        description: "Stage files for the next commit.",
+        name: "git_pull",
+        description:
+          "Fetch and integrate the upstream into the current branch by merging or rebasing. Conflicts are reported like git_merge and git_rebase",
         inputSchema: {
           type: "object",
           properties: {
@@ -174,21 +2135,31 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            files: {
-              type: "array",
-              description:
-                "An array of file paths to stage. If empty or not provided, all changes will be staged.",
-              items: {
-                type: "string",
-              },
+            remote: {
+              type: "string",
+              description: "Remote to pull from (default: the branch's upstream remote)",
             },
+            branch: {
+              type: "string",
+              description: "Remote branch to pull (default: the branch's upstream); requires remote",
+            },
+            strategy: {
+              type: "string",
+              enum: PULL_STRATEGIES,
+              description: "Integrate by 'merge' (default) or 'rebase'",
+            },
+            fastForwardOnly: {
+              type: "boolean",
+              description: "Refuse unless the branch can be fast-forwarded (default: false)",
+            },
+            ...AUTOSTASH_PROPERTY,
           },
           required: ["repoPath"],
         },
       },
       {
-        name: "git_commit",
-        description: "Commit staged changes with a provided message.",
+        name: "git_remotes",
+        description: "List, add or remove remotes, or change a remote's URL",
         inputSchema: {
           type: "object",
           properties: {
@@ -196,17 +2167,31 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            message: {
+            action: {
               type: "string",
-              description: "The commit message.",
+              enum: REMOTE_ACTIONS,
+              description: "What to do (default: list)",
+            },
+            name: {
+              type: "string",
+              description: "Remote name, for add, remove and set-url",
+            },
+            url: {
+              type: "string",
+              description: "Remote URL or path, for add and set-url",
+            },
+            push: {
+              type: "boolean",
+              description: "With set-url, change only the push URL (default: false)",
             },
+            ...FORMAT_PROPERTY,
           },
-          required: ["repoPath", "message"],
+          required: ["repoPath"],
         },
       },
       {
-        name: "git_push",
-        description: "Push committed changes to a remote repository.",
+        name: "git_ahead_behind",
+        description: "Report how many commits each local branch is ahead of and behind its upstream",
         inputSchema: {
           type: "object",
           properties: {
@@ -214,18 +2199,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Path to the git repository",
             },
-            remote: {
-              type: "string",
-              description: "The remote to push to (default: 'origin').",
-            },
             branch: {
               type: "string",
-              description: "The branch to push (default: current branch).",
-            },
-            force: {
-              type: "boolean",
-              description: "Force push (use with caution). Default: false.",
+              description: "Only report this branch",
             },
+            ...FORMAT_PROPERTY,
           },
           required: ["repoPath"],
         },
@@ -240,8 +2218,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     switch (name) {
       case "git_status": {
-        const { stdout } = await execAsync(`git -C "${args.repoPath}" status --porcelain -b`);
-        const { stdout: statusLong } = await execAsync(`git -C "${args.repoPath}" status`);
+        if (outputFormat(args) === "json") {
+          return jsonContent(await readStatus(args.repoPath));
+        }
+        const { stdout } = await runGit(args.repoPath, ["status", "--porcelain", "-b"]);
+        const { stdout: statusLong } = await runGit(args.repoPath, ["status"]);
         return {
           content: [
             {
@@ -253,37 +2234,42 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "git_log": {
-        const limit = args.limit || 10;
-        const branch = args.branch || "";
-        const { stdout } = await execAsync(
-          `git -C "${args.repoPath}" log ${branch} --oneline --decorate -n ${limit} --pretty=format:"%h | %an | %ar | %s"`
-        );
+        const filters = logArgs(args);
+        if (outputFormat(args) === "json") {
+          return jsonContent(await readCommits(args.repoPath, filters));
+        }
+        const { stdout } = await runGit(args.repoPath, [
+          "log",
+          "--oneline",
+          "--decorate",
+          "--pretty=format:%h | %an | %ar | %s",
+          ...filters,
+        ]);
         return {
           content: [
             {
               type: "text",
-              text: `Recent commits:\n${stdout}`,
+              text: stdout ? `Recent commits:\n${stdout}` : "No commits match these filters.",
             },
           ],
         };
       }
 
       case "git_diff": {
-        let command = `git -C "${args.repoPath}" diff`;
-        
-        if (args.staged) {
-          command += " --staged";
-        }
-        
+        const command = ["diff"];
+
         if (args.commit1 && args.commit2) {
-          command = `git -C "${args.repoPath}" diff ${args.commit1} ${args.commit2}`;
+          command.push(validateRevision(args.commit1, "commit1"), validateRevision(args.commit2, "commit2"));
+        } else if (args.staged) {
+          command.push("--staged");
         }
-        
+
+        command.push("--");
         if (args.file) {
-          command += ` -- "${args.file}"`;
+          command.push(...validatePaths([args.file], "file"));
         }
-        
-        const { stdout } = await execAsync(command);
+
+        const { stdout } = await runGit(args.repoPath, command);
         return {
           content: [
             {
@@ -295,8 +2281,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "git_branches": {
-        const flag = args.remote ? "-a" : "";
-        const { stdout } = await execAsync(`git -C "${args.repoPath}" branch ${flag} -v`);
+        if (outputFormat(args) === "json") {
+          return jsonContent(await readBranches(args.repoPath, args.remote));
+        }
+        const { stdout } = await runGit(args.repoPath, ["branch", ...(args.remote ? ["-a"] : []), "-v"]);
         return {
           content: [
             {
@@ -308,9 +2296,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "generate_commit_message": {
-        const { stdout: diff } = await execAsync(`git -C "${args.repoPath}" diff --staged --name-status`);
-        
-        if (!diff) {
+        const suggestion = await generateCommitMessage(args.repoPath, args);
+
+        if (!suggestion) {
           return {
             content: [
               {
@@ -321,59 +2309,26 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
-        const files = diff.trim().split('\n').map(line => {
-          const [status, file] = line.split('\t');
-          return { status, file };
-        });
-
-        let type = 'chore'; // Default type
-        const scope = ''; // Scope can be complex to determine, leave it empty for now.
-        let summary = '';
-
-        const added = files.filter(f => f.status.startsWith('A'));
-        const modified = files.filter(f => f.status.startsWith('M'));
-        const deleted = files.filter(f => f.status.startsWith('D'));
-        const renamed = files.filter(f => f.status.startsWith('R'));
-
-        if (added.length > 0 && modified.length === 0 && deleted.length === 0) {
-          type = 'feat';
-          summary = `add ${added.length > 1 ? `${added.length} new files` : `'${added[0].file}'`}`;
-        } else if (files.every(f => f.file.endsWith('.md') || f.file.toLowerCase().includes('readme'))) {
-          type = 'docs';
-          summary = 'update documentation';
-        } else if (files.some(f => f.file.includes('test') || f.file.includes('spec'))) {
-          type = 'test';
-          summary = 'update tests';
-        } else if (modified.length > 0) {
-          type = 'fix';
-          summary = `update ${modified.length > 1 ? `${modified.length} files` : `'${modified[0].file}'`}`;
-        } else {
-          summary = 'update project structure';
-        }
-
-        if (files.some(f => f.file === 'package.json' || f.file === 'package-lock.json')) {
-          type = 'chore';
-          summary = 'update dependencies or project config';
-        }
-
-        const commitMessage = `${type}${scope ? `(${scope})` : ''}: ${summary}`;
-        
-        const body = `\n\nChanges:\n${files.map(f => `- ${f.status}: ${f.file}`).join('\n')}`;
+        if (outputFormat(args) === "json") return jsonContent(suggestion);
 
+        const notes = suggestion.notes.map((note) => `\n\nNote: ${note}`).join("");
         return {
           content: [
             {
               type: "text",
-              text: `Suggested commit message:\n\n${commitMessage}${body}`,
+              text: `Suggested commit message:\n\n${suggestion.message}${notes}`,
             },
           ],
         };
       }
 
       case "git_blame": {
-        const { stdout } = await execAsync(
-          `git -C "${args.repoPath}" blame "${args.file}" --line-porcelain`
-        );
+        const { stdout } = await runGit(args.repoPath, [
+          "blame",
+          "--line-porcelain",
+          "--",
+          ...validatePaths([args.file], "file"),
+        ]);
         
         const lines = stdout.split("\n");
         const blameLines = [];
@@ -416,21 +2371,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "git_search_commits": {
-        let command = `git -C "${args.repoPath}" log --all --pretty=format:"%h | %an | %ar | %s"`;
-        
-        switch (args.searchType) {
-          case "message":
-            command += ` --grep="${args.query}"`;
-            break;
-          case "author":
-            command += ` --author="${args.query}"`;
-            break;
-          case "content":
-            command += ` -S"${args.query}"`;
-            break;
+        if (typeof args.query !== "string" || args.query === "") {
+          throw new Error("query must be a non-empty string");
         }
-        
-        const { stdout } = await execAsync(command);
+        const filters = {
+          message: `--grep=${args.query}`,
+          author: `--author=${args.query}`,
+          content: `-S${args.query}`,
+        };
+        if (!filters[args.searchType]) {
+          throw new Error(`Invalid searchType '${args.searchType}'. Expected one of: ${Object.keys(filters).join(", ")}`);
+        }
+
+        const { stdout } = await runGit(args.repoPath, [
+          "log",
+          "--all",
+          "--pretty=format:%h | %an | %ar | %s",
+          filters[args.searchType],
+          "--",
+        ]);
         return {
           content: [
             {
@@ -442,18 +2401,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "git_stage": {
-        let command;
         if (args.files && args.files.length > 0) {
-          // Quote files to handle spaces and other special characters
-          const filesToStage = args.files.map((f) => `"${f}"`).join(" ");
-          command = `git -C "${args.repoPath}" add ${filesToStage}`;
+          await runGit(args.repoPath, ["add", "--", ...validatePaths(args.files, "files")]);
         } else {
           // Stage all changes (new, modified, deleted)
-          command = `git -C "${args.repoPath}" add -A`;
+          await runGit(args.repoPath, ["add", "-A"]);
         }
 
-        await execAsync(command);
-        const { stdout: status } = await execAsync(`git -C "${args.repoPath}" status --short`);
+        const { stdout: status } = await runGit(args.repoPath, ["status", "--short"]);
 
         return {
           content: [{
@@ -464,49 +2419,373 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "git_commit": {
-        // To handle multi-line messages and special characters like quotes,
-        // it's safer to pass the message via an environment variable.
-        const { stdout: commitOutput } = await execAsync(
-          `git -C "${args.repoPath}" commit -m "${args.message}"`,
-        );
+        if (typeof args.message !== "string" || args.message.trim() === "") {
+          throw new Error("message must be a non-empty string");
+        }
+        const policy = await loadPolicy();
+        const overridden = enforcePolicy(policy, await commitViolations(args.repoPath, policy), args.override, "Commit");
 
-        const { stdout: log } = await execAsync(
-          `git -C "${args.repoPath}" log -1 --oneline --decorate --pretty=format:"%h | %an | %ar | %s"`
-        );
+        // Read from stdin, so multi-line messages and any quoting arrive intact
+        const { stdout: commitOutput } = await runGit(args.repoPath, ["commit", "-F", "-"], { input: args.message });
+
+        const { stdout: log } = await runGit(args.repoPath, [
+          "log",
+          "-1",
+          "--oneline",
+          "--decorate",
+          "--pretty=format:%h | %an | %ar | %s",
+        ]);
 
         return {
           content: [{
             type: "text",
-            text: `Commit successful!\n\n${commitOutput}\n\nLatest commit:\n${log}`
+            text: `${overridden ? `${overridden}\n\n` : ""}Commit successful!\n\n${commitOutput}\n\nLatest commit:\n${log}`
           }],
         };
       }
 
       case "git_push": {
-        const remote = args.remote || "origin";
-        const branch = args.branch || ""; // Git will use the configured default if empty
-        const forceFlag = args.force ? "--force" : "";
+        const remote = validateRefName(args.remote || "origin", "remote");
+        // Git will use the configured default if no branch is given
+        const branch = args.branch ? [validateRefName(args.branch, "branch")] : [];
+
+        // The policy checks the remote branches the push updates: the branch's
+        // own name and its upstream on this remote
+        const local = branch[0] || (await currentBranch(args.repoPath));
+        const { stdout: upstream } = await runGit(
+          args.repoPath,
+          ["rev-parse", "--abbrev-ref", "--symbolic-full-name", `${local}@{upstream}`],
+          { okExitCodes: [0, 128] }
+        );
+        const targets = [local];
+        if (upstream.trim().startsWith(`${remote}/`)) targets.push(upstream.trim().slice(remote.length + 1));
+
+        const policy = await loadPolicy();
+        const overridden = enforcePolicy(
+          policy,
+          await pushViolations(args.repoPath, policy, {
+            remote,
+            branch: local,
+            targets: [...new Set(targets)],
+            force: Boolean(args.force),
+            forceWithLease: Boolean(args.forceWithLease),
+          }),
+          args.override,
+          "Push"
+        );
+
+        // Git push writes progress to stderr, so only the exit code signals failure
+        const { stdout, stderr } = await runGit(args.repoPath, [
+          "push",
+          ...(args.forceWithLease ? ["--force-with-lease"] : args.force ? ["--force"] : []),
+          remote,
+          ...branch,
+        ]);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${overridden ? `${overridden}\n\n` : ""}Push command executed.\n\nSTDOUT:\n${stdout}\n\nSTDERR:\n${stderr}`,
+            },
+          ],
+        };
+      }
+
+      case "git_checkout": {
+        const target = args.detach
+          ? validateRevision(args.branch, "branch")
+          : validateRefName(args.branch, "branch");
+        const { result, stash } = await withCleanWorkingTree(
+          args.repoPath,
+          args.autostash,
+          `check out '${target}'`,
+          () => runGit(args.repoPath, args.detach ? ["switch", "--detach", target] : ["switch", target])
+        );
+        return {
+          content: [{ type: "text", text: [gitOutput(result), stash].filter(Boolean).join("\n\n") }],
+        };
+      }
+
+      case "git_create_branch": {
+        const branch = validateRefName(args.name, "name");
+        const startPoint = args.startPoint ? [validateRevision(args.startPoint, "startPoint")] : [];
+        const { result, stash } = await withCleanWorkingTree(
+          args.repoPath,
+          args.autostash,
+          `create branch '${branch}'`,
+          () =>
+            runGit(
+              args.repoPath,
+              args.checkout ? ["switch", "-c", branch, ...startPoint] : ["branch", branch, ...startPoint]
+            )
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: [
+                `Created branch '${branch}'${args.startPoint ? ` from ${args.startPoint}` : ""}${
+                  args.checkout ? " and switched to it" : ""
+                }.`,
+                gitOutput(result),
+                stash,
+              ]
+                .filter(Boolean)
+                .join("\n\n"),
+            },
+          ],
+        };
+      }
+
+      case "git_delete_branch": {
+        const branch = validateRefName(args.name, "name");
+        const { result, stash } = await withCleanWorkingTree(
+          args.repoPath,
+          args.autostash,
+          `delete branch '${branch}'`,
+          () => deleteBranch(args.repoPath, branch, args.force)
+        );
+        return {
+          content: [{ type: "text", text: [gitOutput(result), stash].filter(Boolean).join("\n\n") }],
+        };
+      }
+
+      case "git_rename_branch": {
+        const newName = validateRefName(args.newName, "newName");
+        const branch = args.name ? validateRefName(args.name, "name") : await currentBranch(args.repoPath);
+        const { result, stash } = await withCleanWorkingTree(
+          args.repoPath,
+          args.autostash,
+          `rename branch '${branch}'`,
+          () => runGit(args.repoPath, ["branch", args.force ? "-M" : "-m", branch, newName])
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: [`Renamed branch '${branch}' to '${newName}'.`, gitOutput(result), stash].filter(Boolean).join("\n\n"),
+            },
+          ],
+        };
+      }
+
+      case "git_set_upstream": {
+        if (!args.unset && !args.upstream) {
+          throw new Error("Pass upstream, or unset: true to remove the current one");
+        }
+        const branch = args.branch ? validateRefName(args.branch, "branch") : await currentBranch(args.repoPath);
+        const upstream = args.unset ? null : validateRevision(args.upstream, "upstream");
+        const { result, stash } = await withCleanWorkingTree(
+          args.repoPath,
+          args.autostash,
+          `set the upstream of '${branch}'`,
+          () =>
+            runGit(
+              args.repoPath,
+              upstream ? ["branch", `--set-upstream-to=${upstream}`, branch] : ["branch", "--unset-upstream", branch]
+            )
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: [
+                upstream ? gitOutput(result) : `Removed the upstream of '${branch}'.`,
+                stash,
+              ]
+                .filter(Boolean)
+                .join("\n\n"),
+            },
+          ],
+        };
+      }
+
+      case "git_merge": {
+        const branch = validateRevision(args.branch, "branch");
+        const fastForward = { allow: [], never: ["--no-ff"], only: ["--ff-only"] }[args.fastForward || "allow"];
+        if (!fastForward) {
+          throw new Error(`Invalid fastForward '${args.fastForward}'. Expected one of: allow, never, only`);
+        }
+        const running = await operationInProgress(args.repoPath);
+        if (running) {
+          throw new Error(`A ${running} is already in progress; finish it with git_continue or git_abort first`);
+        }
+        const dirty = await checkWorkingTree(args.repoPath, args.autostash, `merge '${branch}'`);
+        return await runIntegration(
+          args.repoPath,
+          [
+            "merge",
+            "--no-edit",
+            ...fastForward,
+            ...(args.squash ? ["--squash"] : []),
+            ...(args.message ? ["-m", args.message] : []),
+            ...(dirty ? ["--autostash"] : []),
+            branch,
+          ],
+          `Merging '${branch}'`
+        );
+      }
+
+      case "git_rebase": {
+        const upstream = validateRevision(args.upstream, "upstream");
+        const onto = args.onto ? ["--onto", validateRevision(args.onto, "onto")] : [];
+        const branch = args.branch ? [validateRefName(args.branch, "branch")] : [];
+        const running = await operationInProgress(args.repoPath);
+        if (running) {
+          throw new Error(`A ${running} is already in progress; finish it with git_continue or git_abort first`);
+        }
+        const dirty = await checkWorkingTree(args.repoPath, args.autostash, `rebase onto '${args.onto || upstream}'`);
+        // Autosquash needs the interactive machinery; accepting the generated
+        // todo list unchanged keeps it non-interactive
+        return await runIntegration(
+          args.repoPath,
+          [
+            "rebase",
+            ...(args.autosquash ? ["--interactive", "--autosquash"] : []),
+            ...(dirty ? ["--autostash"] : []),
+            ...onto,
+            upstream,
+            ...branch,
+          ],
+          `Rebasing onto '${args.onto || upstream}'`,
+          args.autosquash ? { GIT_SEQUENCE_EDITOR: "true" } : {}
+        );
+      }
+
+      case "git_resolve_conflict": {
+        const resolved = await resolveConflict(args.repoPath, args);
+        const remaining = await readConflicts(args.repoPath);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${resolved}. ${
+                remaining.length > 0
+                  ? `${remaining.length} conflicted file(s) left: ${remaining.map((conflict) => conflict.path).join(", ")}`
+                  : "No conflicts left; call git_continue to finish."
+              }`,
+            },
+          ],
+        };
+      }
 
-        const command = `git -C "${args.repoPath}" push ${forceFlag} ${remote} ${branch}`.trim();
+      case "git_continue": {
+        return await continueOperation(args.repoPath);
+      }
 
-        // Git push can write to stderr for progress, so we can't just check for stderr.
-        // We'll rely on execAsync to throw only on a non-zero exit code, which indicates a true error.
-        const { stdout, stderr } = await execAsync(command);
+      case "git_abort": {
+        return {
+          content: [{ type: "text", text: await abortOperation(args.repoPath) }],
+        };
+      }
 
+      case "git_fetch": {
+        const remote = args.remote ? [validateRefName(args.remote, "remote")] : ["--all"];
+        const result = await runGit(args.repoPath, [
+          "fetch",
+          ...(args.prune ? ["--prune"] : []),
+          ...(args.tags ? ["--tags"] : []),
+          ...remote,
+        ]);
+        const report = formatTrackingReport(await trackingReport(args.repoPath));
         return {
           content: [
             {
               type: "text",
-              text: `Push command executed.\n\nSTDOUT:\n${stdout}\n\nSTDERR:\n${stderr}`,
+              text: `${gitOutput(result) || "Already up to date with the remote."}\n\n${report}`,
             },
           ],
         };
       }
 
+      case "git_pull": {
+        const strategy = args.strategy || "merge";
+        if (!PULL_STRATEGIES.includes(strategy)) {
+          throw new Error(`Invalid strategy '${args.strategy}'. Expected one of: ${PULL_STRATEGIES.join(", ")}`);
+        }
+        if (args.branch && !args.remote) {
+          throw new Error("branch requires remote");
+        }
+        const source = [
+          ...(args.remote ? [validateRefName(args.remote, "remote")] : []),
+          ...(args.branch ? [validateRefName(args.branch, "branch")] : []),
+        ];
+        const running = await operationInProgress(args.repoPath);
+        if (running) {
+          throw new Error(`A ${running} is already in progress; finish it with git_continue or git_abort first`);
+        }
+        const dirty = await checkWorkingTree(args.repoPath, args.autostash, "pull");
+        return await runIntegration(
+          args.repoPath,
+          [
+            "pull",
+            "--no-edit",
+            strategy === "rebase" ? "--rebase" : "--no-rebase",
+            ...(args.fastForwardOnly ? ["--ff-only"] : []),
+            ...(dirty ? ["--autostash"] : []),
+            ...source,
+          ],
+          `Pulling${source.length > 0 ? ` ${source.join(" ")}` : ""}`
+        );
+      }
+
+      case "git_remotes": {
+        const action = args.action || "list";
+        if (!REMOTE_ACTIONS.includes(action)) {
+          throw new Error(`Invalid action '${args.action}'. Expected one of: ${REMOTE_ACTIONS.join(", ")}`);
+        }
+        if (action === "list") {
+          const remotes = await readRemotes(args.repoPath);
+          if (outputFormat(args) === "json") return jsonContent(remotes);
+          const text = remotes
+            .map((remote) =>
+              remote.pushUrl && remote.pushUrl !== remote.fetchUrl
+                ? `${remote.name}\t${remote.fetchUrl} (fetch)\n${remote.name}\t${remote.pushUrl} (push)`
+                : `${remote.name}\t${remote.fetchUrl}`
+            )
+            .join("\n");
+          return { content: [{ type: "text", text: text ? `Remotes:\n${text}` : "No remotes configured." }] };
+        }
+
+        const remote = validateRefName(args.name, "name");
+        if (action === "remove") {
+          await runGit(args.repoPath, ["remote", "remove", remote]);
+          return { content: [{ type: "text", text: `Removed remote '${remote}' and its remote-tracking branches.` }] };
+        }
+        const url = validateRemoteUrl(args.url);
+        if (action === "add") {
+          await runGit(args.repoPath, ["remote", "add", remote, url]);
+          return { content: [{ type: "text", text: `Added remote '${remote}' at ${url}. Call git_fetch to download its branches.` }] };
+        }
+        await runGit(args.repoPath, ["remote", "set-url", ...(args.push ? ["--push"] : []), remote, url]);
+        return {
+          content: [{ type: "text", text: `Set the ${args.push ? "push" : "fetch and push"} URL of '${remote}' to ${url}.` }],
+        };
+      }
+
+      case "git_ahead_behind": {
+        const branch = args.branch ? validateRefName(args.branch, "branch") : undefined;
+        const report = await trackingReport(args.repoPath, branch);
+        if (outputFormat(args) === "json") return jsonContent(report);
+        return { content: [{ type: "text", text: formatTrackingReport(report) }] };
+      }
+
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
+    if (error instanceof GitCommandError || error instanceof GitPolicyError) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: ${error.message}\n\n${JSON.stringify(error.details, null, 2)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
     return {
       content: [
         {
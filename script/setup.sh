@@ -27,7 +27,9 @@ cat > package.json << 'EOF'
   "dependencies": {
     "@modelcontextprotocol/sdk": "^0.5.0",
     "pg": "^8.11.3",
-    "mysql2": "^3.6.5"
+    "mysql2": "^3.6.5",
+    "better-sqlite3": "^12.4.1",
+    "pg-copy-streams": "^7.0.0"
   }
 }
 EOF
@@ -52,6 +54,9 @@ MYSQL_PORT=3306
 MYSQL_DATABASE=your_database
 MYSQL_USER=root
 MYSQL_PASSWORD=your_password
+
+# SQLite Configuration (optional)
+SQLITE_DATABASE=/path/to/app.db
 EOF
 
 echo "📝 Created .env.example - Copy this to .env and update with your credentials"
@@ -0,0 +1,284 @@
+// Remote tools of git-server.js against a local bare repository: no network
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "git-server.js");
+
+// Same identity everywhere, and no user or system config to change defaults
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+  GIT_CONFIG_GLOBAL: os.devNull,
+  GIT_CONFIG_NOSYSTEM: "1",
+};
+
+let tmp;
+let client;
+let remote;
+let alice;
+let bob;
+
+function git(cwd, ...args) {
+  return execFileSync("git", args, { cwd, env: GIT_ENV, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+}
+
+function commitFile(repo, file, content, message = `Update ${file}`) {
+  fs.writeFileSync(path.join(repo, file), content);
+  git(repo, "add", file);
+  git(repo, "commit", "-q", "-m", message);
+}
+
+async function call(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { text: result.content.map((item) => item.text).join("\n"), content: result.content, isError: Boolean(result.isError) };
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "git-remotes-"));
+  // The default policy, which protects main, without the secret scan, so
+  // that only the branch rules can stop a push
+  const policyFile = path.join(tmp, "git-policy.json");
+  fs.writeFileSync(policyFile, JSON.stringify({ rules: { blockSecrets: false } }));
+  client = new Client({ name: "git-remotes-test", version: "1.0.0" }, { capabilities: {} });
+  await client.connect(
+    new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVER],
+      env: { ...GIT_ENV, GIT_POLICY_FILE: policyFile },
+      stderr: "ignore",
+    })
+  );
+});
+
+after(async () => {
+  await client?.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// A bare remote with one commit on main, cloned as alice and bob
+let fixture = 0;
+beforeEach(() => {
+  const dir = path.join(tmp, String(++fixture));
+  remote = path.join(dir, "remote.git");
+  alice = path.join(dir, "alice");
+  bob = path.join(dir, "bob");
+  fs.mkdirSync(dir);
+  git(dir, "init", "-q", "--bare", "-b", "main", remote);
+  git(dir, "clone", "-q", remote, alice);
+  commitFile(alice, "shared.txt", "one\n", "Initial commit");
+  git(alice, "push", "-q", "-u", "origin", "main");
+  git(dir, "clone", "-q", remote, bob);
+});
+
+describe("git_fetch", () => {
+  test("reports how far branches are behind after fetching", async () => {
+    commitFile(bob, "bob.txt", "bob\n");
+    git(bob, "push", "-q");
+
+    const { text, isError } = await call("git_fetch", { repoPath: alice, remote: "origin" });
+    assert.equal(isError, false, text);
+    assert.match(text, /\| \* main \| origin\/main \| 0 ahead, 1 behind \|/);
+  });
+
+  test("prune drops remote-tracking branches deleted on the remote", async () => {
+    git(bob, "push", "-q", "origin", "main:topic");
+    await call("git_fetch", { repoPath: alice, remote: "origin" });
+    assert.match(git(alice, "branch", "-r"), /origin\/topic/);
+
+    git(bob, "push", "-q", "origin", "--delete", "topic");
+    await call("git_fetch", { repoPath: alice, remote: "origin" });
+    assert.match(git(alice, "branch", "-r"), /origin\/topic/, "kept without prune");
+
+    const { isError, text } = await call("git_fetch", { repoPath: alice, remote: "origin", prune: true });
+    assert.equal(isError, false, text);
+    assert.doesNotMatch(git(alice, "branch", "-r"), /origin\/topic/);
+  });
+});
+
+describe("git_pull", () => {
+  // alice and bob each commit a different file on main; bob pushes first
+  function diverge() {
+    commitFile(bob, "bob.txt", "bob\n");
+    git(bob, "push", "-q");
+    commitFile(alice, "alice.txt", "alice\n");
+  }
+
+  test("merges the upstream by default", async () => {
+    diverge();
+    const { isError, text } = await call("git_pull", { repoPath: alice });
+    assert.equal(isError, false, text);
+    assert.equal(git(alice, "rev-list", "--merges", "--count", "HEAD"), "1");
+    assert.ok(fs.existsSync(path.join(alice, "bob.txt")));
+  });
+
+  test("rebases onto the upstream with strategy rebase", async () => {
+    diverge();
+    const { isError, text } = await call("git_pull", { repoPath: alice, strategy: "rebase" });
+    assert.equal(isError, false, text);
+    assert.equal(git(alice, "rev-list", "--merges", "--count", "HEAD"), "0");
+    assert.equal(git(alice, "log", "-2", "--format=%s"), "Update alice.txt\nUpdate bob.txt");
+  });
+
+  test("fastForwardOnly refuses diverged branches and leaves HEAD alone", async () => {
+    diverge();
+    const head = git(alice, "rev-parse", "HEAD");
+    const { isError, text } = await call("git_pull", { repoPath: alice, fastForwardOnly: true });
+    assert.equal(isError, true);
+    assert.match(text, /^Error: git pull exited with code 128/);
+    assert.equal(git(alice, "rev-parse", "HEAD"), head);
+  });
+
+  test("fastForwardOnly fast-forwards when alice has not committed", async () => {
+    commitFile(bob, "bob.txt", "bob\n");
+    git(bob, "push", "-q");
+    const { isError, text } = await call("git_pull", { repoPath: alice, fastForwardOnly: true });
+    assert.equal(isError, false, text);
+    assert.equal(git(alice, "rev-parse", "HEAD"), git(bob, "rev-parse", "HEAD"));
+  });
+
+  test("reports conflicts with both sides of each hunk", async () => {
+    commitFile(bob, "shared.txt", "bob\n");
+    git(bob, "push", "-q");
+    commitFile(alice, "shared.txt", "alice\n");
+
+    const { isError, content } = await call("git_pull", { repoPath: alice });
+    assert.equal(isError, false);
+    assert.match(content[0].text, /stopped with conflicts in 1 file\(s\)/);
+    const report = JSON.parse(content[1].text);
+    assert.equal(report.operation, "merge");
+    assert.equal(report.conflicts.length, 1);
+    assert.equal(report.conflicts[0].path, "shared.txt");
+    assert.equal(report.conflicts[0].hunks[0].ours, "alice");
+    assert.equal(report.conflicts[0].hunks[0].theirs, "bob");
+
+    const aborted = await call("git_abort", { repoPath: alice });
+    assert.equal(aborted.isError, false, aborted.text);
+    assert.equal(fs.readFileSync(path.join(alice, "shared.txt"), "utf8"), "alice\n");
+  });
+
+  test("refuses uncommitted changes unless autostash is set", async () => {
+    diverge();
+    fs.writeFileSync(path.join(alice, "alice.txt"), "work in progress\n");
+
+    const refused = await call("git_pull", { repoPath: alice });
+    assert.equal(refused.isError, true);
+    assert.match(refused.text, /uncommitted changes in alice\.txt/);
+
+    const { isError, text } = await call("git_pull", { repoPath: alice, autostash: true });
+    assert.equal(isError, false, text);
+    assert.ok(fs.existsSync(path.join(alice, "bob.txt")));
+    assert.equal(fs.readFileSync(path.join(alice, "alice.txt"), "utf8"), "work in progress\n");
+  });
+});
+
+describe("git_remotes", () => {
+  test("adds, changes the push URL of and removes a remote", async () => {
+    const mirror = path.join(tmp, "mirror.git");
+    const added = await call("git_remotes", { repoPath: alice, action: "add", name: "mirror", url: remote });
+    assert.equal(added.isError, false, added.text);
+
+    const setUrl = await call("git_remotes", { repoPath: alice, action: "set-url", name: "mirror", url: mirror, push: true });
+    assert.equal(setUrl.isError, false, setUrl.text);
+    const listed = JSON.parse((await call("git_remotes", { repoPath: alice, format: "json" })).text);
+    assert.deepEqual(
+      listed.find((entry) => entry.name === "mirror"),
+      { name: "mirror", fetchUrl: remote, pushUrl: mirror }
+    );
+
+    const removed = await call("git_remotes", { repoPath: alice, action: "remove", name: "mirror" });
+    assert.equal(removed.isError, false, removed.text);
+    const remaining = JSON.parse((await call("git_remotes", { repoPath: alice, format: "json" })).text);
+    assert.deepEqual(remaining.map((entry) => entry.name), ["origin"]);
+  });
+
+  test("rejects URLs that git would read as options", async () => {
+    const { isError, text } = await call("git_remotes", {
+      repoPath: alice,
+      action: "add",
+      name: "evil",
+      url: "--upload-pack=touch pwned",
+    });
+    assert.equal(isError, true);
+    assert.match(text, /cannot start with '-'/);
+  });
+});
+
+describe("git_ahead_behind", () => {
+  test("counts commits on each side of the upstream", async () => {
+    commitFile(alice, "a1.txt", "1\n");
+    commitFile(alice, "a2.txt", "2\n");
+    commitFile(bob, "bob.txt", "bob\n");
+    git(bob, "push", "-q");
+    git(alice, "fetch", "-q");
+
+    const report = JSON.parse((await call("git_ahead_behind", { repoPath: alice, format: "json" })).text);
+    assert.deepEqual(report, [
+      { branch: "main", current: true, upstream: "origin/main", ahead: 2, behind: 1, gone: false },
+    ]);
+  });
+
+  test("marks upstreams deleted on the remote", async () => {
+    git(alice, "push", "-q", "-u", "origin", "main:topic");
+    git(alice, "branch", "-q", "--set-upstream-to=origin/topic", "main");
+    git(bob, "push", "-q", "origin", "--delete", "topic");
+    await call("git_fetch", { repoPath: alice, remote: "origin", prune: true });
+
+    const { text } = await call("git_ahead_behind", { repoPath: alice });
+    assert.match(text, /\| \* main \| origin\/topic \| upstream deleted \|/);
+  });
+
+  test("names a branch without an upstream", async () => {
+    const { isError, text } = await call("git_ahead_behind", { repoPath: alice, branch: "nope" });
+    assert.equal(isError, true);
+    assert.match(text, /Branch 'nope' does not exist or has no upstream/);
+  });
+});
+
+describe("git_push", () => {
+  // alice rewrites the commit the remote already has on main
+  function rewriteMain() {
+    fs.writeFileSync(path.join(alice, "shared.txt"), "rewritten\n");
+    git(alice, "commit", "-q", "-a", "--amend", "-m", "Rewritten");
+    return git(remote, "rev-parse", "main");
+  }
+
+  test("refuses to force push to a protected branch", async () => {
+    const before = rewriteMain();
+    const { isError, text } = await call("git_push", { repoPath: alice, branch: "main", force: true, forceWithLease: true });
+    assert.equal(isError, true);
+    assert.match(text, /Push blocked by policy: Force pushing to 'main' is not allowed/);
+    assert.equal(git(remote, "rev-parse", "main"), before);
+  });
+
+  test("refuses a +branch refspec instead of force pushing past the policy", async () => {
+    const before = rewriteMain();
+    const { isError, text } = await call("git_push", { repoPath: alice, branch: "+main" });
+    assert.equal(isError, true);
+    assert.match(text, /Invalid branch '\+main': it starts with '\+'/);
+    assert.equal(git(remote, "rev-parse", "main"), before);
+  });
+
+  test("refuses a +remote refspec", async () => {
+    const { isError, text } = await call("git_push", { repoPath: alice, remote: "+origin", branch: "main" });
+    assert.equal(isError, true);
+    assert.match(text, /Invalid remote '\+origin'/);
+  });
+
+  test("pushes new commits to an unprotected branch", async () => {
+    git(alice, "switch", "-q", "-c", "topic");
+    commitFile(alice, "topic.txt", "topic\n");
+    const { isError, text } = await call("git_push", { repoPath: alice, branch: "topic" });
+    assert.equal(isError, false, text);
+    assert.equal(git(remote, "rev-parse", "topic"), git(alice, "rev-parse", "HEAD"));
+  });
+});